@@ -0,0 +1,131 @@
+/**
+ * Headless behaviour checks
+ * Plays short matches without a browser and asserts on the outcome: the economy,
+ * research, save/load and replay determinism. Exits non-zero when a check fails.
+ *
+ *   npm test
+ */
+
+import assert from 'node:assert/strict';
+import { HeadlessGame } from '../src/headless.js';
+import { PLAYER_ID } from '../src/game/GameState.js';
+import { issueCommand } from '../src/game/Commands.js';
+import { createReplay } from '../src/game/Replay.js';
+import { getExpansionBuildingType } from '../src/game/Faction.js';
+
+const checks = [];
+
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+// Everything that has to match for two runs to count as the same game
+function snapshot(game) {
+    const state = game.state;
+    return JSON.stringify({
+        tick: state.tick,
+        players: [...state.players.values()].map(p => [p.id, p.minerals, p.gas, p.population]),
+        units: state.units.map(u => [u.id, u.type, u.x, u.z, u.health, u.state]),
+        buildings: state.buildings.map(b => [b.id, b.type, b.health, b.isComplete])
+    });
+}
+
+check('4 starting workers mine minerals in 60 seconds', () => {
+    const game = new HeadlessGame({ faction: 'human', seed: 1, opponent: false });
+    const player = game.state.getPlayer(PLAYER_ID);
+    const workers = game.state.getUnitsOf(PLAYER_ID).filter(u => u.type === 'worker');
+    assert.equal(workers.length, 4);
+
+    const trips = new Map(workers.map(w => [w.id, 0]));
+    game.state.on('workerDeposited', ({ worker }) => {
+        if (trips.has(worker.id)) trips.set(worker.id, trips.get(worker.id) + 1);
+    });
+    const startMinerals = player.minerals;
+    game.run(60);
+
+    trips.forEach((count, workerId) => assert.ok(count > 0, `${workerId} never delivered`));
+    assert.ok(player.minerals - startMinerals >= 1000, `only mined ${player.minerals - startMinerals}`);
+});
+
+check('workers sent to a full patch wait their turn instead of stalling', () => {
+    const game = new HeadlessGame({ faction: 'human', seed: 3, opponent: false });
+    game.state.getPlayer(PLAYER_ID).autoBalanceWorkers = false;
+    const workers = game.state.getUnitsOf(PLAYER_ID).filter(u => u.type === 'worker');
+    const patch = game.state.mineralPatches.find(p => game.state.getDepotForResource(p, PLAYER_ID));
+    patch.amount = 10000;
+    workers.forEach(worker => game.state.assignWorkerToMinerals(worker.id, patch.id));
+
+    const trips = new Map(workers.map(w => [w.id, 0]));
+    game.state.on('workerDeposited', ({ worker }) => {
+        if (trips.has(worker.id)) trips.set(worker.id, trips.get(worker.id) + 1);
+    });
+    game.run(60);
+
+    trips.forEach((count, workerId) => assert.ok(count > 0, `${workerId} never delivered`));
+});
+
+check('expansions offer the same research as the main base', () => {
+    ['zerg', 'human', 'protoss'].forEach(faction => {
+        const game = new HeadlessGame({ faction, seed: 3, opponent: false });
+        const main = game.state.getMainBase(PLAYER_ID);
+        const expansion = game.state.addBuilding({
+            type: getExpansionBuildingType(game.state.getFactionFor(PLAYER_ID)),
+            owner: PLAYER_ID,
+            x: main.x,
+            z: main.z,
+            isComplete: true
+        });
+        assert.ok(game.state.getResearchOptions(main).length > 0);
+        assert.deepEqual(game.state.getResearchOptions(expansion), game.state.getResearchOptions(main));
+    });
+});
+
+check('a loaded save plays on exactly like the original', () => {
+    const game = new HeadlessGame({ faction: 'zerg', opponentFaction: 'protoss', seed: 4 });
+    game.run(60);
+    const saved = JSON.stringify(game.state.createSaveData());
+    game.run(30);
+    const expected = snapshot(game);
+
+    assert.deepEqual(game.state.loadSaveData(saved), { success: true });
+    game.run(30);
+    assert.equal(snapshot(game), expected);
+});
+
+check('a replay re-simulates the recorded match', () => {
+    const game = new HeadlessGame({ faction: 'human', seed: 5 });
+    for (let second = 0; second < 90; second++) {
+        game.run(1);
+        const workers = game.state.getUnitsOf(PLAYER_ID).filter(u => u.type === 'worker');
+        if (second % 10 === 0) {
+            issueCommand({ type: 'move', unitIds: workers.slice(0, 2).map(u => u.id), x: second - 45, z: 10 });
+        }
+        if (second % 10 === 5) {
+            issueCommand({ type: 'mine', unitIds: workers.map(u => u.id), resourceId: null });
+        }
+        if (second === 20) {
+            issueCommand({ type: 'build', buildingType: 'supply', position: null, workerId: null }, game.actions);
+        }
+    }
+    const expected = snapshot(game);
+    const replay = JSON.parse(JSON.stringify(createReplay()));
+    assert.ok(replay.commands.length > 0);
+
+    const playback = new HeadlessGame({ replay });
+    while (playback.state.tick < replay.ticks) playback.step(1);
+    assert.equal(snapshot(playback), expected);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+    try {
+        fn();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`not ok - ${name}\n  ${error.message}`);
+    }
+}
+
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,57 @@
+/**
+ * Headless match runner
+ * Plays a match without a browser and prints a summary per game minute.
+ *
+ *   npm run simulate -- --faction zerg --opponent human --seconds 600 --seed 7
+ *   npm run simulate -- --faction human --no-ai --seconds 60
+ *   npm run simulate -- --map-size large --seed 3
+ *   npm run simulate -- --map src/maps/crossroads.json
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { HeadlessGame } from '../src/headless.js';
+import { PLAYER_ID, AI_ID } from '../src/game/GameState.js';
+import { parseMapFile } from '../src/game/MapFormat.js';
+
+const { values: args } = parseArgs({
+    options: {
+        faction: { type: 'string', default: 'human' },
+        opponent: { type: 'string' },
+        seconds: { type: 'string', default: '600' },
+        seed: { type: 'string', default: '1' },
+        'map-size': { type: 'string', default: 'medium' },
+        map: { type: 'string' },
+        'no-ai': { type: 'boolean', default: false }
+    }
+});
+
+const game = new HeadlessGame({
+    faction: args.faction,
+    opponentFaction: args.opponent || args.faction,
+    seed: Number(args.seed),
+    mapSize: args['map-size'],
+    map: args.map ? parseMapFile(JSON.parse(readFileSync(args.map, 'utf8'))) : null,
+    opponent: !args['no-ai']
+});
+
+function describe(owner) {
+    const player = game.state.getPlayer(owner);
+    const units = {};
+    game.state.getUnitsOf(owner).forEach(u => { units[u.type] = (units[u.type] || 0) + 1; });
+    const buildings = game.state.getBuildingsOf(owner).length;
+
+    return `${owner}: ${Math.floor(player.minerals)}m ${Math.floor(player.gas)}g ` +
+        `${player.population}/${player.populationMax} supply, ${buildings} buildings, ${JSON.stringify(units)}`;
+}
+
+console.log(`Map: ${game.state.map.name}`);
+
+let elapsed = 0;
+game.run(Number(args.seconds), () => {
+    elapsed++;
+    if (elapsed % 60 !== 0) return;
+    console.log(`[${elapsed / 60} min] ${describe(PLAYER_ID)} | ${describe(AI_ID)}`);
+});
+
+console.log(game.state.winner ? `Winner: ${game.state.winner} after ${elapsed}s` : 'No winner');
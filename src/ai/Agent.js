@@ -3,7 +3,7 @@
  */
 
 import { getRandomGreeting, getRandomResponse } from '../game/Faction.js';
-import gameState from '../game/GameState.js';
+import gameState, { PLAYER_ID } from '../game/GameState.js';
 import VoiceSynthesis from './VoiceSynthesis.js';
 
 // OpenAI API configuration - use backend proxy in production to avoid CORS
@@ -16,7 +16,6 @@ export class AIAgent {
     constructor(faction, onAction) {
         this.faction = faction;
         this.onAction = onAction; // Callback to execute game actions
-        this.conversationHistory = [];
         this.apiKey = null;
         this.isProcessing = false;
         this.isDisposed = false; // Flag to prevent actions after disposal
@@ -27,11 +26,17 @@ export class AIAgent {
 
         // System prompt for the AI
         this.systemPrompt = this.buildSystemPrompt();
-
-        // Track previous game state for context awareness
-        this.lastState = null;
     }
 
+    // Conversation and the previous state snapshot live on game state so they are saved
+    // with the game and a loaded game carries on the conversation
+    get conversationHistory() { return gameState.advisor.conversationHistory; }
+    set conversationHistory(value) { gameState.advisor.conversationHistory = value; }
+
+    // Previous worker counts, for describing what changed since the last feedback
+    get lastState() { return gameState.advisor.lastState; }
+    set lastState(value) { gameState.advisor.lastState = value; }
+
     buildSystemPrompt() {
         const factionInfo = this.faction;
 
@@ -106,7 +111,7 @@ Example speech:
 You are advising a player in Galactic Command, a real-time strategy game.
 
 CRITICAL: Execute game commands by including these action tags in your response:
-[ACTION:BUILD:building_type] - Build structures (supply, barracks, factory, gasExtractor)
+[ACTION:BUILD:building_type] - Build structures (${Object.keys(factionInfo.buildings || {}).filter(type => type !== 'base').join(', ')})
 [ACTION:PRODUCE:unit_type] - Produce units (worker, ${Object.keys(factionInfo.units || {}).join(', ')})
 [ACTION:MINE:count] - Assign workers to minerals (count optional, e.g. [ACTION:MINE:3])
 [ACTION:HARVEST_GAS:count] - Assign workers to gas (count optional, e.g. [ACTION:HARVEST_GAS:2])
@@ -190,9 +195,14 @@ RULES:
     getGameContext() {
         const state = gameState.getState();
         const idleWorkers = gameState.getIdleWorkers().length;
-        const mineralWorkers = gameState.mineralWorkers.length;
-        const gasWorkers = gameState.gasWorkers.length;
-        const totalWorkers = gameState.getUnitsByType('worker').length;
+        const mineralWorkers = gameState.getMineralWorkers().length;
+        const gasWorkers = gameState.getGasWorkers().length;
+        const totalWorkers = gameState.getUnitsOf().filter(u => u.type === 'worker').length;
+        const bases = gameState.getBaseSaturation().map((base, i) =>
+            `\n  - Base ${i + 1}: ${base.mineralWorkers}/${base.optimalMineralWorkers} workers on minerals, ${base.gasWorkers}/${base.optimalGasWorkers} on gas`
+        ).join('');
+        const faction = gameState.faction;
+        const upgrades = gameState.getPlayer().upgrades.map(key => faction?.upgrades?.[key]?.name || key);
 
         return `
 Current game state:
@@ -203,13 +213,15 @@ Current game state:
   - Mining minerals: ${mineralWorkers}
   - Harvesting gas: ${gasWorkers}
   - Idle: ${idleWorkers}
+- Bases: ${gameState.getDepots().length}${bases}
 - Buildings: ${this.getBuildingCounts()}
+- Upgrades researched: ${upgrades.length > 0 ? upgrades.join(', ') : 'none'}
 - Game time: ${state.gameTime}
-- Gas extractors built: ${gameState.gasGeysers.filter(g => g.hasExtractor).length}/2`;
+- Gas extractors built: ${gameState.gasGeysers.filter(g => g.hasExtractor && (g.extractorOwner || PLAYER_ID) === PLAYER_ID).length}/2`;
     }
 
     getBuildingCounts() {
-        const buildings = gameState.buildings;
+        const buildings = gameState.getBuildingsOf();
         const counts = {};
 
         buildings.forEach(b => {
@@ -233,7 +245,7 @@ Current game state:
     }
 
     getUnitCounts() {
-        const units = gameState.units;
+        const units = gameState.getUnitsOf();
         const counts = {};
         const inProduction = {};
 
@@ -495,8 +507,11 @@ Current game state:
             'mine_minerals': `The player assigned ${details.count || 1} worker(s) to mine minerals`,
             'harvest_gas': `The player assigned ${details.count || 1} worker(s) to harvest vespene gas`,
             'move_units': `The player moved ${details.count || 1} unit(s) to a new location`,
+            'attack': `The player ordered ${details.count || 1} unit(s) to attack an enemy ${details.targetName || 'target'}`,
             'train': `The player started training a ${details.unitType || 'unit'} from the ${details.buildingType || 'base'}`,
-            'train_complete': `A ${details.unitType || 'unit'} just finished training from the ${details.buildingType || 'base'}`
+            'train_complete': `A ${details.unitType || 'unit'} just finished training from the ${details.buildingType || 'base'}`,
+            'victory': 'The player destroyed every enemy building and won the match',
+            'defeat': 'The enemy destroyed every one of the player\'s buildings. The player lost the match'
         };
 
         const actionDescription = actionDescriptions[actionType] || `The player performed: ${actionType}`;
@@ -507,8 +522,8 @@ Current game state:
 
             // Calculate state changes since last update
             const currentState = {
-                minerals: gameState.mineralWorkers.length,
-                gas: gameState.gasWorkers.length,
+                minerals: gameState.getMineralWorkers().length,
+                gas: gameState.getGasWorkers().length,
                 idle: gameState.getIdleWorkers().length
             };
 
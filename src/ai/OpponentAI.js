@@ -0,0 +1,323 @@
+/**
+ * Opponent AI
+ * Scripted computer opponent. Decisions are made on a fixed interval from game state only,
+ * so the same situation always produces the same orders. It plays through GameActions
+ * exactly like the player does, just with its own owner id.
+ */
+
+import gameState, { AI_ID, PLAYER_ID } from '../game/GameState.js';
+
+const DECISION_INTERVAL = 1.0; // seconds between decisions
+const WORKERS_PER_BASE = 16; // Saturates one mineral line and its gas
+const MAX_WORKERS = 60;
+const SUPPLY_BUFFER = 4; // Start the next supply structure when this close to the cap
+const FIRST_WAVE_SIZE = 6;
+const WAVE_SIZE_GROWTH = 2;
+const HOME_RADIUS = 30; // Enemies this close to the main base are engaged by the whole army
+
+// Opening build orders (faction building keys), worked through one step at a time
+const BUILD_ORDERS = {
+    zerg: ['supply', 'barracks', 'gasExtractor', 'hatchery', 'factory', 'hydraliskDen'],
+    human: ['supply', 'barracks', 'gasExtractor', 'factory', 'commandCenter', 'barracks'],
+    protoss: ['supply', 'barracks', 'gasExtractor', 'factory', 'nexus', 'barracks']
+};
+
+// Building slots in start-location local coordinates, on the open side of the base
+// away from the mineral line. The first slot is central so an early Pylon powers the rest.
+const BUILD_SLOTS = [
+    { x: 21, z: 0 },
+    { x: 14, z: 7 }, { x: 14, z: -7 },
+    { x: 28, z: 7 }, { x: 28, z: -7 },
+    { x: 21, z: 7 }, { x: 21, z: -7 },
+    { x: 14, z: 0 }, { x: 28, z: 0 },
+    { x: 35, z: 7 }, { x: 35, z: -7 }, { x: 35, z: 0 },
+    { x: 21, z: 14 }, { x: 21, z: -14 }
+];
+
+export class OpponentAI {
+    constructor(gameActions, owner = AI_ID) {
+        this.gameActions = gameActions;
+        this.owner = owner;
+
+        // Progress lives on the player record so it is saved with the game
+        const player = this.player;
+        if (player) {
+            player.decisionTimer = player.decisionTimer ?? 0;
+            player.buildOrderStep = player.buildOrderStep ?? 0;
+            player.nextWaveSize = player.nextWaveSize ?? FIRST_WAVE_SIZE;
+            player.autoBalanceWorkers = player.autoBalanceWorkers ?? true; // Spreads workers onto new bases
+        }
+    }
+
+    get player() {
+        return gameState.getPlayer(this.owner);
+    }
+
+    get faction() {
+        return gameState.getFactionFor(this.owner);
+    }
+
+    get buildOrder() {
+        return BUILD_ORDERS[this.faction.id] || [];
+    }
+
+    update(deltaTime) {
+        const player = this.player;
+        if (!player || gameState.winner) return;
+
+        player.decisionTimer += deltaTime;
+        while (player.decisionTimer >= DECISION_INTERVAL) {
+            player.decisionTimer -= DECISION_INTERVAL;
+            this.think();
+        }
+    }
+
+    think() {
+        this.manageWorkers();
+        this.ensureSupply();
+        this.followBuildOrder();
+        this.trainWorkers();
+        this.research();
+        this.trainArmy();
+        this.manageArmy();
+    }
+
+    // ============== ECONOMY ==============
+
+    manageWorkers() {
+        this.gameActions.assignMining(null, this.owner);
+
+        // Keep every extractor saturated
+        const gasWorkers = gameState.getGasWorkers(this.owner).length;
+        if (gasWorkers < gameState.getGasCapacity(this.owner)) {
+            this.gameActions.assignGasHarvesting(null, this.owner);
+        }
+    }
+
+    ensureSupply() {
+        const player = this.player;
+        if (player.populationMax >= 200) return;
+        if (player.populationMax - player.population > SUPPLY_BUFFER) return;
+        if (this.isConstructing('supply')) return;
+
+        this.build('supply');
+    }
+
+    followBuildOrder() {
+        const player = this.player;
+        const buildingType = this.buildOrder[player.buildOrderStep];
+        if (!buildingType) return;
+
+        // Skip steps this faction has no building for
+        if (!this.faction.buildings[buildingType]) {
+            player.buildOrderStep++;
+            return;
+        }
+
+        if (this.build(buildingType).success) {
+            player.buildOrderStep++;
+        }
+    }
+
+    trainWorkers() {
+        const workerCount = this.getOwnUnits().filter(u => u.type === 'worker').length +
+            this.getOwnQueue().filter(item => item.unitType === 'worker').length;
+        const bases = gameState.getBuildingsOf(this.owner).filter(b => gameState.isBase(b) && b.isComplete).length;
+        if (workerCount >= Math.min(MAX_WORKERS, Math.max(1, bases) * WORKERS_PER_BASE)) return;
+
+        this.train('worker', 'base');
+    }
+
+    trainArmy() {
+        // Keep minerals back for the next building in the build order
+        const reserved = this.getNextBuildCost();
+
+        const producerTypes = Object.keys(this.faction.buildings).filter(type => this.faction.buildings[type].unlocks);
+        producerTypes.forEach(producerType => {
+            const unitType = this.pickArmyUnit(producerType);
+            if (!unitType) return;
+
+            const cost = this.faction.units[unitType].cost;
+            const player = this.player;
+            if (player.minerals - reserved.minerals < cost.minerals ||
+                player.gas - reserved.gas < cost.gas) {
+                return;
+            }
+
+            this.train(unitType, producerType);
+        });
+    }
+
+    // Once the build order is done, research upgrades in faction order at idle buildings
+    research() {
+        if (this.buildOrder[this.player.buildOrderStep]) return;
+
+        const buildings = gameState.buildings.filter(b =>
+            b.isComplete &&
+            gameState.getOwner(b) === this.owner &&
+            !this.getOwnQueue().some(item => item.producerId === b.id)
+        );
+        for (const building of buildings) {
+            const upgradeKey = gameState.getResearchOptions(building).find(key =>
+                !gameState.getResearchBlocker(key, this.owner) &&
+                gameState.canAfford(this.faction.upgrades[key].cost, this.owner)
+            );
+            if (upgradeKey) {
+                this.gameActions.researchUpgrade(building, upgradeKey);
+                return;
+            }
+        }
+    }
+
+    // Least-built unit a producer unlocks whose tech is in place, so the army mixes evenly
+    pickArmyUnit(producerType) {
+        const unlocks = (this.faction.buildings[producerType]?.unlocks || [])
+            .filter(type => this.faction.units[type] && !gameState.getUnitRequirement(type, this.owner));
+        if (unlocks.length === 0) return null;
+
+        const countOf = type =>
+            this.getOwnUnits().filter(u => u.type === type).length +
+            this.getOwnQueue().filter(item => item.unitType === type).length;
+
+        return unlocks.reduce((best, type) => countOf(type) < countOf(best) ? type : best);
+    }
+
+    getNextBuildCost() {
+        const buildingType = this.buildOrder[this.player.buildOrderStep];
+        return this.faction.buildings[buildingType]?.cost || { minerals: 0, gas: 0 };
+    }
+
+    // ============== ORDERS ==============
+
+    build(buildingType) {
+        // Expansion bases go to the nearest free expansion site on the map (a Hatchery could
+        // go anywhere, but the AI only builds one to take more minerals)
+        if (this.faction.buildings[buildingType]?.isExpansion) {
+            const site = gameState.getFreeExpansions(this.owner).find(s => this.isPositionFree(s, buildingType));
+            if (!site) return { success: false, message: 'No expansion site' };
+            return this.gameActions.buildStructure(buildingType, { x: site.x, z: site.z }, null, this.owner);
+        }
+
+        // Gas extractors find their own geyser
+        if (buildingType === 'gasExtractor') {
+            return this.gameActions.buildStructure(buildingType, null, null, this.owner);
+        }
+
+        const slot = BUILD_SLOTS.find(s => this.isSlotFree(s, buildingType));
+        if (!slot) return { success: false, message: 'No room to build' };
+
+        return this.gameActions.buildStructure(buildingType, gameState.toWorldPosition(this.owner, slot.x, slot.z), null, this.owner);
+    }
+
+    isSlotFree(slot, buildingType) {
+        return this.isPositionFree(gameState.toWorldPosition(this.owner, slot.x, slot.z), buildingType);
+    }
+
+    isPositionFree(position, buildingType) {
+        if (!this.gameActions.isBuildingPositionValid(position.x, position.z, buildingType).valid) return false;
+
+        // Workers already heading out to build here
+        const claimed = this.getOwnUnits().some(u => {
+            const site = u.constructionData || u.warpData;
+            return site && Math.hypot(site.x - position.x, site.z - position.z) < 6;
+        });
+        if (claimed) return false;
+
+        const config = this.faction.buildings[buildingType];
+        return !config || !this.gameActions.getPlacementBlocker(position.x, position.z, config, this.owner);
+    }
+
+    // A building of this type is still going up (or a worker is on the way to start one)
+    isConstructing(buildingType) {
+        const underConstruction = gameState.buildings.some(b =>
+            b.type === buildingType && !b.isComplete && gameState.getOwner(b) === this.owner
+        );
+        const onTheWay = this.getOwnUnits().some(u =>
+            (u.constructionData || u.warpData)?.type === buildingType
+        );
+        return underConstruction || onTheWay;
+    }
+
+    train(unitType, producerType) {
+        // Zerg units all hatch from larva
+        if (this.faction.id === 'zerg') {
+            const larva = this.getOwnUnits().find(u => u.type === 'larva');
+            if (!larva) return false;
+            return gameState.evolveLarva(larva.id, unitType === 'worker' ? 'drone' : unitType).success;
+        }
+
+        // One item at a time per building so production spreads across producers
+        // (workers come from any base, expansions included)
+        const producer = gameState.buildings.find(b =>
+            (producerType === 'base' ? gameState.isBase(b) : b.type === producerType) &&
+            b.isComplete &&
+            gameState.getOwner(b) === this.owner &&
+            !this.getOwnQueue().some(item => item.producerId === b.id)
+        );
+        if (!producer) return false;
+
+        return this.gameActions.trainUnit(producer, unitType, this.owner).success;
+    }
+
+    // ============== ARMY ==============
+
+    manageArmy() {
+        const army = this.getOwnUnits().filter(u => u.type !== 'worker' && gameState.getCombatStats(u));
+        if (army.length === 0) return;
+
+        const home = gameState.getMainBase(this.owner) || gameState.getStartLocation(this.owner);
+        const distanceFromHome = entity => Math.hypot(entity.x - home.x, entity.z - home.z);
+
+        // Defend: everything answers an attack on the base
+        const intruder = this.findClosestEnemy(home, gameState.getUnitsNear(home.x, home.z, HOME_RADIUS));
+        if (intruder) {
+            army.filter(u => u.state !== 'attacking').forEach(u => gameState.orderAttack(u.id, intruder.id));
+            return;
+        }
+
+        const target = this.findClosestEnemy(home, gameState.buildings) ||
+            this.findClosestEnemy(home, gameState.units);
+        if (!target) return;
+
+        const idle = army.filter(u => u.state === 'idle');
+
+        // Units already out in the field keep pushing
+        idle.filter(u => distanceFromHome(u) > HOME_RADIUS)
+            .forEach(u => gameState.orderAttack(u.id, target.id));
+
+        // Send a new wave once enough units have gathered at home
+        const atHome = idle.filter(u => distanceFromHome(u) <= HOME_RADIUS);
+        if (atHome.length >= this.player.nextWaveSize) {
+            atHome.forEach(u => gameState.orderAttack(u.id, target.id));
+            this.player.nextWaveSize += WAVE_SIZE_GROWTH;
+        }
+    }
+
+    findClosestEnemy(position, entities) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        entities.forEach(entity => {
+            if (gameState.getOwner(entity) !== PLAYER_ID) return;
+            const distance = Math.hypot(entity.x - position.x, entity.z - position.z);
+            if (distance < closestDistance) {
+                closest = entity;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    // ============== HELPERS ==============
+
+    getOwnUnits() {
+        return gameState.getUnitsOf(this.owner);
+    }
+
+    getOwnQueue() {
+        return gameState.getProductionQueue(this.owner);
+    }
+}
+
+export default OpponentAI;
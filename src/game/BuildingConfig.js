@@ -9,7 +9,8 @@ export const BUILDING_DIMENSIONS = {
         collisionWidth: 7.0,
         collisionHeight: 4.0,
         collisionDepth: 10.0,
-        clickHitboxSize: 8
+        clickHitboxSize: 8,
+        visionRadius: 12 // Fog of war sight range
     },
     supply: {
         name: 'Supply Depot / Pylon / Creep Colony',
@@ -17,7 +18,8 @@ export const BUILDING_DIMENSIONS = {
         collisionWidth: 5.0,
         collisionHeight: 4.0,
         collisionDepth: 5.0,
-        clickHitboxSize: 6
+        clickHitboxSize: 6,
+        visionRadius: 9
     },
     barracks: {
         name: 'Barracks / Spawning Pool / Gateway',
@@ -25,7 +27,8 @@ export const BUILDING_DIMENSIONS = {
         collisionWidth: 5.0,
         collisionHeight: 4.0,
         collisionDepth: 5.0,
-        clickHitboxSize: 6
+        clickHitboxSize: 6,
+        visionRadius: 9
     },
     factory: {
         name: 'Factory / Roach Warren / Robotics Facility',
@@ -33,7 +36,17 @@ export const BUILDING_DIMENSIONS = {
         collisionWidth: 5.0,
         collisionHeight: 4.0,
         collisionDepth: 5.0,
-        clickHitboxSize: 6
+        clickHitboxSize: 6,
+        visionRadius: 9
+    },
+    hydraliskDen: {
+        name: 'Hydralisk Den',
+        visualScale: 2.5,
+        collisionWidth: 5.0,
+        collisionHeight: 3.0,
+        collisionDepth: 5.0,
+        clickHitboxSize: 6,
+        visionRadius: 9
     },
     gasExtractor: {
         name: 'Refinery / Extractor / Assimilator',
@@ -41,7 +54,8 @@ export const BUILDING_DIMENSIONS = {
         collisionWidth: 0, // No collision so workers can enter
         collisionHeight: 0,
         collisionDepth: 0,
-        clickHitboxSize: 6
+        clickHitboxSize: 6,
+        visionRadius: 7
     }
 };
 
@@ -68,6 +82,7 @@ export function normalizeBuildingType(type) {
         'factory': 'factory',
         'roachwarren': 'factory',
         'roboticsfacility': 'factory',
+        'hydraliskden': 'hydraliskDen',
         'gasextractor': 'gasExtractor',
         'extractor': 'gasExtractor',
         'refinery': 'gasExtractor',
@@ -0,0 +1,57 @@
+/**
+ * Player Commands
+ * Every order the local player gives goes through issueCommand, which logs it with the
+ * current tick (gameState.commandLog) and then applies it. Replays feed the log back
+ * through applyCommand, so commands name their units and targets explicitly rather than
+ * relying on the current selection.
+ */
+
+import gameState from './GameState.js';
+
+// Record a player command and carry it out. Returns whatever the underlying order returns.
+export function issueCommand(command, gameActions = null) {
+    gameState.recordCommand(command);
+    return applyCommand(command, gameActions);
+}
+
+// Carry out a command without logging it. Building, training and advisor actions need
+// the GameActions instance; unit orders only touch game state.
+export function applyCommand(command, gameActions = null) {
+    switch (command.type) {
+        case 'move':
+            return gameState.orderMove(command.unitIds, command.x, command.z);
+        case 'attack':
+            return command.unitIds.filter(unitId => gameState.orderAttack(unitId, command.targetId)).length;
+        case 'mine':
+            return gameState.orderMine(command.unitIds, command.resourceId);
+        case 'harvestGas':
+            return gameState.orderHarvestGas(command.unitIds, command.resourceId);
+        case 'construct':
+            return gameState.orderConstruct(command.unitIds, command.buildingId);
+        case 'evolve':
+            return gameState.evolveLarva(command.larvaId, command.unitType);
+        case 'cancel':
+            return gameState.cancelProduction(command.itemId);
+        case 'autoBalance':
+            return gameState.setAutoBalance(command.enabled);
+        case 'build':
+            return gameActions.buildStructure(command.buildingType, command.position, command.workerId);
+        case 'train': {
+            const producer = gameState.findEntity(command.producerId);
+            if (!producer) return { success: false, message: 'Building no longer exists' };
+            return gameActions.trainUnit(producer, command.unitType);
+        }
+        case 'research': {
+            const producer = gameState.findEntity(command.producerId);
+            if (!producer) return { success: false, message: 'Building no longer exists' };
+            return gameActions.researchUpgrade(producer, command.upgrade);
+        }
+        case 'action':
+            return gameActions.executeAction(command.action);
+        default:
+            console.warn(`Unknown command: ${command.type}`);
+            return null;
+    }
+}
+
+export default issueCommand;
@@ -2,6 +2,16 @@
  * Faction definitions with unique units, buildings, and characteristics
  */
 
+// The starting Nexus and expansion Nexuses are the same building
+const NEXUS = {
+    name: 'Nexus',
+    cost: { minerals: 400, gas: 0 },
+    buildTime: 100,
+    supplyProvided: 15,
+    produces: ['probe'],
+    shield: 500
+};
+
 export const FACTIONS = {
     zerg: {
         id: 'zerg',
@@ -33,7 +43,10 @@ export const FACTIONS = {
             name: 'Drone',
             cost: { minerals: 50, gas: 0 },
             buildTime: 17,
-            population: 1
+            population: 1,
+            attack: 5,
+            range: 1,
+            attackCooldown: 1.5
         },
         supplyUnit: {
             name: 'Overlord',
@@ -49,7 +62,8 @@ export const FACTIONS = {
                 supplyProvided: 10,
                 spawnsLarva: true,
                 larvaMax: 3,
-                larvaSpawnInterval: 30 // seconds
+                larvaSpawnInterval: 30, // seconds
+                creepRadius: 40
             },
             hatchery: {
                 name: 'Hatchery',
@@ -59,19 +73,23 @@ export const FACTIONS = {
                 spawnsLarva: true,
                 larvaMax: 3,
                 larvaSpawnInterval: 30,
-                canBuildAnywhere: true // No creep requirement
+                creepRadius: 40,
+                canBuildAnywhere: true, // No creep or resource cluster requirement
+                isExpansion: true
             },
             supply: {
                 name: 'Creep Colony',
                 cost: { minerals: 75, gas: 0 },
                 buildTime: 40,
                 supplyProvided: 8,
-                extendsCreep: true
+                extendsCreep: true,
+                creepRadius: 20
             },
             gasExtractor: {
                 name: 'Extractor',
                 cost: { minerals: 25, gas: 0 },
-                buildTime: 30
+                buildTime: 30,
+                canBuildAnywhere: true // Sits on a geyser, no creep requirement
             },
             barracks: {
                 name: 'Spawning Pool',
@@ -83,7 +101,15 @@ export const FACTIONS = {
                 name: 'Roach Warren',
                 cost: { minerals: 150, gas: 0 },
                 buildTime: 55,
-                unlocks: ['roach']
+                unlocks: ['roach'],
+                requiresBuilding: 'barracks' // Spawning Pool
+            },
+            hydraliskDen: {
+                name: 'Hydralisk Den',
+                cost: { minerals: 100, gas: 100 },
+                buildTime: 40,
+                unlocks: ['hydralisk'],
+                requiresBuilding: 'factory' // Roach Warren
             }
         },
         units: {
@@ -101,6 +127,8 @@ export const FACTIONS = {
                 population: 1,
                 attack: 5,
                 health: 35,
+                range: 1,
+                attackCooldown: 0.7,
                 requiresBuilding: 'barracks' // Spawning Pool
             },
             roach: {
@@ -110,6 +138,8 @@ export const FACTIONS = {
                 population: 2,
                 attack: 16,
                 health: 145,
+                range: 4,
+                attackCooldown: 2.0,
                 requiresBuilding: 'factory' // Roach Warren
             },
             hydralisk: {
@@ -119,7 +149,53 @@ export const FACTIONS = {
                 population: 2,
                 attack: 12,
                 health: 90,
-                requiresBuilding: 'hydraliskDen' // Not yet in game
+                range: 5,
+                attackCooldown: 0.8,
+                requiresBuilding: 'hydraliskDen'
+            }
+        },
+        upgrades: {
+            attacks1: {
+                name: 'Attacks Level 1',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 80,
+                researchedAt: 'barracks', // Spawning Pool
+                appliesTo: ['zergling', 'roach', 'hydralisk'],
+                effects: { attack: 1 }
+            },
+            attacks2: {
+                name: 'Attacks Level 2',
+                cost: { minerals: 150, gas: 150 },
+                researchTime: 100,
+                researchedAt: 'barracks',
+                requires: ['attacks1'],
+                requiresBuilding: 'factory', // Roach Warren
+                appliesTo: ['zergling', 'roach', 'hydralisk'],
+                effects: { attack: 1 }
+            },
+            carapace1: {
+                name: 'Ground Carapace',
+                cost: { minerals: 150, gas: 150 },
+                researchTime: 80,
+                researchedAt: 'base',
+                appliesTo: ['zergling', 'roach', 'hydralisk'],
+                effects: { armor: 1 }
+            },
+            metabolicBoost: {
+                name: 'Metabolic Boost',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 60,
+                researchedAt: 'barracks',
+                appliesTo: ['zergling'],
+                effects: { speed: 0.4 }
+            },
+            adaptiveMandibles: {
+                name: 'Adaptive Mandibles',
+                cost: { minerals: 100, gas: 50 },
+                researchTime: 60,
+                researchedAt: 'base',
+                appliesTo: ['worker'],
+                effects: { mining: 0.15 }
             }
         }
     },
@@ -154,7 +230,10 @@ export const FACTIONS = {
             name: 'SCV',
             cost: { minerals: 50, gas: 0 },
             buildTime: 17,
-            population: 1
+            population: 1,
+            attack: 5,
+            range: 1,
+            attackCooldown: 1.5
         },
         supplyUnit: {
             name: 'Supply Depot',
@@ -170,6 +249,14 @@ export const FACTIONS = {
                 supplyProvided: 15,
                 produces: ['scv']
             },
+            commandCenter: {
+                name: 'Command Center',
+                cost: { minerals: 400, gas: 0 },
+                buildTime: 100,
+                supplyProvided: 15,
+                produces: ['scv'],
+                isExpansion: true
+            },
             gasExtractor: {
                 name: 'Refinery',
                 cost: { minerals: 75, gas: 0 },
@@ -185,13 +272,15 @@ export const FACTIONS = {
                 name: 'Barracks',
                 cost: { minerals: 150, gas: 0 },
                 buildTime: 65,
-                unlocks: ['marine', 'marauder']
+                unlocks: ['marine', 'marauder'],
+                requiresBuilding: 'supply' // Supply Depot
             },
             factory: {
                 name: 'Factory',
                 cost: { minerals: 150, gas: 100 },
                 buildTime: 60,
-                unlocks: ['hellion', 'tank']
+                unlocks: ['hellion', 'tank'],
+                requiresBuilding: 'barracks'
             }
         },
         units: {
@@ -201,7 +290,9 @@ export const FACTIONS = {
                 buildTime: 25,
                 population: 1,
                 attack: 6,
-                health: 45
+                health: 45,
+                range: 5,
+                attackCooldown: 0.9
             },
             marauder: {
                 name: 'Marauder',
@@ -209,7 +300,9 @@ export const FACTIONS = {
                 buildTime: 30,
                 population: 2,
                 attack: 10,
-                health: 125
+                health: 125,
+                range: 6,
+                attackCooldown: 1.5
             },
             hellion: {
                 name: 'Hellion',
@@ -217,7 +310,62 @@ export const FACTIONS = {
                 buildTime: 30,
                 population: 2,
                 attack: 8,
-                health: 90
+                health: 90,
+                range: 5,
+                attackCooldown: 2.5
+            },
+            tank: {
+                name: 'Siege Tank',
+                cost: { minerals: 150, gas: 125 },
+                buildTime: 45,
+                population: 3,
+                attack: 15,
+                health: 175,
+                range: 7,
+                attackCooldown: 2.1
+            }
+        },
+        upgrades: {
+            infantryWeapons1: {
+                name: 'Infantry Weapons',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 80,
+                researchedAt: 'barracks',
+                appliesTo: ['marine', 'marauder'],
+                effects: { attack: 1 }
+            },
+            infantryArmor1: {
+                name: 'Infantry Armor',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 80,
+                researchedAt: 'barracks',
+                appliesTo: ['marine', 'marauder'],
+                effects: { armor: 1 }
+            },
+            stimpack: {
+                name: 'Stimpack',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 70,
+                researchedAt: 'barracks',
+                requiresBuilding: 'factory',
+                appliesTo: ['marine', 'marauder'],
+                effects: { speed: 0.3 }
+            },
+            vehicleWeapons1: {
+                name: 'Vehicle Weapons',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 80,
+                researchedAt: 'factory',
+                appliesTo: ['hellion', 'tank'],
+                effects: { attack: 1 }
+            },
+            advancedDrills: {
+                name: 'Advanced Drills',
+                cost: { minerals: 100, gas: 50 },
+                researchTime: 60,
+                researchedAt: 'base',
+                appliesTo: ['worker'],
+                effects: { mining: 0.15 }
             }
         }
     },
@@ -252,7 +400,11 @@ export const FACTIONS = {
             name: 'Probe',
             cost: { minerals: 50, gas: 0 },
             buildTime: 17,
-            population: 1
+            population: 1,
+            attack: 5,
+            range: 1,
+            attackCooldown: 1.5,
+            shield: 20
         },
         supplyUnit: {
             name: 'Pylon',
@@ -261,38 +413,41 @@ export const FACTIONS = {
             supplyProvided: 8
         },
         buildings: {
-            base: {
-                name: 'Nexus',
-                cost: { minerals: 400, gas: 0 },
-                buildTime: 100,
-                supplyProvided: 15,
-                produces: ['probe']
+            base: { ...NEXUS },
+            nexus: {
+                ...NEXUS,
+                isExpansion: true // No power needed
             },
             gasExtractor: {
                 name: 'Assimilator',
                 cost: { minerals: 75, gas: 0 },
-                buildTime: 30
+                buildTime: 30,
+                shield: 100
             },
             supply: {
                 name: 'Pylon',
                 cost: { minerals: 100, gas: 0 },
                 buildTime: 25,
                 supplyProvided: 8,
-                powerFieldRadius: 12  // Pylon power field radius
+                powerFieldRadius: 12,  // Pylon power field radius
+                shield: 100
             },
             barracks: {
                 name: 'Gateway',
                 cost: { minerals: 150, gas: 0 },
                 buildTime: 65,
                 unlocks: ['zealot', 'stalker'],
-                requiresPower: true  // Must be within Pylon power field
+                requiresPower: true,  // Must be within Pylon power field
+                shield: 100
             },
             factory: {
                 name: 'Robotics Facility',
                 cost: { minerals: 200, gas: 100 },
                 buildTime: 65,
                 unlocks: ['immortal'],
-                requiresPower: true  // Must be within Pylon power field
+                requiresBuilding: 'barracks', // Gateway
+                requiresPower: true,  // Must be within Pylon power field
+                shield: 100
             }
         },
         units: {
@@ -303,6 +458,8 @@ export const FACTIONS = {
                 population: 2,
                 attack: 8,
                 health: 100,
+                range: 1,
+                attackCooldown: 1.2,
                 shield: 50
             },
             stalker: {
@@ -312,6 +469,8 @@ export const FACTIONS = {
                 population: 2,
                 attack: 13,
                 health: 80,
+                range: 6,
+                attackCooldown: 1.9,
                 shield: 80
             },
             immortal: {
@@ -321,8 +480,54 @@ export const FACTIONS = {
                 population: 4,
                 attack: 20,
                 health: 200,
+                range: 6,
+                attackCooldown: 1.45,
                 shield: 100
             }
+        },
+        upgrades: {
+            groundWeapons1: {
+                name: 'Ground Weapons',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 80,
+                researchedAt: 'barracks', // Gateway
+                appliesTo: ['zealot', 'stalker', 'immortal'],
+                effects: { attack: 1 }
+            },
+            groundArmor1: {
+                name: 'Ground Armor',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 80,
+                researchedAt: 'barracks',
+                appliesTo: ['zealot', 'stalker', 'immortal'],
+                effects: { armor: 1 }
+            },
+            shields1: {
+                name: 'Shields Level 1',
+                cost: { minerals: 150, gas: 150 },
+                researchTime: 80,
+                researchedAt: 'barracks',
+                requiresBuilding: 'factory', // Robotics Facility
+                appliesTo: ['zealot', 'stalker', 'immortal'],
+                effects: { shieldArmor: 1 } // Less damage taken on shields
+            },
+            charge: {
+                name: 'Charge',
+                cost: { minerals: 100, gas: 100 },
+                researchTime: 70,
+                researchedAt: 'barracks',
+                requires: ['groundWeapons1'],
+                appliesTo: ['zealot'],
+                effects: { speed: 0.4 }
+            },
+            resonantHarvesting: {
+                name: 'Resonant Harvesting',
+                cost: { minerals: 100, gas: 50 },
+                researchTime: 60,
+                researchedAt: 'base', // Nexus
+                appliesTo: ['worker'],
+                effects: { mining: 0.15 }
+            }
         }
     }
 };
@@ -331,6 +536,20 @@ export function getFaction(factionId) {
     return FACTIONS[factionId] || null;
 }
 
+// Building key of the faction's expansion base (Hatchery, Command Center, Nexus), or null
+export function getExpansionBuildingType(faction) {
+    if (!faction) return null;
+    return Object.keys(faction.buildings).find(type => faction.buildings[type].isExpansion) || null;
+}
+
+// Resolve a unit type to its faction definition (worker and supply unit live outside `units`)
+export function getUnitDefinition(faction, unitType) {
+    if (!faction || !unitType) return null;
+    if (unitType === 'worker' || unitType === 'drone') return faction.worker;
+    if (unitType === 'overlord') return faction.supplyUnit;
+    return faction.units[unitType] || null;
+}
+
 export function getRandomGreeting(faction) {
     const greetings = faction.advisor.greetings;
     return greetings[Math.floor(Math.random() * greetings.length)];
@@ -3,7 +3,11 @@
  * Executes game commands from AI or player input
  */
 
-import gameState from './GameState.js';
+import gameState, { PLAYER_ID } from './GameState.js';
+import { getExpansionBuildingType, getUnitDefinition } from './Faction.js';
+
+// Bases that must go next to a free mineral field (a Hatchery can go anywhere)
+export const RESOURCE_CLUSTER_TYPES = ['commandcenter', 'nexus'];
 
 export class GameActions {
     constructor(onBuildingCreated, onUnitCreated) {
@@ -18,8 +22,17 @@ export class GameActions {
         switch (action.type) {
             case 'BUILD':
                 return this.buildStructure(action.target);
-            case 'PRODUCE':
-                return this.trainUnit('base', action.target);
+            case 'PRODUCE': {
+                // Train at whichever finished building can make the unit
+                const producer = gameState.findProducer(action.target);
+                if (!producer) {
+                    const definition = getUnitDefinition(gameState.faction, action.target);
+                    result.message = (definition && gameState.getUnitRequirement(action.target)) ||
+                        `No finished building can train ${definition?.name || action.target}`;
+                    return result;
+                }
+                return this.trainUnit(producer, action.target);
+            }
             case 'MINE':
                 return this.assignMining(count);
             case 'HARVEST_GAS':
@@ -30,9 +43,9 @@ export class GameActions {
         }
     }
 
-    buildStructure(buildingType, manualPosition = null, selectedWorkerId = null) {
+    buildStructure(buildingType, manualPosition = null, selectedWorkerId = null, owner = PLAYER_ID) {
         const result = { success: false, message: '' };
-        const faction = gameState.faction;
+        const faction = gameState.getFactionFor(owner);
 
         if (!faction) {
             result.message = 'No faction selected';
@@ -44,6 +57,13 @@ export class GameActions {
         let buildingConfig;
         let placement = manualPosition ? { x: manualPosition.x, z: manualPosition.z } : { x: 0, z: 0 };
         const useAutoPlacement = !manualPosition;
+        const ownBuildings = gameState.buildings.filter(b => gameState.getOwner(b) === owner);
+        // Auto-placement grids are laid out relative to the owner's start location
+        const placeAt = (localX, localZ) => {
+            const position = gameState.toWorldPosition(owner, localX, localZ);
+            placement.x = position.x;
+            placement.z = position.z;
+        };
 
         // Get building configuration
         switch (normalizedType) {
@@ -56,14 +76,13 @@ export class GameActions {
                 // Auto-place supply buildings in a grid pattern
                 if (useAutoPlacement) {
                     const supplyTypes = ['supply', 'supplydepot', 'pylon', 'creepcolony'];
-                    const existingCount = gameState.buildings.filter(b => supplyTypes.includes(b.type.toLowerCase())).length;
+                    const existingCount = ownBuildings.filter(b => supplyTypes.includes(b.type.toLowerCase())).length;
 
                     // Find first valid grid position
                     let offset = 0;
                     while (true) {
                         const idx = existingCount + offset;
-                        placement.x = 15 + (idx % 3) * 4;
-                        placement.z = -10 + Math.floor(idx / 3) * 4;
+                        placeAt(15 + (idx % 3) * 4, -10 + Math.floor(idx / 3) * 4);
                         const validation = this.isBuildingPositionValid(placement.x, placement.z, buildingType);
                         if (validation.valid) break;
 
@@ -79,14 +98,13 @@ export class GameActions {
                 buildingConfig = faction.buildings.barracks;
                 if (useAutoPlacement) {
                     const barracksTypes = ['barracks', 'spawningpool', 'gateway'];
-                    const existingCount = gameState.buildings.filter(b => barracksTypes.includes(b.type.toLowerCase())).length;
+                    const existingCount = ownBuildings.filter(b => barracksTypes.includes(b.type.toLowerCase())).length;
 
                     // Find first valid position
                     let offset = 0;
                     while (true) {
                         const count = existingCount + offset;
-                        placement.x = -15 - count * 5;
-                        placement.z = 5;
+                        placeAt(-15 - count * 5, 5);
                         const validation = this.isBuildingPositionValid(placement.x, placement.z, buildingType);
                         if (validation.valid) break;
                         offset++;
@@ -101,14 +119,35 @@ export class GameActions {
                 buildingConfig = faction.buildings.factory;
                 if (useAutoPlacement) {
                     const factoryTypes = ['factory', 'roachwarren', 'roboticsfacility'];
-                    const existingCount = gameState.buildings.filter(b => factoryTypes.includes(b.type.toLowerCase())).length;
+                    const existingCount = ownBuildings.filter(b => factoryTypes.includes(b.type.toLowerCase())).length;
 
                     // Find first valid position
                     let offset = 0;
                     while (true) {
                         const count = existingCount + offset;
-                        placement.x = -15 - count * 5;
-                        placement.z = -5;
+                        placeAt(-15 - count * 5, -5);
+                        const validation = this.isBuildingPositionValid(placement.x, placement.z, buildingType);
+                        if (validation.valid) break;
+                        offset++;
+                        if (offset > 20) break;
+                    }
+                }
+                break;
+
+            case 'hydraliskden':
+                buildingConfig = faction.buildings.hydraliskDen;
+                if (!buildingConfig) {
+                    result.message = `${faction.name} cannot build ${buildingType}`;
+                    return result;
+                }
+                if (useAutoPlacement) {
+                    const existingCount = ownBuildings.filter(b => b.type.toLowerCase() === 'hydraliskden').length;
+
+                    // Find first valid position
+                    let offset = 0;
+                    while (true) {
+                        const count = existingCount + offset;
+                        placeAt(-15 - count * 5, -15);
                         const validation = this.isBuildingPositionValid(placement.x, placement.z, buildingType);
                         if (validation.valid) break;
                         offset++;
@@ -118,9 +157,28 @@ export class GameActions {
                 break;
 
             case 'hatchery':
-                buildingConfig = faction.buildings.hatchery;
-                // Hatchery uses manual placement only (expansion)
+            case 'commandcenter':
+            case 'nexus': {
+                // Each faction has its own expansion base
+                const expansionType = getExpansionBuildingType(faction);
+                if (expansionType?.toLowerCase() !== normalizedType) {
+                    result.message = `${faction.name} cannot build ${buildingType}`;
+                    return result;
+                }
+                buildingConfig = faction.buildings[expansionType];
+                // Auto-place on the nearest free expansion site
+                if (useAutoPlacement) {
+                    const site = gameState.getFreeExpansions(owner)
+                        .find(candidate => this.isBuildingPositionValid(candidate.x, candidate.z, buildingType).valid);
+                    if (!site) {
+                        result.message = 'No free expansion site';
+                        return result;
+                    }
+                    placement.x = site.x;
+                    placement.z = site.z;
+                }
                 break;
+            }
 
             case 'gasextractor':
             case 'extractor':
@@ -152,8 +210,9 @@ export class GameActions {
                             return closest;
                         }, null)?.geyser;
                 } else {
+                    // First free geyser in the owner's own mineral line
                     targetGeyser = gameState.gasGeysers.find(g => {
-                        if (g.hasExtractor) return false;
+                        if (g.hasExtractor || !gameState.isNearOwnedBase(g, owner)) return false;
                         const isOccupied = occupiedGeysers.some(
                             b => Math.abs(b.x - g.x) < 2 && Math.abs(b.z - g.z) < 2
                         );
@@ -174,6 +233,13 @@ export class GameActions {
                 return result;
         }
 
+        // Tech prerequisites (e.g. a Factory needs a finished Barracks)
+        const missingRequirement = gameState.getMissingRequirement(buildingConfig, owner);
+        if (missingRequirement) {
+            result.message = missingRequirement;
+            return result;
+        }
+
         // Check for building overlap (skip for gas extractors - they go on geysers)
         if (normalizedType !== 'gasextractor' && normalizedType !== 'extractor' &&
             normalizedType !== 'refinery' && normalizedType !== 'assimilator') {
@@ -184,16 +250,15 @@ export class GameActions {
             }
         }
 
-        // Protoss power field check - buildings with requiresPower must be within a Pylon's field
-        if (faction.id === 'protoss' && buildingConfig.requiresPower) {
-            if (!this.isWithinPylonField(placement.x, placement.z)) {
-                result.message = 'Must be placed within a Pylon\'s power field';
-                return result;
-            }
+        // Protoss power field and Zerg creep checks
+        const placementBlocker = this.getPlacementBlocker(placement.x, placement.z, buildingConfig, owner);
+        if (placementBlocker) {
+            result.message = placementBlocker;
+            return result;
         }
 
         // Check resources
-        if (!gameState.canAfford(buildingConfig.cost)) {
+        if (!gameState.canAfford(buildingConfig.cost, owner)) {
             result.message = `Not enough resources. Need ${buildingConfig.cost.minerals} minerals, ${buildingConfig.cost.gas} gas`;
             return result;
         }
@@ -201,26 +266,7 @@ export class GameActions {
         // Special Human logic: SCV must go to site and stay there
         if (faction.id === 'human') {
             // Use selected worker if provided, otherwise find one
-            let scv = null;
-            if (selectedWorkerId) {
-                const selectedUnit = gameState.units.find(u => u.id === selectedWorkerId);
-                if (selectedUnit && selectedUnit.type === 'worker') {
-                    scv = selectedUnit;
-                    // Remove from worker lists if present
-                    gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== selectedWorkerId);
-                    gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== selectedWorkerId);
-                }
-            }
-
-            // Fall back to auto-selection if no valid selected worker
-            if (!scv) {
-                scv = gameState.getIdleWorkers()[0];
-                if (!scv && gameState.mineralWorkers.length > 0) {
-                    // Take one from minerals
-                    const workerId = gameState.mineralWorkers.pop();
-                    scv = gameState.units.find(u => u.id === workerId);
-                }
-            }
+            const scv = this.claimBuilder(selectedWorkerId, owner);
 
             if (!scv) {
                 result.message = 'No SCVs available for construction';
@@ -233,12 +279,13 @@ export class GameActions {
             scv.targetZ = undefined;
 
             // Spend resources
-            gameState.spendResources(buildingConfig.cost);
+            gameState.spendResources(buildingConfig.cost, owner);
 
             // Create building (under construction)
             const building = gameState.addBuilding({
                 type: buildingType,
                 name: buildingConfig.name,
+                owner,
                 x: placement.x,
                 z: placement.z,
                 health: 10,
@@ -252,6 +299,7 @@ export class GameActions {
                 buildingId: building.id,
                 type: buildingType,
                 name: buildingConfig.name,
+                owner,
                 buildTime: buildingConfig.buildTime,
                 supplyProvided: buildingConfig.supplyProvided || 0,
                 isPaused: true
@@ -276,26 +324,7 @@ export class GameActions {
         // Special Zerg logic: drones are consumed
         if (faction.id === 'zerg') {
             // Use selected worker if provided, otherwise find one
-            let drone = null;
-            if (selectedWorkerId) {
-                const selectedUnit = gameState.units.find(u => u.id === selectedWorkerId);
-                if (selectedUnit && selectedUnit.type === 'worker') {
-                    drone = selectedUnit;
-                    // Remove from worker lists if present
-                    gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== selectedWorkerId);
-                    gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== selectedWorkerId);
-                }
-            }
-
-            // Fall back to auto-selection if no valid selected worker
-            if (!drone) {
-                drone = gameState.getIdleWorkers()[0];
-                if (!drone && gameState.mineralWorkers.length > 0) {
-                    // Take one from minerals
-                    const workerId = gameState.mineralWorkers.pop();
-                    drone = gameState.units.find(u => u.id === workerId);
-                }
-            }
+            const drone = this.claimBuilder(selectedWorkerId, owner);
 
             if (!drone) {
                 result.message = 'No drones available for construction';
@@ -308,13 +337,14 @@ export class GameActions {
             drone.targetZ = undefined;
 
             // Spend resources
-            gameState.spendResources(buildingConfig.cost);
+            gameState.spendResources(buildingConfig.cost, owner);
 
             // Assign drone to construction
             drone.state = 'constructing';
             drone.constructionData = {
                 type: buildingType,
                 name: buildingConfig.name,
+                owner,
                 x: placement.x,
                 z: placement.z,
                 buildTime: buildingConfig.buildTime,
@@ -329,26 +359,7 @@ export class GameActions {
         // Special Protoss logic: Probe warps in buildings, then is free to leave
         if (faction.id === 'protoss') {
             // Use selected worker if provided, otherwise find one
-            let probe = null;
-            if (selectedWorkerId) {
-                const selectedUnit = gameState.units.find(u => u.id === selectedWorkerId);
-                if (selectedUnit && selectedUnit.type === 'worker') {
-                    probe = selectedUnit;
-                    // Remove from worker lists if present
-                    gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== selectedWorkerId);
-                    gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== selectedWorkerId);
-                }
-            }
-
-            // Fall back to auto-selection if no valid selected worker
-            if (!probe) {
-                probe = gameState.getIdleWorkers()[0];
-                if (!probe && gameState.mineralWorkers.length > 0) {
-                    // Take one from minerals
-                    const workerId = gameState.mineralWorkers.pop();
-                    probe = gameState.units.find(u => u.id === workerId);
-                }
-            }
+            const probe = this.claimBuilder(selectedWorkerId, owner);
 
             if (!probe) {
                 result.message = 'No Probes available for construction';
@@ -361,13 +372,14 @@ export class GameActions {
             probe.targetZ = undefined;
 
             // Spend resources
-            gameState.spendResources(buildingConfig.cost);
+            gameState.spendResources(buildingConfig.cost, owner);
 
             // Assign probe to warp-in construction (probe travels to site, starts warp, then is freed)
             probe.state = 'warping';
             probe.warpData = {
                 type: buildingType,
                 name: buildingConfig.name,
+                owner,
                 x: placement.x,
                 z: placement.z,
                 buildTime: buildingConfig.buildTime,
@@ -382,12 +394,13 @@ export class GameActions {
         }
 
         // Spend resources
-        gameState.spendResources(buildingConfig.cost);
+        gameState.spendResources(buildingConfig.cost, owner);
 
         // Create building (under construction)
         const building = gameState.addBuilding({
             type: buildingType,
             name: buildingConfig.name,
+            owner,
             x: placement.x,
             z: placement.z,
             health: 100,
@@ -401,6 +414,7 @@ export class GameActions {
             buildingId: building.id,
             type: buildingType,
             name: buildingConfig.name,
+            owner,
             buildTime: buildingConfig.buildTime,
             supplyProvided: buildingConfig.supplyProvided || 0
         });
@@ -415,11 +429,42 @@ export class GameActions {
         return result;
     }
 
+    // Pick the worker that will construct a building: the selected one if valid,
+    // otherwise an idle worker, otherwise one pulled off the mineral line
+    claimBuilder(selectedWorkerId, owner = PLAYER_ID) {
+        const isOwnWorker = u => u && u.type === 'worker' && gameState.getOwner(u) === owner;
+
+        if (selectedWorkerId) {
+            const selectedUnit = gameState.getUnit(selectedWorkerId);
+            if (isOwnWorker(selectedUnit)) {
+                // Remove from worker lists if present
+                gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== selectedWorkerId);
+                gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== selectedWorkerId);
+                return selectedUnit;
+            }
+        }
+
+        // Fall back to auto-selection if no valid selected worker
+        const idleWorker = gameState.getIdleWorkers(owner)[0];
+        if (idleWorker) return idleWorker;
+
+        // Take one from minerals
+        const miner = [...gameState.mineralWorkers]
+            .reverse()
+            .map(id => gameState.getUnit(id))
+            .find(isOwnWorker);
+        if (miner) {
+            gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== miner.id);
+        }
+        return miner || null;
+    }
+
     startZergConstruction(constructionData) {
         // This is called when the drone reaches the construction site
         const building = gameState.addBuilding({
             type: constructionData.type,
             name: constructionData.name,
+            owner: constructionData.owner,
             x: constructionData.x,
             z: constructionData.z,
             health: 100,
@@ -432,6 +477,7 @@ export class GameActions {
             buildingId: building.id,
             type: constructionData.type,
             name: constructionData.name,
+            owner: constructionData.owner,
             buildTime: constructionData.buildTime,
             supplyProvided: constructionData.supplyProvided || 0
         });
@@ -446,6 +492,7 @@ export class GameActions {
         const building = gameState.addBuilding({
             type: warpData.type,
             name: warpData.name,
+            owner: warpData.owner,
             x: warpData.x,
             z: warpData.z,
             health: 100,
@@ -458,6 +505,7 @@ export class GameActions {
             buildingId: building.id,
             type: warpData.type,
             name: warpData.name,
+            owner: warpData.owner,
             buildTime: warpData.buildTime,
             supplyProvided: warpData.supplyProvided || 0
         });
@@ -467,9 +515,13 @@ export class GameActions {
         }
     }
 
-    trainUnit(buildingOrType, unitType) {
+    trainUnit(buildingOrType, unitType, owner = null) {
         const result = { success: false, message: '' };
-        const faction = gameState.faction;
+        // Buildings train for whoever owns them
+        if (!owner) {
+            owner = typeof buildingOrType === 'object' ? gameState.getOwner(buildingOrType) : PLAYER_ID;
+        }
+        const faction = gameState.getFactionFor(owner);
 
         if (!faction) {
             result.message = 'No faction selected';
@@ -477,51 +529,25 @@ export class GameActions {
         }
 
         // Support both building entity and building type (for backwards compatibility)
-        let buildingType, producerId, producerX, producerZ;
+        let producer;
         if (typeof buildingOrType === 'object') {
             // Building entity passed
-            buildingType = buildingOrType.type;
-            producerId = buildingOrType.id;
-            producerX = buildingOrType.x;
-            producerZ = buildingOrType.z;
+            producer = buildingOrType;
         } else {
             // Just type passed (legacy/AI calls)
-            buildingType = buildingOrType;
-            const producerBuilding = gameState.buildings.find(b => b.type === buildingType && b.isComplete);
-            producerId = producerBuilding?.id || buildingType;
-            producerX = producerBuilding?.x || 0;
-            producerZ = producerBuilding?.z || 0;
-        }
-
-        // Special case for Overlords (Zerg supply)
-        if (unitType === 'overlord' && faction.id === 'zerg') {
-            const overlordConfig = faction.supplyUnit;
-            if (!gameState.canAfford(overlordConfig.cost)) {
-                result.message = `Not enough resources. Need ${overlordConfig.cost.minerals} minerals`;
+            producer = gameState.buildings.find(b =>
+                b.type === buildingOrType && b.isComplete && gameState.getOwner(b) === owner
+            );
+            if (!producer) {
+                result.message = `No finished ${buildingOrType} to train at`;
                 return result;
             }
-
-            gameState.spendResources(overlordConfig.cost);
-            gameState.addToProductionQueue({
-                category: 'unit',
-                unitType: 'overlord',
-                name: overlordConfig.name,
-                buildTime: overlordConfig.buildTime,
-                population: 0,
-                health: 200,
-                isSupplyUnit: true,
-                supplyProvided: overlordConfig.supplyProvided,
-                producerId,
-                producerType: 'base',
-                producerX,
-                producerZ
-            });
-            result.success = true;
-            result.message = `Spawning ${overlordConfig.name}`;
-            return result;
         }
+        const buildingType = producer.type;
+        const producerId = producer.id;
+        const producerX = producer.x;
+        const producerZ = producer.z;
 
-        let unitConfig;
         // Normalize unit type
         const unitTypeMap = {
             'worker': 'worker',
@@ -534,6 +560,30 @@ export class GameActions {
         };
         const normalizedType = unitTypeMap[unitType] || unitType;
 
+        // The building must train this unit and its tech requirements must be met
+        const blocker = gameState.getTrainBlocker(producer, normalizedType);
+        if (blocker) {
+            result.message = blocker;
+            return result;
+        }
+
+        // Zerg units hatch from one of the Hatchery's larva
+        if (faction.id === 'zerg') {
+            const larvaId = gameState.getLarvaForHatchery(producerId)[0];
+            if (!larvaId) {
+                result.message = 'No larva available';
+                return result;
+            }
+
+            const evolution = gameState.evolveLarva(larvaId, normalizedType === 'worker' ? 'drone' : normalizedType);
+            result.success = evolution.success;
+            result.message = evolution.success
+                ? `Evolving ${getUnitDefinition(faction, normalizedType).name}`
+                : evolution.error;
+            return result;
+        }
+
+        let unitConfig;
         if (normalizedType === 'worker') {
             unitConfig = faction.worker;
         } else if (faction.units[normalizedType]) {
@@ -545,21 +595,22 @@ export class GameActions {
 
         const populationCost = unitConfig.population || 1;
 
-        if (!gameState.canAddPopulation(populationCost)) {
+        if (!gameState.canAddPopulation(populationCost, owner)) {
             result.message = 'Population cap reached. Build more supply structures.';
             return result;
         }
 
-        if (!gameState.canAfford(unitConfig.cost)) {
+        if (!gameState.canAfford(unitConfig.cost, owner)) {
             result.message = `Not enough resources. Need ${unitConfig.cost.minerals} minerals, ${unitConfig.cost.gas} gas`;
             return result;
         }
 
-        gameState.spendResources(unitConfig.cost);
+        gameState.spendResources(unitConfig.cost, owner);
         gameState.addToProductionQueue({
             category: 'unit',
             unitType: normalizedType,
             name: unitConfig.name,
+            owner,
             buildTime: unitConfig.buildTime,
             population: populationCost,
             health: unitConfig.health || 40,
@@ -574,9 +625,51 @@ export class GameActions {
         return result;
     }
 
-    assignMining(count = null) {
+    // Queue an upgrade at the building that researches it
+    researchUpgrade(building, upgradeKey) {
         const result = { success: false, message: '' };
-        const idleWorkers = gameState.getIdleWorkers();
+        const owner = gameState.getOwner(building);
+        const upgrade = gameState.getFactionFor(owner)?.upgrades?.[upgradeKey];
+
+        if (!upgrade || !gameState.getResearchOptions(building).includes(upgradeKey)) {
+            result.message = `Cannot research ${upgrade?.name || upgradeKey} here`;
+            return result;
+        }
+        if (!building.isComplete) {
+            result.message = 'Building is still under construction';
+            return result;
+        }
+
+        const blocker = gameState.getResearchBlocker(upgradeKey, owner);
+        if (blocker) {
+            result.message = blocker;
+            return result;
+        }
+
+        if (!gameState.canAfford(upgrade.cost, owner)) {
+            result.message = `Not enough resources. Need ${upgrade.cost.minerals} minerals, ${upgrade.cost.gas} gas`;
+            return result;
+        }
+
+        gameState.spendResources(upgrade.cost, owner);
+        gameState.addToProductionQueue({
+            category: 'research',
+            upgrade: upgradeKey,
+            name: upgrade.name,
+            owner,
+            buildTime: upgrade.researchTime,
+            producerId: building.id,
+            producerType: building.type
+        });
+
+        result.success = true;
+        result.message = `Researching ${upgrade.name}`;
+        return result;
+    }
+
+    assignMining(count = null, owner = PLAYER_ID) {
+        const result = { success: false, message: '' };
+        const idleWorkers = gameState.getIdleWorkers(owner);
 
         if (idleWorkers.length === 0) {
             result.message = 'No idle workers available';
@@ -598,35 +691,41 @@ export class GameActions {
         return result;
     }
 
-    assignGasHarvesting(count = null) {
+    assignGasHarvesting(count = null, owner = PLAYER_ID) {
         const result = { success: false, message: '' };
 
-        // Determine how many workers to assign (default 3)
-        const targetCount = count || 3;
-
         // Check if we have a gas extractor
-        const hasExtractor = gameState.gasGeysers.some(g => g.hasExtractor);
-        if (!hasExtractor) {
+        const capacity = gameState.getGasCapacity(owner);
+        if (capacity === 0) {
             result.message = 'No gas extractor built';
             return result;
         }
 
+        // Fill the open slots at the owner's extractors (by default all of them)
+        const openSlots = capacity - gameState.getGasWorkers(owner).length;
+        if (openSlots <= 0) {
+            result.message = `Gas extractors are fully saturated (${capacity} workers)`;
+            return result;
+        }
+        const targetCount = Math.min(count || openSlots, openSlots);
+
         // First try idle workers
-        let availableWorkers = gameState.getIdleWorkers();
+        let availableWorkers = gameState.getIdleWorkers(owner);
+        const ownMineralWorkers = gameState.getMineralWorkers(owner);
 
         // If not enough idle workers, pull from mineral workers
-        if (availableWorkers.length < targetCount && gameState.mineralWorkers.length > 0) {
+        if (availableWorkers.length < targetCount && ownMineralWorkers.length > 0) {
             const needed = targetCount - availableWorkers.length;
             // Get workers currently mining
-            const miningWorkerIds = gameState.mineralWorkers.slice(0, needed);
+            const miningWorkerIds = ownMineralWorkers.slice(0, needed);
             const miningWorkers = miningWorkerIds.map(id =>
-                gameState.units.find(u => u.id === id)
+                gameState.getUnit(id)
             ).filter(Boolean);
 
             // Remove them from mineral workers and make idle
             miningWorkerIds.forEach(id => {
                 gameState.mineralWorkers = gameState.mineralWorkers.filter(wid => wid !== id);
-                const worker = gameState.units.find(u => u.id === id);
+                const worker = gameState.getUnit(id);
                 if (worker) {
                     worker.state = 'idle';
                     worker.targetResource = null;
@@ -641,11 +740,9 @@ export class GameActions {
             return result;
         }
 
-        // Limit to requested count and available gas slots
-        const gasWorkersNeeded = Math.min(targetCount, 3 - gameState.gasWorkers.length);
         let assigned = 0;
 
-        for (let i = 0; i < Math.min(gasWorkersNeeded, availableWorkers.length); i++) {
+        for (let i = 0; i < Math.min(targetCount, availableWorkers.length); i++) {
             if (gameState.assignWorkerToGas(availableWorkers[i].id)) {
                 assigned++;
             }
@@ -654,7 +751,7 @@ export class GameActions {
         result.success = assigned > 0;
         result.message = assigned > 0
             ? `Assigned ${assigned} workers to harvest gas`
-            : 'Gas workers slots are full (max 3)';
+            : 'No workers could harvest gas';
         return result;
     }
 
@@ -671,13 +768,28 @@ export class GameActions {
             'factory': 3.5,
             'roachwarren': 3.5,
             'roboticsfacility': 3.5,
-            'base': 6
+            'hydraliskden': 3,
+            'base': 6,
+            'hatchery': 6,
+            'nexus': 6,
+            'commandcenter': 6
         };
 
         const normalizedType = buildingType.toLowerCase();
         const newBuildingSize = buildingSizes[normalizedType] || 3;
         const minDistance = 6; // Minimum distance between building centers
 
+        // Level, open ground only: no cliffs, rocks, ramps or map edge
+        if (!gameState.isAreaBuildable(x, z, newBuildingSize)) {
+            return { valid: false, reason: 'Cannot build on uneven or blocked ground' };
+        }
+
+        // Command Centers and Nexuses need a mineral field of their own
+        if (RESOURCE_CLUSTER_TYPES.includes(normalizedType)) {
+            const basePlacement = gameState.checkBasePlacement(x, z);
+            if (!basePlacement.valid) return basePlacement;
+        }
+
         // Check against all existing buildings
         for (const building of gameState.buildings) {
             const existingSize = buildingSizes[building.type?.toLowerCase()] || 3;
@@ -714,14 +826,29 @@ export class GameActions {
         return { valid: true };
     }
 
+    // Faction placement rules, shared with the placement ghost: buildings with requiresPower must
+    // be within a Pylon's field, Zerg buildings must be on the owner's creep unless canBuildAnywhere
+    getPlacementBlocker(x, z, buildingConfig, owner = PLAYER_ID) {
+        const faction = gameState.getFactionFor(owner);
+        if (faction.id === 'protoss' && buildingConfig.requiresPower && !this.isWithinPylonField(x, z, owner)) {
+            return 'Must be placed within a Pylon\'s power field';
+        }
+        const needsNoCreep = buildingConfig.canBuildAnywhere;
+        if (faction.id === 'zerg' && !needsNoCreep && !gameState.isOnCreep(x, z, owner)) {
+            return 'Must be placed on creep';
+        }
+        return null;
+    }
+
     // Check if a position is within any completed Pylon's power field (Protoss only)
-    isWithinPylonField(x, z) {
-        const faction = gameState.faction;
+    isWithinPylonField(x, z, owner = PLAYER_ID) {
+        const faction = gameState.getFactionFor(owner);
         if (!faction || faction.id !== 'protoss') return true;
 
         const pylonRadius = faction.buildings.supply?.powerFieldRadius || 8;
         const pylons = gameState.buildings.filter(b =>
             b.isComplete &&
+            gameState.getOwner(b) === owner &&
             (b.type?.toLowerCase() === 'pylon' || b.type?.toLowerCase() === 'supply')
         );
 
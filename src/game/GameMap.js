@@ -0,0 +1,175 @@
+/**
+ * Game Map
+ * Terrain and layout of a match: a square heightmap centred on the origin, the cells
+ * units cannot cross (cliffs, rocks), start locations and expansion sites with their
+ * resource nodes. GameState, the navigation grid and the renderers all read from it.
+ */
+
+export const MAP_SIZES = { small: 180, medium: 200, large: 240 };
+export const DEFAULT_MAP_SIZE = 'medium';
+export const TERRAIN_CELL_SIZE = 2;
+export const MINERAL_AMOUNT = 1500;
+export const GEYSER_AMOUNT = 2500;
+
+const MAX_BUILDABLE_SLOPE = 0.25; // Height difference across a cell that still counts as flat
+
+export class GameMap {
+    constructor({ name = 'Untitled', size = MAP_SIZES[DEFAULT_MAP_SIZE], heights = null, blocked = null, startLocations = [], expansions = [] } = {}) {
+        this.name = name;
+        this.size = size;
+        this.resolution = Math.ceil(size / TERRAIN_CELL_SIZE); // Cells per side
+        this.cellSize = size / this.resolution;
+        this.origin = -size / 2;
+
+        // Heights at cell corners ((resolution + 1)² vertices), impassable flags per cell
+        this.heights = heights || new Float32Array((this.resolution + 1) ** 2);
+        this.blocked = blocked || new Uint8Array(this.resolution ** 2);
+
+        // Start locations ({ x, z, rotation }) in player order: local player, then opponent.
+        // Rotation turns the base layout so its open side faces the rest of the map.
+        this.startLocations = startLocations;
+
+        // Base sites ({ x, z, minerals: [{ x, z, amount }], geysers: [{ x, z, amount }] }),
+        // start locations included
+        this.expansions = expansions;
+    }
+
+    // ============== TERRAIN QUERIES ==============
+
+    // Ground height, interpolated between the surrounding vertices
+    getHeight(x, z) {
+        const fx = Math.max(0, Math.min(this.resolution, (x - this.origin) / this.cellSize));
+        const fz = Math.max(0, Math.min(this.resolution, (z - this.origin) / this.cellSize));
+        const col = Math.min(this.resolution - 1, Math.floor(fx));
+        const row = Math.min(this.resolution - 1, Math.floor(fz));
+        const tx = fx - col;
+        const tz = fz - row;
+
+        const stride = this.resolution + 1;
+        const h00 = this.heights[row * stride + col];
+        const h10 = this.heights[row * stride + col + 1];
+        const h01 = this.heights[(row + 1) * stride + col];
+        const h11 = this.heights[(row + 1) * stride + col + 1];
+
+        return (h00 * (1 - tx) + h10 * tx) * (1 - tz) + (h01 * (1 - tx) + h11 * tx) * tz;
+    }
+
+    // Cell under a world position, or null off the map
+    toCell(x, z) {
+        const col = Math.floor((x - this.origin) / this.cellSize);
+        const row = Math.floor((z - this.origin) / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.resolution || row >= this.resolution) return null;
+        return [col, row];
+    }
+
+    // Off the map counts as blocked
+    isBlocked(x, z) {
+        const cell = this.toCell(x, z);
+        return !cell || this.blocked[cell[1] * this.resolution + cell[0]] === 1;
+    }
+
+    // Open, level ground (not a cliff, rock or ramp)
+    isBuildable(x, z) {
+        const cell = this.toCell(x, z);
+        if (!cell || this.blocked[cell[1] * this.resolution + cell[0]]) return false;
+
+        const [col, row] = cell;
+        const stride = this.resolution + 1;
+        const corners = [
+            this.heights[row * stride + col],
+            this.heights[row * stride + col + 1],
+            this.heights[(row + 1) * stride + col],
+            this.heights[(row + 1) * stride + col + 1]
+        ];
+        return Math.max(...corners) - Math.min(...corners) <= MAX_BUILDABLE_SLOPE;
+    }
+
+    // Every cell under a square footprint is buildable
+    isAreaBuildable(x, z, halfSize) {
+        for (let cz = z - halfSize; cz <= z + halfSize; cz += this.cellSize / 2) {
+            for (let cx = x - halfSize; cx <= x + halfSize; cx += this.cellSize / 2) {
+                if (!this.isBuildable(cx, cz)) return false;
+            }
+        }
+        return true;
+    }
+
+    // ============== SERIALISATION ==============
+
+    // Plain JSON form for saves and replays. Blocked cells are stored as alternating
+    // run lengths (open, blocked, open...).
+    serialize() {
+        const blockedRuns = [];
+        let current = 0;
+        let length = 0;
+        this.blocked.forEach(value => {
+            if (value !== current) {
+                blockedRuns.push(length);
+                current = value;
+                length = 0;
+            }
+            length++;
+        });
+        blockedRuns.push(length);
+
+        return {
+            name: this.name,
+            size: this.size,
+            heights: Array.from(this.heights, h => Math.round(h * 100) / 100),
+            blocked: blockedRuns,
+            startLocations: this.startLocations,
+            expansions: this.expansions
+        };
+    }
+
+    static deserialize(data) {
+        const map = new GameMap({
+            name: data.name,
+            size: data.size,
+            startLocations: data.startLocations,
+            expansions: data.expansions
+        });
+
+        map.heights.set(data.heights);
+
+        let index = 0;
+        data.blocked.forEach((length, i) => {
+            if (i % 2 === 1) map.blocked.fill(1, index, Math.min(index + length, map.blocked.length));
+            index += length;
+        });
+
+        return map;
+    }
+}
+
+// Problem with serialised map data, or null when it can be loaded
+export function validateMapData(data) {
+    if (data === null || typeof data !== 'object') return 'missing map';
+    if (typeof data.size !== 'number' || !(data.size >= 40 && data.size <= 1000)) return 'invalid map size';
+
+    const resolution = Math.ceil(data.size / TERRAIN_CELL_SIZE);
+    if (!Array.isArray(data.heights) || data.heights.length !== (resolution + 1) ** 2 ||
+        data.heights.some(h => typeof h !== 'number' || !Number.isFinite(h))) {
+        return 'invalid map heights';
+    }
+    if (!Array.isArray(data.blocked) || data.blocked.some(run => !Number.isInteger(run) || run < 0)) {
+        return 'invalid blocked terrain';
+    }
+
+    const isPoint = p => p !== null && typeof p === 'object' && Number.isFinite(p.x) && Number.isFinite(p.z);
+    if (!Array.isArray(data.startLocations) || data.startLocations.length < 2 ||
+        !data.startLocations.every(p => isPoint(p) && Number.isFinite(p.rotation))) {
+        return 'map needs two start locations';
+    }
+    if (!Array.isArray(data.expansions) || !data.expansions.every(site =>
+        isPoint(site) &&
+        Array.isArray(site.minerals) && site.minerals.every(n => isPoint(n) && Number.isFinite(n.amount)) &&
+        Array.isArray(site.geysers) && site.geysers.every(n => isPoint(n) && Number.isFinite(n.amount))
+    )) {
+        return 'invalid expansion sites';
+    }
+
+    return null;
+}
+
+export default GameMap;
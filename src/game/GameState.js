@@ -3,12 +3,47 @@
  * Central state for resources, units, buildings, and game progression
  */
 
-import { getFaction } from './Faction.js';
-import { getBuildingDimensions } from './BuildingConfig.js';
+import { getFaction, getUnitDefinition } from './Faction.js';
+import { getBuildingDimensions, normalizeBuildingType } from './BuildingConfig.js';
 import { getUnitConfig } from './UnitConfig.js';
-
-const STORAGE_KEY = 'galactic_command_save';
+import { NavigationGrid } from './Pathfinding.js';
+import { SpatialHash } from './SpatialHash.js';
+import { VisibilityGrid } from './Visibility.js';
+import { GameMap, DEFAULT_MAP_SIZE } from './GameMap.js';
+import { generateMap } from './MapGenerator.js';
+import { SeededRandom, createSeed } from './Random.js';
+import { SAVE_VERSION, SaveError, migrateSave, validateSave } from './SaveFormat.js';
+
+const LEGACY_STORAGE_KEY = 'galactic_command_save'; // The single save from before slots
+const SAVE_INDEX_KEY = 'galactic_command_saves'; // Slot metadata, newest first
+const SAVE_SLOT_PREFIX = 'galactic_command_slot_';
+const QUICKSAVE_SLOT = 'quicksave';
+const AUTOSAVE_SLOTS = 3; // Autosaves rotate through this many slots
 const MAX_POPULATION = 200;
+export const PLAYER_ID = 'player';
+export const AI_ID = 'ai';
+const ACQUIRE_RANGE_BONUS = 6; // Idle units notice enemies this far beyond their weapon range
+const RESOURCE_CLUSTER_RADIUS = 30; // Resource nodes this close to a base belong to its mineral line
+const FORMATION_SPACING = 1.3; // Gap between formation slots, in unit diameters (separation pushes at 1.2)
+const MAX_FORMATION_RINGS = 12;
+const MAX_ENTITY_RADIUS = 5; // Largest unit or building radius, for widening neighbour queries
+const EXPANSION_TAKEN_RADIUS = 12; // A base this close to an expansion site occupies it
+const BASE_TYPES = ['base', 'hatchery', 'commandcenter', 'nexus']; // Main bases and expansions of every faction
+const DEPOSIT_MARGIN = 0.5; // Workers deposit this close to a base's collision box (beyond their own radius)
+const OPTIMAL_WORKERS_PER_PATCH = 2; // Mine at full speed
+const MAX_WORKERS_PER_PATCH = 3; // The third worker only fills the gaps while the others travel
+const OPTIMAL_WORKERS_PER_GEYSER = 3; // Gather at full speed
+const MAX_WORKERS_PER_GEYSER = 4; // The fourth worker only fills the gaps while the others travel
+const OVERSATURATED_GATHER_RATE = 0.5; // Share of the full rate for workers past the optimum
+const MIN_DAMAGE = 0.5; // Armor upgrades never reduce a hit below this
+const SHIELD_REGEN_DELAY = 7; // Seconds without taking damage before shields recharge
+const SHIELD_REGEN_RATE = 2; // Shield points per second
+const CREEP_SPREAD_RATE = 0.5; // Creep radius gained per second until a source's full radius
+const CREEP_RECEDE_RATE = 1; // Creep radius lost per second once its source is gone
+const CREEP_CHANGE_STEP = 1; // Listeners hear of growth and recession in steps of this radius
+
+// Which of the map's start locations each player gets
+const START_LOCATION_ORDER = [PLAYER_ID, AI_ID];
 
 class GameState {
     constructor() {
@@ -16,22 +51,30 @@ class GameState {
     }
 
     reset() {
-        this.faction = null;
         this.gameStartTime = null;
         this.gameTime = 0; // in seconds
 
-        // Resources
-        this.minerals = 50;
-        this.gas = 0;
+        // All gameplay randomness comes from here, never Math.random(). The seed and
+        // current state are saved, so a loaded game carries on with the same sequence.
+        this.random = new SeededRandom();
+        this.nextEntityId = 1; // Sequential ids keep games with the same seed identical
+
+        // Simulation ticks since the start, and every player command tagged with the tick
+        // it was given on. Together with the seed this is everything a replay needs.
+        this.tick = 0;
+        this.commandLog = [];
 
-        // Population
-        this.population = 0;
-        this.populationMax = 10;
+        // Per-player resources, population, supply and production, keyed by owner id.
+        // The local player always exists; see the accessors below.
+        this.players = new Map();
+        this.addPlayer(PLAYER_ID, null);
+
+        // Terrain, start locations and expansion sites (see GameMap.js)
+        this.map = null;
 
         // Collections
         this.buildings = [];
         this.units = [];
-        this.productionQueue = [];
 
         // Resource nodes
         this.mineralPatches = [];
@@ -41,14 +84,58 @@ class GameState {
         this.mineralWorkers = [];
         this.gasWorkers = [];
 
+        // Spatial indexes for neighbour queries (kept in sync by add/remove/moveUnit)
+        this.unitIndex = new SpatialHash(4);
+        this.buildingIndex = new SpatialHash(8);
+        this.resourceIndex = new SpatialHash(8);
+        this.unitsById = new Map(); // unit id -> unit, for lookups in per-tick loops
+
         // Zerg larva system
         this.larvaByHatchery = new Map(); // hatcheryId -> [larvaIds]
         this.lastLarvaSpawn = new Map(); // hatcheryId -> timestamp (seconds)
 
+        // Buildings spreading creep (buildingId -> { x, z, radius, spread, receding }).
+        // `spread` is how far the creep has grown so far; sources stay here while receding.
+        this.creepSources = new Map();
+
+        // Ground navigation, rebuilt lazily whenever buildings change
+        this.navigation = new NavigationGrid();
+
+        // Fog of war for the local player (the computer opponent sees the whole map)
+        this.visibility = new VisibilityGrid();
+
+        // Group move orders (groupId -> { x, z, flowField }). Only the destination is
+        // saved; flow fields are rebuilt on first use.
+        this.moveGroups = new Map();
+        this.nextMoveGroupId = 1;
+
+        // Advisor conversation, kept here so it is saved with the game
+        this.advisor = { conversationHistory: [], lastState: null };
+
+        this.winner = null;
+
         // Event listeners
         this.listeners = new Map();
     }
 
+    // The local player's record, exposed as top-level fields for the HUD and advisor
+    get faction() { return this.players.get(PLAYER_ID).faction; }
+    set faction(value) { this.players.get(PLAYER_ID).faction = value; }
+
+    get minerals() { return this.players.get(PLAYER_ID).minerals; }
+    set minerals(value) { this.players.get(PLAYER_ID).minerals = value; }
+
+    get gas() { return this.players.get(PLAYER_ID).gas; }
+    set gas(value) { this.players.get(PLAYER_ID).gas = value; }
+
+    get population() { return this.players.get(PLAYER_ID).population; }
+    set population(value) { this.players.get(PLAYER_ID).population = value; }
+
+    get populationMax() { return this.players.get(PLAYER_ID).populationMax; }
+    set populationMax(value) { this.players.get(PLAYER_ID).populationMax = value; }
+
+    get productionQueue() { return this.players.get(PLAYER_ID).productionQueue; }
+
     // Event system
     on(event, callback) {
         if (!this.listeners.has(event)) {
@@ -74,65 +161,87 @@ class GameState {
     }
 
     // Initialize new game
-    startNewGame(factionId) {
+    // The computer opponent plays a mirror match unless another faction is given.
+    // Games started with the same seed lay out and spawn everything in the same places;
+    // without a `map` one of `mapSize` is generated from the seed.
+    startNewGame(factionId, opponentFactionId = factionId, seed = createSeed(), { map = null, mapSize = DEFAULT_MAP_SIZE } = {}) {
         this.reset();
+        this.random = new SeededRandom(seed);
         this.faction = getFaction(factionId);
         this.gameStartTime = Date.now();
+        this.setMap(map || generateMap({ seed, size: mapSize }));
 
-        // Create starting resources
-        this.createStartingResources();
+        this.addPlayer(AI_ID, opponentFactionId);
+
+        // Create resource nodes at every expansion site
+        this.createMapResources();
 
         // Create starting units and buildings
-        this.createStartingBase();
+        this.createStartingBase(PLAYER_ID);
+        this.createStartingBase(AI_ID);
+        this.updateVisibility();
 
         this.emit('gameStarted', { faction: this.faction });
     }
 
-    createStartingResources() {
-        // Create mineral patches around the base
-        for (let i = 0; i < 8; i++) {
-            const angle = (i / 8) * Math.PI + Math.PI * 0.3;
-            const distance = 15 + Math.random() * 5;
-            this.mineralPatches.push({
-                id: `mineral_${i}`,
-                x: Math.cos(angle) * distance,
-                z: Math.sin(angle) * distance,
-                amount: 1500,
-                maxAmount: 1500
+    // Grids sized to the map; the navigation grid also takes its cliffs and rocks
+    setMap(map) {
+        this.map = map;
+        this.navigation = new NavigationGrid(map.size);
+        this.visibility = new VisibilityGrid(map.size);
+    }
+
+    createMapResources() {
+        this.map.expansions.forEach((site, siteIndex) => {
+            site.minerals.forEach((node, i) => {
+                const patch = {
+                    id: `mineral_${siteIndex}_${i}`,
+                    x: node.x,
+                    z: node.z,
+                    amount: node.amount,
+                    maxAmount: node.amount
+                };
+                this.mineralPatches.push(patch);
+                this.resourceIndex.insert(patch);
             });
-        }
 
-        // Create gas geysers
-        for (let i = 0; i < 2; i++) {
-            const angle = (i === 0) ? Math.PI * 0.8 : Math.PI * 1.2;
-            const distance = 12;
-            this.gasGeysers.push({
-                id: `geyser_${i}`,
-                x: Math.cos(angle) * distance,
-                z: Math.sin(angle) * distance,
-                amount: 2500,
-                maxAmount: 2500,
-                hasExtractor: false
+            site.geysers.forEach((node, i) => {
+                const geyser = {
+                    id: `geyser_${siteIndex}_${i}`,
+                    x: node.x,
+                    z: node.z,
+                    amount: node.amount,
+                    maxAmount: node.amount,
+                    hasExtractor: false
+                };
+                this.gasGeysers.push(geyser);
+                this.resourceIndex.insert(geyser);
             });
-        }
+        });
     }
 
-    createStartingBase() {
+    createStartingBase(owner = PLAYER_ID) {
+        const player = this.getPlayer(owner);
+        const faction = player.faction;
+        const location = this.getStartLocation(owner);
+
         // Main base building
-        const base = this.faction.buildings.base;
-        this.addBuilding({
+        const base = faction.buildings.base;
+        const mainBase = this.addBuilding({
             type: 'base',
             name: base.name,
-            x: 0,
-            z: 0,
+            owner,
+            x: location.x,
+            z: location.z,
             health: 1500,
             maxHealth: 1500,
             isComplete: true,
-            rallyPoint: { x: 5, z: 5 }
+            rallyPoint: this.toWorldPosition(owner, 5, 5)
         });
+        this.addCreepSource(mainBase, true);
 
         // Add supply from base
-        this.populationMax = base.supplyProvided;
+        player.populationMax = base.supplyProvided;
 
         // Starting workers - spawn outside the base with proper spacing
         const workerCount = 4;
@@ -150,19 +259,20 @@ class GameState {
 
             do {
                 // Add small random offset to the angle for variety
-                const angleOffset = (Math.random() - 0.5) * 0.3;
+                const angleOffset = (this.random.next() - 0.5) * 0.3;
                 const angle = baseAngle + angleOffset;
-                const radiusOffset = Math.random() * 2; // 8-10 units from center
+                const radiusOffset = this.random.next() * 2; // 8-10 units from center
                 const radius = spawnRadius + radiusOffset;
 
-                spawnX = Math.cos(angle) * radius;
-                spawnZ = Math.sin(angle) * radius;
+                spawnX = location.x + Math.cos(angle) * radius;
+                spawnZ = location.z + Math.sin(angle) * radius;
                 attempts++;
             } while (attempts < maxAttempts && this.isPositionOccupied(spawnX, spawnZ, minDistance));
 
             const worker = this.addUnit({
                 type: 'worker',
-                name: this.faction.worker.name,
+                name: faction.worker.name,
+                owner,
                 x: spawnX,
                 z: spawnZ,
                 health: 40,
@@ -176,20 +286,233 @@ class GameState {
             }
         }
 
-        this.population = workerCount;
+        player.population = workerCount;
 
         // Spawn initial larva for Zerg faction
-        if (this.faction.id === 'zerg') {
-            const base = this.buildings.find(b => b.type === 'base');
-            if (base) {
-                this.spawnInitialLarva(base);
+        if (faction.id === 'zerg') {
+            this.spawnInitialLarva(mainBase);
+        }
+    }
+
+    // ============== PLAYERS ==============
+
+    addPlayer(owner, factionId) {
+        const player = {
+            id: owner,
+            faction: getFaction(factionId),
+            minerals: 50,
+            gas: 0,
+            population: 0,
+            populationMax: 10,
+            productionQueue: [],
+            upgrades: [] // Researched upgrade keys
+        };
+        this.players.set(owner, player);
+        return player;
+    }
+
+    // Resources, population, supply and production queue for an owner
+    getPlayer(owner = PLAYER_ID) {
+        return this.players.get(owner) || null;
+    }
+
+    getFactionFor(owner = PLAYER_ID) {
+        return this.getPlayer(owner)?.faction || null;
+    }
+
+    getProductionQueue(owner = PLAYER_ID) {
+        return this.getPlayer(owner)?.productionQueue || [];
+    }
+
+    // Production items of every player, for systems that work across owners
+    getAllProduction() {
+        return [...this.players.values()].flatMap(p => p.productionQueue);
+    }
+
+    // Drop production items matching the predicate from every player's queue
+    removeProduction(predicate) {
+        this.players.forEach(player => {
+            player.productionQueue = player.productionQueue.filter(item => !predicate(item));
+        });
+    }
+
+    getUnitsOf(owner = PLAYER_ID) {
+        return this.units.filter(u => this.getOwner(u) === owner);
+    }
+
+    getBuildingsOf(owner = PLAYER_ID) {
+        return this.buildings.filter(b => this.getOwner(b) === owner);
+    }
+
+    getStartLocation(owner = PLAYER_ID) {
+        const index = Math.max(0, START_LOCATION_ORDER.indexOf(owner));
+        return this.map.startLocations[index] || this.map.startLocations[0];
+    }
+
+    // Expansion sites without a base on them, nearest to the owner's start location first
+    getFreeExpansions(owner = PLAYER_ID) {
+        const start = this.getStartLocation(owner);
+        const distanceFromStart = site => Math.hypot(site.x - start.x, site.z - start.z);
+
+        return this.map.expansions
+            .filter(site => !this.buildings.some(b =>
+                this.isBase(b) &&
+                Math.hypot(b.x - site.x, b.z - site.z) < EXPANSION_TAKEN_RADIUS
+            ))
+            .sort((a, b) => distanceFromStart(a) - distanceFromStart(b));
+    }
+
+    // Ground height from the map (0 before a map is set)
+    getTerrainHeight(x, z) {
+        return this.map ? this.map.getHeight(x, z) : 0;
+    }
+
+    // Level, open ground under a square building footprint
+    isAreaBuildable(x, z, halfSize) {
+        return !this.map || this.map.isAreaBuildable(x, z, halfSize);
+    }
+
+    // Convert a position relative to an owner's start location into world coordinates
+    toWorldPosition(owner, localX, localZ) {
+        const location = this.getStartLocation(owner);
+        const cos = Math.cos(location.rotation);
+        const sin = Math.sin(location.rotation);
+        return {
+            x: location.x + localX * cos - localZ * sin,
+            z: location.z + localX * sin + localZ * cos
+        };
+    }
+
+    getMainBase(owner = PLAYER_ID) {
+        return this.buildings.find(b => b.type === 'base' && this.getOwner(b) === owner) || null;
+    }
+
+    // Main base or expansion (Hatchery, Command Center, Nexus), finished or not
+    isBase(building) {
+        return !!building && BASE_TYPES.includes(building.type?.toLowerCase());
+    }
+
+    // The owner's finished bases: resource depots workers can drop cargo off at
+    getDepots(owner = PLAYER_ID) {
+        return this.buildings.filter(b => this.isBase(b) && b.isComplete && this.getOwner(b) === owner);
+    }
+
+    // Nearest finished base to a position, or null when the owner has none
+    getNearestDepot(owner, x, z) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.getDepots(owner).forEach(depot => {
+            const distance = Math.hypot(depot.x - x, depot.z - z);
+            if (distance < nearestDistance) {
+                nearest = depot;
+                nearestDistance = distance;
             }
+        });
+        return nearest;
+    }
+
+    // A worker at the edge of the depot's collision box (plus its own radius) can deposit
+    isInDepositRange(worker, depot) {
+        const dims = getBuildingDimensions(depot.type);
+        if (!dims) return false;
+
+        const margin = (getUnitConfig(worker.type)?.radius || 0.8) + DEPOSIT_MARGIN;
+        return Math.abs(depot.x - worker.x) <= dims.collisionWidth / 2 + margin &&
+            Math.abs(depot.z - worker.z) <= dims.collisionDepth / 2 + margin;
+    }
+
+    // Resource nodes within reach of one of the owner's bases make up its mineral line
+    isNearOwnedBase(node, owner) {
+        return this.buildings.some(b =>
+            this.isBase(b) &&
+            this.getOwner(b) === owner &&
+            Math.hypot(b.x - node.x, b.z - node.z) <= RESOURCE_CLUSTER_RADIUS
+        );
+    }
+
+    // Expansion bases go next to a mineral field that no other base is mining yet
+    checkBasePlacement(x, z) {
+        const inReach = node => Math.hypot(node.x - x, node.z - z) <= RESOURCE_CLUSTER_RADIUS;
+        if (!this.mineralPatches.some(p => p.amount > 0 && inReach(p))) {
+            return { valid: false, reason: 'Bases must be placed next to a mineral field' };
+        }
+        if (this.buildings.some(b => this.isBase(b) && inReach(b))) {
+            return { valid: false, reason: 'These resources already have a base' };
+        }
+        return { valid: true };
+    }
+
+    // The finished base whose mineral line a resource node belongs to, or null
+    getDepotForResource(node, owner) {
+        const depot = this.getNearestDepot(owner, node.x, node.z);
+        return depot && Math.hypot(depot.x - node.x, depot.z - node.z) <= RESOURCE_CLUSTER_RADIUS ? depot : null;
+    }
+
+    // Workers and resource nodes per finished base, main base first. Patches and geysers
+    // count towards the nearest base in reach; geysers only once the owner has an extractor.
+    getBaseSaturation(owner = PLAYER_ID) {
+        const saturation = new Map(this.getDepots(owner).map(depot => [depot.id, {
+            baseId: depot.id,
+            type: depot.type,
+            x: depot.x,
+            z: depot.z,
+            name: depot.name || 'Base',
+            mineralPatches: 0,
+            mineralWorkers: 0,
+            geysers: 0,
+            gasWorkers: 0
+        }]));
+        const entryFor = node => saturation.get(this.getDepotForResource(node, owner)?.id);
+
+        this.mineralPatches.forEach(patch => {
+            const entry = patch.amount > 0 && entryFor(patch);
+            if (entry) entry.mineralPatches++;
+        });
+        this.gasGeysers.forEach(geyser => {
+            const entry = this.canHarvestGeyser(geyser, owner) && entryFor(geyser);
+            if (entry) entry.geysers++;
+        });
+
+        const countWorkers = (workerIds, nodes, key) => workerIds.forEach(id => {
+            const worker = this.getUnit(id);
+            if (!worker || this.getOwner(worker) !== owner) return;
+            const node = nodes.find(n => n.id === worker.targetResource);
+            const entry = node && entryFor(node);
+            if (entry) entry[key]++;
+        });
+        countWorkers(this.mineralWorkers, this.mineralPatches, 'mineralWorkers');
+        countWorkers(this.gasWorkers, this.gasGeysers, 'gasWorkers');
+
+        return [...saturation.values()].map(entry => ({
+            ...entry,
+            optimalMineralWorkers: entry.mineralPatches * OPTIMAL_WORKERS_PER_PATCH,
+            maxMineralWorkers: entry.mineralPatches * MAX_WORKERS_PER_PATCH,
+            optimalGasWorkers: entry.geysers * OPTIMAL_WORKERS_PER_GEYSER
+        }));
+    }
+
+    // Gas workers the owner's extractors can use at full speed
+    getGasCapacity(owner = PLAYER_ID) {
+        return this.gasGeysers.filter(g => this.canHarvestGeyser(g, owner)).length * OPTIMAL_WORKERS_PER_GEYSER;
+    }
+
+    // The match ends when only one player has buildings left
+    checkForWinner() {
+        if (this.winner || this.players.size < 2) return;
+
+        const alive = [...this.players.keys()].filter(owner =>
+            this.buildings.some(b => this.getOwner(b) === owner)
+        );
+
+        if (alive.length <= 1) {
+            this.winner = alive[0] || null;
+            this.emit('matchEnded', { winner: this.winner });
         }
     }
 
     // Check if a position is too close to any existing unit
     isPositionOccupied(x, z, minDistance) {
-        return this.units.some(unit => {
+        return this.getUnitsNear(x, z, minDistance).some(unit => {
             const dx = unit.x - x;
             const dz = unit.z - z;
             const distance = Math.sqrt(dx * dx + dz * dz);
@@ -197,13 +520,47 @@ class GameState {
         });
     }
 
+    // ============== SPATIAL QUERIES ==============
+
+    // Units whose centre is within a radius of a point
+    getUnitsNear(x, z, radius) {
+        return this.unitIndex.queryRadius(x, z, radius);
+    }
+
+    getBuildingsNear(x, z, radius) {
+        return this.buildingIndex.queryRadius(x, z, radius);
+    }
+
+    // Mineral patches and gas geysers within a radius of a point
+    getResourcesNear(x, z, radius) {
+        return this.resourceIndex.queryRadius(x, z, radius);
+    }
+
+    getUnit(unitId) {
+        return this.unitsById.get(unitId) || null;
+    }
+
+    // All position changes go through here so the unit index stays current
+    moveUnit(unit, x, z) {
+        unit.x = x;
+        unit.z = z;
+        this.unitIndex.update(unit);
+    }
+
+    rebuildSpatialIndex() {
+        this.unitsById = new Map(this.units.map(unit => [unit.id, unit]));
+        this.unitIndex.rebuild(this.units);
+        this.buildingIndex.rebuild(this.buildings);
+        this.resourceIndex.rebuild([...this.mineralPatches, ...this.gasGeysers]);
+    }
+
     // Find a spawn position that doesn't overlap with existing units
     findNonOverlappingSpawnPosition(baseX, baseZ, spawnRadius, minDistance = 2.0) {
         const maxAttempts = 20;
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const angle = Math.random() * Math.PI * 2;
-            const radiusOffset = Math.random() * 3; // Add some variation
+            const angle = this.random.next() * Math.PI * 2;
+            const radiusOffset = this.random.next() * 3; // Add some variation
             const radius = spawnRadius + radiusOffset;
 
             const spawnX = baseX + Math.cos(angle) * radius;
@@ -215,21 +572,146 @@ class GameState {
         }
 
         // Fallback: return a position even if it overlaps (rare case)
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.random.next() * Math.PI * 2;
         return {
             x: baseX + Math.cos(angle) * spawnRadius,
             z: baseZ + Math.sin(angle) * spawnRadius
         };
     }
 
+    // ============== NAVIGATION ==============
+
+    // Ground path from one point to another as a list of waypoints (null if unreachable)
+    findPath(fromX, fromZ, toX, toZ) {
+        this.updateNavigation();
+        return this.navigation.findPath(fromX, fromZ, toX, toZ);
+    }
+
+    updateNavigation() {
+        if (this.navigation.dirty) {
+            this.navigation.rebuild(this);
+        }
+    }
+
+    // Move order for one or more units. A group shares one flow field towards the
+    // destination and spreads into formation slots around it, so it arrives as a
+    // cluster and stops instead of piling onto a single point.
+    orderMove(unitIds, x, z) {
+        const units = unitIds
+            .map(id => this.getUnit(id))
+            .filter(u => u && u.type !== 'larva' && u.type !== 'egg');
+        if (units.length === 0) return 0;
+
+        this.updateNavigation();
+        this.pruneMoveGroups();
+
+        let groupId = null;
+        if (units.length > 1) {
+            groupId = `group_${this.nextMoveGroupId++}`;
+            this.moveGroups.set(groupId, { x, z, flowField: this.navigation.buildFlowField(x, z) });
+        }
+
+        this.assignFormationSlots(units, x, z).forEach(({ unit, slot }) => {
+            // Moving cancels gathering and attack orders
+            this.mineralWorkers = this.mineralWorkers.filter(id => id !== unit.id);
+            this.gasWorkers = this.gasWorkers.filter(id => id !== unit.id);
+
+            unit.state = 'moving';
+            unit.targetX = slot.x;
+            unit.targetZ = slot.z;
+            unit.targetBuildingId = null; // Clear construction target
+            unit.attackTargetId = null;
+            unit.moveGroupId = groupId;
+            unit.progressCheck = null;
+        });
+
+        return units.length;
+    }
+
+    // Hexagonal rings of open slots around the destination, handed out centre first
+    // to whichever remaining unit is closest
+    assignFormationSlots(units, x, z) {
+        if (units.length === 1) {
+            return [{ unit: units[0], slot: { x, z } }];
+        }
+
+        const largestRadius = Math.max(...units.map(u => getUnitConfig(u.type).radius));
+        const spacing = largestRadius * 2 * FORMATION_SPACING;
+
+        const slots = [];
+        for (let ring = 0; slots.length < units.length && ring <= MAX_FORMATION_RINGS; ring++) {
+            const count = ring === 0 ? 1 : ring * 6;
+            for (let i = 0; i < count; i++) {
+                const angle = (i / count) * Math.PI * 2;
+                const slot = {
+                    x: x + Math.cos(angle) * ring * spacing,
+                    z: z + Math.sin(angle) * ring * spacing
+                };
+                if (!this.navigation.isBlocked(slot.x, slot.z)) {
+                    slots.push(slot);
+                }
+            }
+        }
+
+        const remaining = [...units];
+        const assignments = [];
+        slots.forEach(slot => {
+            if (remaining.length === 0) return;
+
+            let closestIndex = 0;
+            let closestDistance = Infinity;
+            remaining.forEach((unit, index) => {
+                const distance = Math.hypot(unit.x - slot.x, unit.z - slot.z);
+                if (distance < closestDistance) {
+                    closestIndex = index;
+                    closestDistance = distance;
+                }
+            });
+
+            assignments.push({ unit: remaining.splice(closestIndex, 1)[0], slot });
+        });
+
+        // Out of room: the rest share the destination itself
+        remaining.forEach(unit => assignments.push({ unit, slot: { x, z } }));
+
+        return assignments;
+    }
+
+    // Group move order with a flow field that matches the current navigation grid
+    getMoveGroup(groupId) {
+        const group = this.moveGroups.get(groupId);
+        if (!group) return null;
+
+        this.updateNavigation();
+        if (!group.flowField || group.flowField.version !== this.navigation.version) {
+            group.flowField = this.navigation.buildFlowField(group.x, group.z);
+        }
+        return group;
+    }
+
+    // Forget group orders no unit is still following
+    pruneMoveGroups() {
+        this.moveGroups.forEach((group, groupId) => {
+            const inUse = this.units.some(u => u.state === 'moving' && u.moveGroupId === groupId);
+            if (!inUse) {
+                this.moveGroups.delete(groupId);
+            }
+        });
+    }
+
     // Building management
     addBuilding(buildingData) {
         const building = {
-            id: `building_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `building_${this.nextEntityId++}`,
+            owner: PLAYER_ID,
             ...buildingData,
             createdAt: Date.now()
         };
+        const faction = this.getFactionFor(this.getOwner(building));
+        this.initShields(building, faction?.buildings[building.type] || faction?.buildings[normalizeBuildingType(building.type)]);
         this.buildings.push(building);
+        this.buildingIndex.insert(building);
+        this.navigation.invalidate();
         this.emit('buildingAdded', building);
         return building;
     }
@@ -238,6 +720,9 @@ class GameState {
         const index = this.buildings.findIndex(b => b.id === buildingId);
         if (index > -1) {
             const building = this.buildings.splice(index, 1)[0];
+            this.buildingIndex.remove(building);
+            this.navigation.invalidate();
+            this.removeCreepSource(building.id);
             this.emit('buildingRemoved', building);
             return building;
         }
@@ -251,11 +736,15 @@ class GameState {
     // Unit management
     addUnit(unitData) {
         const unit = {
-            id: `unit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `unit_${this.nextEntityId++}`,
+            owner: PLAYER_ID,
             ...unitData,
             createdAt: Date.now()
         };
+        this.initShields(unit, getUnitDefinition(this.getFactionFor(this.getOwner(unit)), unit.type));
         this.units.push(unit);
+        this.unitsById.set(unit.id, unit);
+        this.unitIndex.insert(unit);
         this.emit('unitAdded', unit);
         return unit;
     }
@@ -264,15 +753,18 @@ class GameState {
         const index = this.units.findIndex(u => u.id === unitId);
         if (index > -1) {
             const unit = this.units.splice(index, 1)[0];
+            this.unitsById.delete(unit.id);
+            this.unitIndex.remove(unit);
 
             // Clean up from worker assignments
             this.mineralWorkers = this.mineralWorkers.filter(id => id !== unitId);
             this.gasWorkers = this.gasWorkers.filter(id => id !== unitId);
 
             // Only decrement population for units that cost population
-            // Larva and eggs don't consume population
-            if (unit.type !== 'larva' && unit.type !== 'egg') {
-                this.population -= 1;
+            // Larva, eggs and supply units (Overlords) don't consume population
+            const player = this.getPlayer(this.getOwner(unit));
+            if (player && unit.type !== 'larva' && unit.type !== 'egg' && !unit.isSupplyUnit) {
+                player.population -= unit.population ?? 1;
             }
 
             this.emit('unitRemoved', unit);
@@ -285,13 +777,58 @@ class GameState {
         return this.units.filter(u => u.type === type);
     }
 
-    getIdleWorkers() {
-        return this.units.filter(u => u.type === 'worker' && u.state === 'idle');
+    // Worker assignment lists are shared, so filter them down to one owner
+    getMineralWorkers(owner = PLAYER_ID) {
+        return this.mineralWorkers.filter(id => this.getOwner(this.getUnit(id)) === owner);
+    }
+
+    getGasWorkers(owner = PLAYER_ID) {
+        return this.gasWorkers.filter(id => this.getOwner(this.getUnit(id)) === owner);
+    }
+
+    getIdleWorkers(owner = PLAYER_ID) {
+        return this.units.filter(u => u.type === 'worker' && u.state === 'idle' && this.getOwner(u) === owner);
+    }
+
+    // How many of the listed workers are assigned to each resource node
+    countWorkersByResource(workerIds) {
+        const counts = new Map();
+        workerIds.forEach(id => {
+            const worker = this.getUnit(id);
+            if (worker?.targetResource) {
+                counts.set(worker.targetResource, (counts.get(worker.targetResource) || 0) + 1);
+            }
+        });
+        return counts;
+    }
+
+    // Each worker's place among those sharing its resource node, in the order they were
+    // sent there (workers sent on the same tick keep their list order)
+    getResourceQueuePositions(workerIds) {
+        const counts = new Map();
+        const positions = new Map();
+        workerIds
+            .map(id => this.getUnit(id))
+            .filter(worker => worker?.targetResource)
+            .sort((a, b) => (a.resourceAssignedTick ?? -1) - (b.resourceAssignedTick ?? -1))
+            .forEach(worker => {
+                const position = counts.get(worker.targetResource) || 0;
+                positions.set(worker.id, position);
+                counts.set(worker.targetResource, position + 1);
+            });
+        return positions;
+    }
+
+    // Point a worker at a resource node, remembering when it joined that node's queue
+    setWorkerResource(worker, resourceId) {
+        if (worker.targetResource === resourceId) return;
+        worker.targetResource = resourceId;
+        worker.resourceAssignedTick = this.tick;
     }
 
     // Worker assignment
     assignWorkerToMinerals(workerId, targetResourceId = null) {
-        const worker = this.units.find(u => u.id === workerId);
+        const worker = this.getUnit(workerId);
         if (worker && worker.type === 'worker') {
             // Find the specific patch or pick a random one with fewest workers
             let targetPatch;
@@ -299,37 +836,32 @@ class GameState {
                 targetPatch = this.mineralPatches.find(p => p.id === targetResourceId && p.amount > 0);
             }
             if (!targetPatch) {
-                // Get all available patches
-                const availablePatches = this.mineralPatches.filter(p => p.amount > 0);
+                // Get all available patches in the worker's own mineral line
+                const owner = this.getOwner(worker);
+                let availablePatches = this.mineralPatches.filter(p => p.amount > 0 && this.getDepotForResource(p, owner));
+                if (availablePatches.length === 0) {
+                    availablePatches = this.mineralPatches.filter(p => p.amount > 0);
+                }
 
                 if (availablePatches.length > 0) {
                     // Count workers per patch
-                    const workerCountByPatch = new Map();
-                    availablePatches.forEach(p => workerCountByPatch.set(p.id, 0));
-
-                    this.mineralWorkers.forEach(wId => {
-                        const w = this.units.find(u => u.id === wId);
-                        if (w && workerCountByPatch.has(w.targetResource)) {
-                            workerCountByPatch.set(w.targetResource, workerCountByPatch.get(w.targetResource) + 1);
-                        }
-                    });
+                    const workerCounts = this.countWorkersByResource(this.mineralWorkers.filter(id => id !== workerId));
+                    const countAt = p => workerCounts.get(p.id) || 0;
 
                     // Find the minimum worker count
-                    const minWorkers = Math.min(...workerCountByPatch.values());
+                    const minWorkers = Math.min(...availablePatches.map(countAt));
 
                     // Get all patches with the minimum worker count
-                    const leastCrowdedPatches = availablePatches.filter(
-                        p => workerCountByPatch.get(p.id) === minWorkers
-                    );
+                    const leastCrowdedPatches = availablePatches.filter(p => countAt(p) === minWorkers);
 
                     // Randomly pick from the least crowded patches
-                    targetPatch = leastCrowdedPatches[Math.floor(Math.random() * leastCrowdedPatches.length)];
+                    targetPatch = this.random.pick(leastCrowdedPatches);
                 }
             }
 
             if (targetPatch) {
                 worker.state = 'mining';
-                worker.targetResource = targetPatch.id;
+                this.setWorkerResource(worker, targetPatch.id);
                 if (!this.mineralWorkers.includes(workerId)) {
                     this.mineralWorkers.push(workerId);
                 }
@@ -341,20 +873,25 @@ class GameState {
     }
 
     assignWorkerToGas(workerId, targetResourceId = null) {
-        const worker = this.units.find(u => u.id === workerId);
+        const worker = this.getUnit(workerId);
         if (worker && worker.type === 'worker') {
-            // Find the specific geyser or any available one with extractor
+            // Find the specific geyser or any available one with the worker's own extractor
+            const owner = this.getOwner(worker);
             let targetGeyser;
             if (targetResourceId) {
-                targetGeyser = this.gasGeysers.find(g => g.id === targetResourceId && g.hasExtractor && g.amount > 0);
+                targetGeyser = this.gasGeysers.find(g => g.id === targetResourceId && this.canHarvestGeyser(g, owner));
             }
             if (!targetGeyser) {
-                targetGeyser = this.gasGeysers.find(g => g.hasExtractor && g.amount > 0);
+                // The least crowded of the owner's geysers
+                const workerCounts = this.countWorkersByResource(this.gasWorkers.filter(id => id !== workerId));
+                targetGeyser = this.gasGeysers
+                    .filter(g => this.canHarvestGeyser(g, owner))
+                    .reduce((best, g) => !best || (workerCounts.get(g.id) || 0) < (workerCounts.get(best.id) || 0) ? g : best, null);
             }
 
             if (targetGeyser) {
                 worker.state = 'harvesting_gas';
-                worker.targetResource = targetGeyser.id;
+                this.setWorkerResource(worker, targetGeyser.id);
                 if (!this.gasWorkers.includes(workerId)) {
                     this.gasWorkers.push(workerId);
                 }
@@ -365,6 +902,68 @@ class GameState {
         return false;
     }
 
+    // Orders for a group of selected units; each returns how many units took the order
+
+    orderMine(unitIds, resourceId = null) {
+        let assigned = 0;
+        unitIds.forEach(unitId => {
+            const unit = this.getUnit(unitId);
+            if (unit && unit.type === 'worker') {
+                // Remove from gas workers if assigned there
+                this.gasWorkers = this.gasWorkers.filter(id => id !== unitId);
+
+                if (this.assignWorkerToMinerals(unitId, resourceId)) {
+                    assigned++;
+                }
+            }
+        });
+        return assigned;
+    }
+
+    orderHarvestGas(unitIds, resourceId = null) {
+        let assigned = 0;
+        unitIds.forEach(unitId => {
+            const unit = this.getUnit(unitId);
+            if (unit && unit.type === 'worker') {
+                // Remove from mineral workers if assigned there
+                this.mineralWorkers = this.mineralWorkers.filter(id => id !== unitId);
+
+                if (this.assignWorkerToGas(unitId, resourceId)) {
+                    assigned++;
+                }
+            }
+        });
+        return assigned;
+    }
+
+    // Send workers to help finish a building (Human construction needs a worker on site)
+    orderConstruct(unitIds, buildingId) {
+        const building = this.buildings.find(b => b.id === buildingId);
+        if (!building) return 0;
+
+        let assigned = 0;
+        unitIds.forEach(unitId => {
+            const unit = this.getUnit(unitId);
+            if (unit && unit.type === 'worker') {
+                // Clear other assignments
+                this.mineralWorkers = this.mineralWorkers.filter(id => id !== unitId);
+                this.gasWorkers = this.gasWorkers.filter(id => id !== unitId);
+
+                unit.state = 'constructing';
+                unit.targetBuildingId = buildingId;
+                unit.targetX = building.x;
+                unit.targetZ = building.z;
+                assigned++;
+            }
+        });
+        return assigned;
+    }
+
+    // Geysers can only be harvested through an extractor of your own
+    canHarvestGeyser(geyser, owner = PLAYER_ID) {
+        return geyser.hasExtractor && geyser.amount > 0 && (geyser.extractorOwner || PLAYER_ID) === owner;
+    }
+
     // Resource gathering (called on game tick)
     gatherResources(deltaTime) {
         const miningRate = 25; // minerals per second when mining (takes 2 sec to fill 50)
@@ -372,9 +971,21 @@ class GameState {
         const gatherRange = 2.5; // Must be within this distance to gather
         const cargoCapacity = 50; // Amount worker can carry
 
+        // Workers waiting at a node gather in the order they were sent there: past the optimum
+        // they slow down, past the maximum they wait until one of the others leaves with its cargo
+        const nodes = new Map([...this.mineralPatches, ...this.gasGeysers].map(node => [node.id, node]));
+        const isAtNode = worker => {
+            if (worker?.state !== 'mining' && worker?.state !== 'harvesting_gas') return false;
+            const node = nodes.get(worker.targetResource);
+            return !!node && Math.hypot(node.x - worker.x, node.z - worker.z) <= gatherRange;
+        };
+        const queuePositions = this.getResourceQueuePositions(
+            [...this.mineralWorkers, ...this.gasWorkers].filter(id => isAtNode(this.getUnit(id)))
+        );
+
         // Mineral gathering
         this.mineralWorkers.forEach(workerId => {
-            const worker = this.units.find(u => u.id === workerId);
+            const worker = this.getUnit(workerId);
             if (!worker) return;
 
             // Initialize cargo if not set
@@ -386,6 +997,7 @@ class GameState {
                 const patch = this.mineralPatches.find(p => p.id === worker.targetResource);
                 if (patch && patch.amount > 0) {
                     // Check if worker is close enough to gather
+                    const miningBonus = 1 + this.getUpgradeBonus(this.getOwner(worker), 'worker', 'mining');
                     const dx = patch.x - worker.x;
                     const dz = patch.z - worker.z;
                     const distance = Math.sqrt(dx * dx + dz * dz);
@@ -393,7 +1005,8 @@ class GameState {
                     if (distance <= gatherRange) {
                         // Gather minerals into cargo
                         const canGather = cargoCapacity - worker.carriedMinerals;
-                        const toGather = Math.min(miningRate * deltaTime, patch.amount, canGather);
+                        const rate = miningRate * miningBonus * gatherEfficiency(queuePositions.get(workerId), OPTIMAL_WORKERS_PER_PATCH, MAX_WORKERS_PER_PATCH);
+                        const toGather = Math.min(rate * deltaTime, patch.amount, canGather);
                         patch.amount -= toGather;
                         worker.carriedMinerals += toGather;
 
@@ -404,44 +1017,30 @@ class GameState {
                         }
                     }
                 } else {
-                    // Patch depleted, find another or go idle
+                    // Patch depleted, find another (with auto-balance) or go idle
                     if (worker.carriedMinerals > 0) {
                         worker.state = 'returning_minerals';
-                    } else {
+                    } else if (!(this.getPlayer(this.getOwner(worker))?.autoBalanceWorkers && this.assignWorkerToMinerals(workerId))) {
                         worker.state = 'idle';
                         this.mineralWorkers = this.mineralWorkers.filter(id => id !== workerId);
                     }
                 }
             } else if (worker.state === 'returning_minerals') {
-                // Check if close to base to deposit
-                const base = this.buildings.find(b => b.type === 'base');
-                if (base) {
-                    const dx = base.x - worker.x;
-                    const dz = base.z - worker.z;
-                    const dims = getBuildingDimensions(base.type);
-                    if (dims) {
-                        // Use collision box as deposit range
-                        // A worker can deposit if they are at the edge of the collision box (+ margin)
-                        const halfW = dims.collisionWidth / 2;
-                        const halfD = dims.collisionDepth / 2;
-                        const unitConfig = getUnitConfig(worker.type);
-                        const margin = (unitConfig?.radius || 0.8) + 0.5; // allowance for unit radius + small buffer
-
-                        if (Math.abs(dx) <= halfW + margin && Math.abs(dz) <= halfD + margin) {
-                            // Deposit minerals
-                            this.minerals += worker.carriedMinerals;
-                            worker.carriedMinerals = 0;
-                            worker.state = 'mining'; // Go back to mining
-                            this.emit('workerDeposited', { worker, resourceType: 'minerals' });
-                        }
-                    }
+                // Deposit at the nearest finished base once alongside it
+                const owner = this.getOwner(worker);
+                const depot = this.getNearestDepot(owner, worker.x, worker.z);
+                if (depot && this.isInDepositRange(worker, depot)) {
+                    this.getPlayer(owner).minerals += worker.carriedMinerals;
+                    worker.carriedMinerals = 0;
+                    worker.state = 'mining'; // Go back to mining
+                    this.emit('workerDeposited', { worker, resourceType: 'minerals', depot });
                 }
             }
         });
 
         // Gas gathering
         this.gasWorkers.forEach(workerId => {
-            const worker = this.units.find(u => u.id === workerId);
+            const worker = this.getUnit(workerId);
             if (!worker) return;
 
             // Initialize cargo if not set
@@ -449,11 +1048,13 @@ class GameState {
                 worker.carriedGas = 0;
             }
 
+            const owner = this.getOwner(worker);
+
             // Ensure worker has a valid target geyser
             if (!worker.targetResource) {
-                const availableGeyser = this.gasGeysers.find(g => g.hasExtractor && g.amount > 0);
+                const availableGeyser = this.gasGeysers.find(g => this.canHarvestGeyser(g, owner));
                 if (availableGeyser) {
-                    worker.targetResource = availableGeyser.id;
+                    this.setWorkerResource(worker, availableGeyser.id);
                     worker.state = 'harvesting_gas';
                 } else {
                     worker.state = 'idle';
@@ -473,7 +1074,7 @@ class GameState {
 
             if (worker.state === 'harvesting_gas') {
                 const geyser = this.gasGeysers.find(g => g.id === worker.targetResource);
-                if (geyser && geyser.amount > 0 && geyser.hasExtractor) {
+                if (geyser && this.canHarvestGeyser(geyser, owner)) {
                     const dx = geyser.x - worker.x;
                     const dz = geyser.z - worker.z;
                     const distance = Math.sqrt(dx * dx + dz * dz);
@@ -481,7 +1082,8 @@ class GameState {
                     if (distance <= gatherRange) {
                         // Gather gas into cargo
                         const canGather = cargoCapacity - worker.carriedGas;
-                        const toGather = Math.min(gasRate * deltaTime, geyser.amount, canGather);
+                        const rate = gasRate * gatherEfficiency(queuePositions.get(workerId), OPTIMAL_WORKERS_PER_GEYSER, MAX_WORKERS_PER_GEYSER);
+                        const toGather = Math.min(rate * deltaTime, geyser.amount, canGather);
                         geyser.amount -= toGather;
                         worker.carriedGas += toGather;
 
@@ -492,11 +1094,11 @@ class GameState {
                         }
                     }
                     // If not in range, the movement code in main.js will move the worker
-                } else if (!geyser || !geyser.hasExtractor) {
-                    // Geyser no longer valid, try to find another
-                    const availableGeyser = this.gasGeysers.find(g => g.hasExtractor && g.amount > 0);
+                } else if (!geyser || geyser.amount > 0) {
+                    // Geyser no longer valid (no extractor of ours on it), try to find another
+                    const availableGeyser = this.gasGeysers.find(g => this.canHarvestGeyser(g, owner));
                     if (availableGeyser) {
-                        worker.targetResource = availableGeyser.id;
+                        this.setWorkerResource(worker, availableGeyser.id);
                     } else {
                         // No gas available, go idle
                         worker.state = 'idle';
@@ -508,26 +1110,13 @@ class GameState {
                     this.gasWorkers = this.gasWorkers.filter(id => id !== workerId);
                 }
             } else if (worker.state === 'returning_gas') {
-                // Check if close to base to deposit
-                const base = this.buildings.find(b => b.type === 'base');
-                if (base) {
-                    const dx = base.x - worker.x;
-                    const dz = base.z - worker.z;
-                    const dims = getBuildingDimensions(base.type);
-                    if (dims) {
-                        const halfW = dims.collisionWidth / 2;
-                        const halfD = dims.collisionDepth / 2;
-                        const unitConfig = getUnitConfig(worker.type);
-                        const margin = (unitConfig?.radius || 0.8) + 0.5; // allowance for unit radius + small buffer
-
-                        if (Math.abs(dx) <= halfW + margin && Math.abs(dz) <= halfD + margin) {
-                            // Deposit gas
-                            this.gas += worker.carriedGas;
-                            worker.carriedGas = 0;
-                            worker.state = 'harvesting_gas'; // Go back to harvesting
-                            this.emit('workerDeposited', { worker, resourceType: 'gas' });
-                        }
-                    }
+                // Deposit at the nearest finished base once alongside it
+                const depot = this.getNearestDepot(owner, worker.x, worker.z);
+                if (depot && this.isInDepositRange(worker, depot)) {
+                    this.getPlayer(owner).gas += worker.carriedGas;
+                    worker.carriedGas = 0;
+                    worker.state = 'harvesting_gas'; // Go back to harvesting
+                    this.emit('workerDeposited', { worker, resourceType: 'gas', depot });
                 }
             }
         });
@@ -536,27 +1125,38 @@ class GameState {
     }
 
     // Production
-    canAfford(cost) {
-        return this.minerals >= cost.minerals && this.gas >= cost.gas;
+    canAfford(cost, owner = PLAYER_ID) {
+        const player = this.getPlayer(owner);
+        return !!player && player.minerals >= cost.minerals && player.gas >= cost.gas;
     }
 
-    canAddPopulation(amount) {
-        return this.population + amount <= this.populationMax &&
-            this.population + amount <= MAX_POPULATION;
+    canAddPopulation(amount, owner = PLAYER_ID) {
+        const player = this.getPlayer(owner);
+        return !!player && player.population + amount <= player.populationMax &&
+            player.population + amount <= MAX_POPULATION;
     }
 
-    spendResources(cost) {
-        if (this.canAfford(cost)) {
-            this.minerals -= cost.minerals;
-            this.gas -= cost.gas;
+    spendResources(cost, owner = PLAYER_ID) {
+        if (this.canAfford(cost, owner)) {
+            const player = this.getPlayer(owner);
+            player.minerals -= cost.minerals;
+            player.gas -= cost.gas;
             this.emit('resourcesUpdated', { minerals: this.minerals, gas: this.gas });
             return true;
         }
         return false;
     }
 
+    // Supply cap changes are clamped to the global maximum
+    addPopulationMax(amount, owner = PLAYER_ID) {
+        const player = this.getPlayer(owner);
+        if (!player) return;
+        player.populationMax = Math.max(0, Math.min(player.populationMax + amount, MAX_POPULATION));
+    }
+
     addToProductionQueue(item) {
-        this.productionQueue.push({
+        this.getProductionQueue(this.getOwner(item)).push({
+            id: `production_${this.nextEntityId++}`,
             ...item,
             startTime: Date.now(),
             progress: 0
@@ -564,13 +1164,45 @@ class GameState {
         this.emit('productionStarted', item);
     }
 
+    // Remove a queued item and refund unit and research costs. Returns the cancelled item, or null.
+    cancelProduction(itemId) {
+        for (const player of this.players.values()) {
+            const index = player.productionQueue.findIndex(item => item.id === itemId);
+            if (index === -1) continue;
+
+            const [item] = player.productionQueue.splice(index, 1);
+
+            // Refund resources based on unit type
+            if (item.category === 'unit' && player.faction) {
+                const unitConfig = item.unitType === 'worker'
+                    ? player.faction.worker
+                    : player.faction.units[item.unitType];
+
+                if (unitConfig?.cost) {
+                    player.minerals += unitConfig.cost.minerals || 0;
+                    player.gas += unitConfig.cost.gas || 0;
+                }
+            } else if (item.category === 'research' && player.faction) {
+                const upgrade = player.faction.upgrades?.[item.upgrade];
+                if (upgrade) {
+                    player.minerals += upgrade.cost.minerals || 0;
+                    player.gas += upgrade.cost.gas || 0;
+                }
+            }
+
+            this.emit('productionCancelled', item);
+            return item;
+        }
+        return null;
+    }
+
     updateProductionQueue(deltaTime) {
         const completed = [];
 
         // Group items by producer to ensure sequential production per building
         const activeByProducer = new Map();
 
-        this.productionQueue.forEach(item => {
+        this.getAllProduction().forEach(item => {
             if (item.isPaused) return;
 
             // Determine the producer key (unique per building instance)
@@ -580,7 +1212,9 @@ class GameState {
                 // Each evolving egg is its own "producer" - allows parallel evolutions
                 producerKey = `evolution_${item.eggId}`;
             } else {
-                producerKey = item.producerId || item.buildingId || item.producerType || 'default';
+                // Type-only fallbacks are kept apart per owner
+                producerKey = item.producerId || item.buildingId ||
+                    `${this.getOwner(item)}_${item.producerType || 'default'}`;
             }
 
             // Only the FIRST item for each producer should progress
@@ -601,12 +1235,13 @@ class GameState {
             this.completeProduction(item);
         });
 
-        this.productionQueue = this.productionQueue.filter(
-            item => !completed.includes(item)
-        );
+        this.removeProduction(item => completed.includes(item));
     }
 
     completeProduction(item) {
+        const owner = this.getOwner(item);
+        const player = this.getPlayer(owner);
+
         if (item.category === 'unit') {
             // Use producer building position if available, otherwise fall back to base
             let spawnBaseX = item.producerX;
@@ -614,7 +1249,7 @@ class GameState {
 
             // Fallback to base if producer position not set
             if (spawnBaseX === undefined || spawnBaseZ === undefined) {
-                const base = this.buildings.find(b => b.type === 'base');
+                const base = this.getMainBase(owner);
                 spawnBaseX = base ? base.x : 0;
                 spawnBaseZ = base ? base.z : 0;
             }
@@ -624,7 +1259,7 @@ class GameState {
 
             // For Zerg evolution, remove the egg first and spawn at egg position
             if (item.isEvolution && item.eggId) {
-                const egg = this.units.find(u => u.id === item.eggId);
+                const egg = this.getUnit(item.eggId);
                 if (egg) {
                     spawnBaseX = egg.x;
                     spawnBaseZ = egg.z;
@@ -641,34 +1276,32 @@ class GameState {
             this.addUnit({
                 type: item.unitType,
                 name: item.name,
+                owner,
                 x: spawnPos.x,
                 z: spawnPos.z,
                 health: item.health || 100,
                 maxHealth: item.health || 100,
                 state: 'idle',
+                population: item.isSupplyUnit ? 0 : (item.population || 1),
                 isSupplyUnit: item.isSupplyUnit || false
             });
 
             // Handle supply units (Overlord) - increase population cap
             if (item.isSupplyUnit && item.supplyProvided) {
-                this.populationMax = Math.min(
-                    this.populationMax + item.supplyProvided,
-                    MAX_POPULATION
-                );
+                this.addPopulationMax(item.supplyProvided, owner);
             } else {
-                this.population += item.population || 1;
+                player.population += item.population || 1;
             }
         } else if (item.category === 'building') {
             const building = this.buildings.find(b => b.id === item.buildingId);
             if (building) {
                 building.isComplete = true;
+                this.navigation.invalidate(); // Full footprint now blocks movement
+                this.addCreepSource(building);
 
                 // Handle supply buildings
                 if (item.supplyProvided) {
-                    this.populationMax = Math.min(
-                        this.populationMax + item.supplyProvided,
-                        MAX_POPULATION
-                    );
+                    this.addPopulationMax(item.supplyProvided, owner);
                 }
 
                 // Handle gas extractors (check all aliases)
@@ -679,12 +1312,13 @@ class GameState {
                     );
                     if (geyser) {
                         geyser.hasExtractor = true;
+                        geyser.extractorOwner = owner;
                         this.emit('geyserExtractorBuilt', { geyser });
                     }
                 }
 
                 // If Human, find ALL SCVs that were building this and make them idle
-                if (this.faction.id === 'human') {
+                if (player.faction.id === 'human') {
                     this.units.forEach(u => {
                         if (u.type === 'worker' && u.state === 'constructing' && u.targetBuildingId === item.buildingId) {
                             u.state = 'idle';
@@ -693,16 +1327,221 @@ class GameState {
                     });
                 }
             }
+        } else if (item.category === 'research') {
+            if (!player.upgrades.includes(item.upgrade)) {
+                player.upgrades.push(item.upgrade);
+            }
+            this.emit('upgradeResearched', { owner, upgrade: item.upgrade, name: item.name });
         }
 
         this.emit('productionComplete', item);
     }
 
+    // ============== REQUIREMENTS ==============
+
+    // A finished building of the owner's with this canonical type (e.g. 'barracks')
+    hasCompletedBuilding(type, owner = PLAYER_ID) {
+        return this.buildings.some(b =>
+            this.getOwner(b) === owner && b.isComplete && normalizeBuildingType(b.type) === type
+        );
+    }
+
+    // Why the owner cannot have a unit, building or upgrade yet, or null when its
+    // prerequisites are met. Definitions declare `requiresBuilding` (a building key) and
+    // `requires` (upgrade keys).
+    getMissingRequirement(definition, owner = PLAYER_ID) {
+        const faction = this.getFactionFor(owner);
+
+        const building = definition.requiresBuilding;
+        if (building && !this.hasCompletedBuilding(building, owner)) {
+            return `Requires ${faction.buildings[building]?.name || building}`;
+        }
+
+        const missingUpgrade = (definition.requires || []).find(key => !this.hasUpgrade(key, owner));
+        if (missingUpgrade) return `Requires ${faction.upgrades?.[missingUpgrade]?.name || missingUpgrade}`;
+
+        return null;
+    }
+
+    // Canonical building types that train a unit: bases for workers, otherwise every
+    // building that lists it in `unlocks`. Zerg units all hatch from a Hatchery's larva;
+    // their tech buildings only unlock them.
+    getProducerTypes(unitType, owner = PLAYER_ID) {
+        const faction = this.getFactionFor(owner);
+        if (!faction) return [];
+        if (faction.id === 'zerg' || unitType === 'worker' || unitType === 'drone') return ['base'];
+        if (unitType === 'overlord') return [];
+
+        return this.getUnlockingBuildings(unitType, owner);
+    }
+
+    // Building keys whose `unlocks` list the unit
+    getUnlockingBuildings(unitType, owner = PLAYER_ID) {
+        const buildings = this.getFactionFor(owner)?.buildings || {};
+        return Object.keys(buildings).filter(key => buildings[key].unlocks?.includes(unitType));
+    }
+
+    // Why the owner cannot have a unit yet, or null. Besides the unit's own prerequisites,
+    // a Zerg unit needs a finished building that unlocks it.
+    getUnitRequirement(unitType, owner = PLAYER_ID) {
+        const faction = this.getFactionFor(owner);
+        const definition = getUnitDefinition(faction, unitType);
+        if (!definition) return `Unknown unit type: ${unitType}`;
+
+        const missing = this.getMissingRequirement(definition, owner);
+        if (missing || faction.id !== 'zerg') return missing;
+
+        const unlockers = this.getUnlockingBuildings(unitType, owner);
+        if (unlockers.length > 0 && !unlockers.some(key => this.hasCompletedBuilding(key, owner))) {
+            return `Requires ${faction.buildings[unlockers[0]].name}`;
+        }
+        return null;
+    }
+
+    // Why a building cannot train a unit, or null when it can (cost and supply aside)
+    getTrainBlocker(building, unitType) {
+        const owner = this.getOwner(building);
+        const definition = getUnitDefinition(this.getFactionFor(owner), unitType);
+        if (!definition) return `Unknown unit type: ${unitType}`;
+
+        if (!this.getProducerTypes(unitType, owner).includes(normalizeBuildingType(building.type))) {
+            return `${definition.name} cannot be trained at ${building.name || building.type}`;
+        }
+        if (!building.isComplete) return 'Building is still under construction';
+
+        return this.getUnitRequirement(unitType, owner);
+    }
+
+    // Why the owner cannot build a building type yet, or null when they can (cost and placement aside)
+    getBuildBlocker(buildingType, owner = PLAYER_ID) {
+        const faction = this.getFactionFor(owner);
+        const definition = faction?.buildings[buildingType] || faction?.buildings[normalizeBuildingType(buildingType)];
+        if (!definition) return `Unknown building type: ${buildingType}`;
+
+        return this.getMissingRequirement(definition, owner);
+    }
+
+    // First finished building of the owner's that can train a unit now: idle ones first,
+    // or for Zerg a Hatchery with larva
+    findProducer(unitType, owner = PLAYER_ID) {
+        const producers = this.buildings.filter(b => this.getOwner(b) === owner && !this.getTrainBlocker(b, unitType));
+        const queue = this.getProductionQueue(owner);
+        const isReady = this.getFactionFor(owner)?.id === 'zerg'
+            ? b => this.getLarvaForHatchery(b.id).length > 0
+            : b => !queue.some(item => item.producerId === b.id);
+        return producers.find(isReady) || producers[0] || null;
+    }
+
+    // ============== UPGRADES ==============
+
+    hasUpgrade(upgradeKey, owner = PLAYER_ID) {
+        return !!this.getPlayer(owner)?.upgrades.includes(upgradeKey);
+    }
+
+    // Sum of an effect (attack, armor, speed, mining, shieldArmor) from the owner's
+    // researched upgrades that apply to a unit type
+    getUpgradeBonus(owner, unitType, effect) {
+        const player = this.getPlayer(owner);
+        if (!player?.faction?.upgrades) return 0;
+
+        return player.upgrades.reduce((total, key) => {
+            const upgrade = player.faction.upgrades[key];
+            if (!upgrade?.appliesTo.includes(unitType)) return total;
+            return total + (upgrade.effects[effect] || 0);
+        }, 0);
+    }
+
+    // Keys of the upgrades a building researches, in faction order
+    getResearchOptions(building) {
+        const faction = this.getFactionFor(this.getOwner(building));
+        if (!faction?.upgrades) return [];
+
+        // Base upgrades are offered at every base, expansions included
+        const type = normalizeBuildingType(building.type);
+        return Object.keys(faction.upgrades).filter(key => {
+            const researchedAt = faction.upgrades[key].researchedAt;
+            return researchedAt === 'base' ? this.isBase(building) : researchedAt === type;
+        });
+    }
+
+    // Why an upgrade cannot be researched yet, or null when it can (cost aside)
+    getResearchBlocker(upgradeKey, owner = PLAYER_ID) {
+        const faction = this.getFactionFor(owner);
+        const upgrade = faction?.upgrades?.[upgradeKey];
+        if (!upgrade) return 'Unknown upgrade';
+
+        if (this.hasUpgrade(upgradeKey, owner)) return 'Already researched';
+        if (this.getProductionQueue(owner).some(item => item.category === 'research' && item.upgrade === upgradeKey)) {
+            return 'Already researching';
+        }
+
+        return this.getMissingRequirement(upgrade, owner);
+    }
+
+    // ============== WORKER BALANCE ==============
+
+    // Auto-balance is a per-player option, saved with the player record
+    setAutoBalance(enabled, owner = PLAYER_ID) {
+        const player = this.getPlayer(owner);
+        if (!player) return false;
+        player.autoBalanceWorkers = !!enabled;
+        return true;
+    }
+
+    // Rebalance every player who has auto-balance on (call on a fixed interval)
+    updateAutoBalance() {
+        this.players.forEach((player, owner) => {
+            if (player.autoBalanceWorkers) this.rebalanceWorkers(owner);
+        });
+    }
+
+    // Move workers past the optimum at a patch or geyser to the nearest one below it.
+    // Only workers on their way to gather move; those carrying cargo home finish first.
+    rebalanceWorkers(owner = PLAYER_ID) {
+        const movable = (workerIds, positions, state, optimal) => workerIds
+            .map(id => this.getUnit(id))
+            .filter(w => w && w.state === state && this.getOwner(w) === owner && positions.get(w.id) >= optimal);
+        const nearestOpen = (worker, nodes, counts, optimal) => nodes
+            .filter(node => (counts.get(node.id) || 0) < optimal)
+            .reduce((best, node) => !best ||
+                Math.hypot(node.x - worker.x, node.z - worker.z) < Math.hypot(best.x - worker.x, best.z - worker.z) ? node : best, null);
+        const move = (counts, worker, node) => {
+            counts.set(worker.targetResource, counts.get(worker.targetResource) - 1);
+            counts.set(node.id, (counts.get(node.id) || 0) + 1);
+        };
+
+        // Extra gas workers go to another geyser, or back to minerals
+        const geysers = this.gasGeysers.filter(g => this.canHarvestGeyser(g, owner));
+        const gasCounts = this.countWorkersByResource(this.gasWorkers);
+        movable(this.gasWorkers, this.getResourceQueuePositions(this.gasWorkers), 'harvesting_gas', OPTIMAL_WORKERS_PER_GEYSER)
+            .forEach(worker => {
+                const geyser = nearestOpen(worker, geysers, gasCounts, OPTIMAL_WORKERS_PER_GEYSER);
+                if (geyser) {
+                    move(gasCounts, worker, geyser);
+                    this.assignWorkerToGas(worker.id, geyser.id);
+                } else {
+                    this.gasWorkers = this.gasWorkers.filter(id => id !== worker.id);
+                    this.assignWorkerToMinerals(worker.id);
+                }
+            });
+
+        // Extra mineral workers go to the nearest patch of a finished base that has room
+        const patches = this.mineralPatches.filter(p => p.amount > 0 && this.getDepotForResource(p, owner));
+        const mineralCounts = this.countWorkersByResource(this.mineralWorkers);
+        movable(this.mineralWorkers, this.getResourceQueuePositions(this.mineralWorkers), 'mining', OPTIMAL_WORKERS_PER_PATCH)
+            .forEach(worker => {
+                const patch = nearestOpen(worker, patches, mineralCounts, OPTIMAL_WORKERS_PER_PATCH);
+                if (!patch) return;
+                move(mineralCounts, worker, patch);
+                this.assignWorkerToMinerals(worker.id, patch.id);
+            });
+    }
+
     // ============== ZERG LARVA SYSTEM ==============
 
     // Spawn initial larva for a Hatchery (called at game start)
     spawnInitialLarva(hatchery) {
-        const config = this.faction.buildings.base;
+        const config = this.getFactionFor(this.getOwner(hatchery)).buildings.base;
         const larvaMax = config.larvaMax || 3;
 
         this.larvaByHatchery.set(hatchery.id, []);
@@ -715,25 +1554,26 @@ class GameState {
 
     // Spawn a single larva near a Hatchery
     spawnLarva(hatchery) {
-        const config = this.faction.buildings.base;
+        const config = this.getFactionFor(this.getOwner(hatchery)).buildings.base;
         const larvaMax = config.larvaMax || 3;
 
         const currentLarva = this.larvaByHatchery.get(hatchery.id) || [];
         // Filter out any removed larva
-        const validLarva = currentLarva.filter(id => this.units.find(u => u.id === id));
+        const validLarva = currentLarva.filter(id => this.getUnit(id));
         this.larvaByHatchery.set(hatchery.id, validLarva);
 
         if (validLarva.length >= larvaMax) return null;
 
         // Spawn position close to hatchery (StarCraft style)
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 6 + Math.random() * 2; // Close to Hatchery (6-8 units)
+        const angle = this.random.next() * Math.PI * 2;
+        const distance = 6 + this.random.next() * 2; // Close to Hatchery (6-8 units)
         const spawnX = hatchery.x + Math.cos(angle) * distance;
         const spawnZ = hatchery.z + Math.sin(angle) * distance;
 
         const larva = this.addUnit({
             type: 'larva',
             name: 'Larva',
+            owner: this.getOwner(hatchery),
             x: spawnX,
             z: spawnZ,
             health: 25,
@@ -752,22 +1592,21 @@ class GameState {
     // Get larva count for a Hatchery
     getLarvaForHatchery(hatcheryId) {
         const larvaIds = this.larvaByHatchery.get(hatcheryId) || [];
-        return larvaIds.filter(id => this.units.find(u => u.id === id));
+        return larvaIds.filter(id => this.getUnit(id));
     }
 
     // Update larva spawning (call every game tick)
     updateLarvaSpawning() {
-        if (this.faction?.id !== 'zerg') return;
-
-        const config = this.faction.buildings.base;
-        const spawnInterval = config.larvaSpawnInterval || 30;
-
-        // Find all Hatcheries (base type and hatchery type)
+        // Find all Hatcheries (base type and hatchery type) of Zerg players
         const hatcheries = this.buildings.filter(b =>
-            (b.type === 'base' || b.type === 'hatchery') && b.isComplete
+            (b.type === 'base' || b.type === 'hatchery') && b.isComplete &&
+            this.getFactionFor(this.getOwner(b))?.id === 'zerg'
         );
 
         hatcheries.forEach(hatchery => {
+            const config = this.getFactionFor(this.getOwner(hatchery)).buildings.base;
+            const spawnInterval = config.larvaSpawnInterval || 30;
+
             // Initialize if not tracked
             if (!this.larvaByHatchery.has(hatchery.id)) {
                 this.larvaByHatchery.set(hatchery.id, []);
@@ -791,8 +1630,11 @@ class GameState {
         const larva = this.units.find(u => u.id === larvaId && u.type === 'larva');
         if (!larva) return { success: false, error: 'Larva not found' };
 
+        const owner = this.getOwner(larva);
+        const faction = this.getFactionFor(owner);
+
         // Check what units this larva can become
-        const larvaConfig = this.faction.units.larva;
+        const larvaConfig = faction.units.larva;
         if (!larvaConfig.canEvolveInto.includes(targetUnitType)) {
             return { success: false, error: 'Cannot evolve into that unit' };
         }
@@ -800,39 +1642,35 @@ class GameState {
         // Get target unit config (check units, worker, supplyUnit)
         let unitConfig;
         if (targetUnitType === 'drone') {
-            unitConfig = this.faction.worker;
+            unitConfig = faction.worker;
         } else if (targetUnitType === 'overlord') {
-            unitConfig = this.faction.supplyUnit;
+            unitConfig = faction.supplyUnit;
         } else {
-            unitConfig = this.faction.units[targetUnitType];
+            unitConfig = faction.units[targetUnitType];
         }
 
         if (!unitConfig) return { success: false, error: 'Unknown unit type' };
 
         // Check tech requirements
-        if (unitConfig.requiresBuilding) {
-            const hasBuilding = this.buildings.some(b =>
-                b.type === unitConfig.requiresBuilding && b.isComplete
-            );
-            if (!hasBuilding) {
-                return { success: false, error: 'Requires tech building' };
-            }
+        const missingRequirement = this.getUnitRequirement(targetUnitType, owner);
+        if (missingRequirement) {
+            return { success: false, error: missingRequirement };
         }
 
         // Check cost
-        if (!this.canAfford(unitConfig.cost)) {
+        if (!this.canAfford(unitConfig.cost, owner)) {
             return { success: false, error: 'Not enough resources' };
         }
 
         // Check population (except for Overlord which adds supply)
         const isSupplyUnit = targetUnitType === 'overlord';
         const popCost = unitConfig.population || 1;
-        if (!isSupplyUnit && !this.canAddPopulation(popCost)) {
+        if (!isSupplyUnit && !this.canAddPopulation(popCost, owner)) {
             return { success: false, error: 'Not enough supply' };
         }
 
         // Spend resources
-        this.spendResources(unitConfig.cost);
+        this.spendResources(unitConfig.cost, owner);
 
         // Convert larva to egg (keeps same ID for tracking)
         larva.type = 'egg';
@@ -860,6 +1698,7 @@ class GameState {
             category: 'unit',
             unitType: larva.evolveUnitType,
             name: unitConfig.name,
+            owner,
             buildTime: unitConfig.buildTime,
             population: popCost,
             health: unitConfig.health || 40,
@@ -892,7 +1731,358 @@ class GameState {
         }
     }
 
-    // Game time
+    // ============== CREEP ==============
+
+    // Buildings with a creepRadius (Hatcheries, Creep Colonies) spread creep around them,
+    // growing out from the building. The starting Hatchery's creep is there from the start.
+    addCreepSource(building, fullySpread = false) {
+        const config = this.getFactionFor(this.getOwner(building))?.buildings[building.type];
+        if (!config?.creepRadius) return;
+
+        const source = {
+            x: building.x,
+            z: building.z,
+            radius: config.creepRadius,
+            spread: fullySpread ? config.creepRadius : 0,
+            receding: false
+        };
+        this.creepSources.set(building.id, source);
+        this.emit('creepAdded', { buildingId: building.id, ...source });
+    }
+
+    // Creep outlives its building: it recedes and is only gone once it has shrunk away
+    removeCreepSource(buildingId) {
+        const source = this.creepSources.get(buildingId);
+        if (source) source.receding = true;
+    }
+
+    // Grow creep towards each source's full radius and shrink it where the source is gone
+    // (called on game tick)
+    updateCreep(deltaTime) {
+        this.creepSources.forEach((source, buildingId) => {
+            const previous = source.spread;
+            if (source.receding) {
+                source.spread = Math.max(0, source.spread - CREEP_RECEDE_RATE * deltaTime);
+            } else if (source.spread < source.radius) {
+                source.spread = Math.min(source.radius, source.spread + CREEP_SPREAD_RATE * deltaTime);
+            } else {
+                return;
+            }
+
+            if (source.receding && source.spread === 0) {
+                this.creepSources.delete(buildingId);
+                this.emit('creepRemoved', { buildingId });
+            } else if (Math.floor(source.spread / CREEP_CHANGE_STEP) !== Math.floor(previous / CREEP_CHANGE_STEP) ||
+                source.spread === source.radius) {
+                this.emit('creepChanged', { buildingId, ...source });
+            }
+        });
+    }
+
+    // Most Zerg buildings need creep under them, and Zerg ground units run faster on it.
+    // With an owner, only creep from that player's standing buildings counts.
+    isOnCreep(x, z, owner = null) {
+        for (const [buildingId, source] of this.creepSources) {
+            if (Math.hypot(x - source.x, z - source.z) > source.spread) continue;
+            if (owner === null) return true;
+            const building = this.buildings.find(b => b.id === buildingId);
+            if (building && this.getOwner(building) === owner) return true;
+        }
+        return false;
+    }
+
+    // ============== VISIBILITY ==============
+
+    // Recompute what the local player can see from their units and buildings
+    updateVisibility() {
+        const sources = [];
+        this.units.forEach(unit => {
+            if (this.getOwner(unit) !== PLAYER_ID) return;
+            sources.push({ x: unit.x, z: unit.z, radius: getUnitConfig(unit.type).visionRadius });
+        });
+        this.buildings.forEach(building => {
+            if (this.getOwner(building) !== PLAYER_ID) return;
+            sources.push({ x: building.x, z: building.z, radius: getBuildingDimensions(building.type).visionRadius });
+        });
+
+        this.visibility.update(sources);
+    }
+
+    // The local player's own entities are always visible, others only inside their vision
+    isVisibleToPlayer(entity) {
+        if (this.getOwner(entity) === PLAYER_ID) return true;
+        return this.visibility.isVisible(entity.x, entity.z);
+    }
+
+    // ============== COMBAT SYSTEM ==============
+
+    // Look up a unit or building by id
+    findEntity(entityId) {
+        if (!entityId) return null;
+        return this.getUnit(entityId) ||
+            this.buildings.find(b => b.id === entityId) ||
+            null;
+    }
+
+    // Entities without an owner belong to the local player
+    getOwner(entity) {
+        return entity?.owner || PLAYER_ID;
+    }
+
+    isHostile(a, b) {
+        return !!a && !!b && this.getOwner(a) !== this.getOwner(b);
+    }
+
+    // Attack, range and cooldown for a unit, or null if it cannot attack
+    getCombatStats(unit) {
+        if (!unit || unit.type === 'larva' || unit.type === 'egg') return null;
+
+        const definition = getUnitDefinition(this.getFactionFor(this.getOwner(unit)), unit.type);
+        if (!definition?.attack) return null;
+
+        return {
+            attack: definition.attack + this.getUpgradeBonus(this.getOwner(unit), unit.type, 'attack'),
+            range: definition.range || 1,
+            cooldown: definition.attackCooldown || 1
+        };
+    }
+
+    // Approximate footprint radius used for range checks
+    getEntityRadius(entity) {
+        if (this.buildingIndex.has(entity.id)) {
+            const dims = getBuildingDimensions(entity.type);
+            return Math.max(dims?.collisionWidth || 5, dims?.collisionDepth || 5) / 2;
+        }
+        return getUnitConfig(entity.type).radius;
+    }
+
+    // Edge-to-edge distance between two entities
+    getDistanceBetween(a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const centerDistance = Math.sqrt(dx * dx + dz * dz);
+        return Math.max(0, centerDistance - this.getEntityRadius(a) - this.getEntityRadius(b));
+    }
+
+    isInAttackRange(unit, target) {
+        const stats = this.getCombatStats(unit);
+        if (!stats || !target) return false;
+        return this.getDistanceBetween(unit, target) <= stats.range;
+    }
+
+    // Find the closest hostile unit (or building if no units) within a radius
+    findAttackTarget(unit, radius) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        const consider = (candidate) => {
+            if (!this.isHostile(unit, candidate)) return;
+            const distance = this.getDistanceBetween(unit, candidate);
+            if (distance <= radius && distance < closestDistance) {
+                closest = candidate;
+                closestDistance = distance;
+            }
+        };
+
+        // Edge-to-edge range, so widen the centre search by the largest possible radii
+        const searchRadius = radius + this.getEntityRadius(unit) + MAX_ENTITY_RADIUS;
+        this.getUnitsNear(unit.x, unit.z, searchRadius).forEach(consider);
+        if (!closest) {
+            this.getBuildingsNear(unit.x, unit.z, searchRadius).forEach(consider);
+        }
+        return closest;
+    }
+
+    // Order a unit to attack a specific unit or building
+    orderAttack(unitId, targetId) {
+        const unit = this.getUnit(unitId);
+        const target = this.findEntity(targetId);
+        if (!unit || !target || !this.getCombatStats(unit) || !this.isHostile(unit, target)) {
+            return false;
+        }
+
+        // Workers leave their gathering jobs to fight
+        this.mineralWorkers = this.mineralWorkers.filter(id => id !== unitId);
+        this.gasWorkers = this.gasWorkers.filter(id => id !== unitId);
+
+        unit.state = 'attacking';
+        unit.attackTargetId = targetId;
+        unit.targetX = undefined;
+        unit.targetZ = undefined;
+        unit.targetBuildingId = null;
+        return true;
+    }
+
+    // Target acquisition, cooldowns and damage (called on game tick)
+    // Movement towards targets is handled by the unit movement code in main.js
+    updateCombat(deltaTime) {
+        // Snapshot so deaths during this tick don't disturb iteration
+        [...this.units].forEach(unit => {
+            const stats = this.getCombatStats(unit);
+            if (!stats) return;
+
+            unit.attackCooldownRemaining = Math.max(0, (unit.attackCooldownRemaining || 0) - deltaTime);
+
+            let target = this.findEntity(unit.attackTargetId);
+            if (unit.attackTargetId && !target) {
+                // Target died or was removed
+                unit.attackTargetId = null;
+                if (unit.state === 'attacking') {
+                    unit.state = 'idle';
+                }
+            }
+
+            // Idle combat units automatically engage nearby enemies (workers only fight when ordered)
+            if (!target && unit.state === 'idle' && unit.type !== 'worker') {
+                target = this.findAttackTarget(unit, stats.range + ACQUIRE_RANGE_BONUS);
+                if (target) {
+                    unit.state = 'attacking';
+                    unit.attackTargetId = target.id;
+                }
+            }
+
+            if (!target || unit.state !== 'attacking') return;
+
+            if (this.isInAttackRange(unit, target) && unit.attackCooldownRemaining <= 0) {
+                unit.attackCooldownRemaining = stats.cooldown;
+                this.emit('unitAttacked', { attacker: unit, target, damage: stats.attack });
+                this.applyDamage(target, stats.attack, unit);
+            }
+        });
+    }
+
+    // Apply damage to a unit or building, destroying it at zero health. Shields take the
+    // hit first and only what they cannot absorb reaches health.
+    applyDamage(target, amount, attacker = null) {
+        if (!target || target.health <= 0) return;
+
+        const isUnit = !this.buildingIndex.has(target.id);
+        const owner = this.getOwner(target);
+        target.lastDamagedAt = this.gameTime;
+
+        let shieldDamage = 0;
+        if (target.shield > 0) {
+            const shieldArmor = isUnit ? this.getUpgradeBonus(owner, target.type, 'shieldArmor') : 0;
+            const hit = Math.max(MIN_DAMAGE, amount - shieldArmor);
+            shieldDamage = Math.min(target.shield, hit);
+            target.shield -= shieldDamage;
+            amount = hit - shieldDamage;
+        }
+
+        // Armor upgrades soften every hit on units (what spills over from shields included)
+        if (isUnit && amount > 0) {
+            const armor = this.getUpgradeBonus(owner, target.type, 'armor');
+            if (armor > 0) amount = Math.max(shieldDamage > 0 ? 0 : MIN_DAMAGE, amount - armor);
+        }
+
+        target.health = Math.max(0, target.health - amount);
+        this.emit('entityDamaged', { target, amount, shieldDamage, attacker });
+
+        if (target.health <= 0) {
+            if (this.buildings.includes(target)) {
+                this.destroyBuilding(target, attacker);
+            } else {
+                this.killUnit(target, attacker);
+            }
+        }
+    }
+
+    killUnit(unit, killer = null) {
+        // Supply units take their supply with them
+        if (unit.isSupplyUnit) {
+            const owner = this.getOwner(unit);
+            const definition = getUnitDefinition(this.getFactionFor(owner), unit.type);
+            this.addPopulationMax(-(definition?.supplyProvided || 0), owner);
+        }
+
+        // Dead larva no longer count towards their Hatchery
+        if (unit.type === 'larva') {
+            this.removeLarva(unit);
+        } else {
+            this.removeUnit(unit.id);
+        }
+
+        // Eggs take their pending evolution with them
+        if (unit.type === 'egg') {
+            this.removeProduction(item => item.eggId === unit.id);
+        }
+
+        this.emit('unitDied', { unit, killer });
+    }
+
+    destroyBuilding(building, killer = null) {
+        const owner = this.getOwner(building);
+        const faction = this.getFactionFor(owner);
+        const definition = faction?.buildings[building.type] ||
+            faction?.buildings[normalizeBuildingType(building.type)];
+
+        // Completed supply structures stop providing supply
+        if (building.isComplete && definition?.supplyProvided) {
+            this.addPopulationMax(-definition.supplyProvided, owner);
+        }
+
+        // Free the geyser under a destroyed extractor
+        const gasTypes = ['gasextractor', 'extractor', 'refinery', 'assimilator'];
+        if (gasTypes.includes(building.type?.toLowerCase())) {
+            const geyser = this.gasGeysers.find(g =>
+                Math.abs(g.x - building.x) < 2 && Math.abs(g.z - building.z) < 2
+            );
+            if (geyser) {
+                geyser.hasExtractor = false;
+                geyser.extractorOwner = null;
+            }
+        }
+
+        // Drop construction and production tied to this building
+        // (eggs evolve on their own once started)
+        this.removeProduction(item =>
+            !item.isEvolution && (item.buildingId === building.id || item.producerId === building.id)
+        );
+
+        this.larvaByHatchery.delete(building.id);
+        this.lastLarvaSpawn.delete(building.id);
+
+        // Builders have nothing left to construct
+        this.units.forEach(u => {
+            if (u.targetBuildingId === building.id) {
+                u.state = 'idle';
+                u.targetBuildingId = null;
+            }
+        });
+
+        this.removeBuilding(building.id);
+        this.emit('buildingDestroyed', { building, killer });
+        this.checkForWinner();
+    }
+
+    // ============== SHIELDS ==============
+
+    // Protoss units and buildings start with the full shields of their definition
+    initShields(entity, definition) {
+        if (!definition?.shield || entity.maxShield !== undefined) return;
+        entity.shield = definition.shield;
+        entity.maxShield = definition.shield;
+    }
+
+    // Shields recharge once an entity has gone SHIELD_REGEN_DELAY seconds without damage
+    updateShields(deltaTime) {
+        const recharge = entity => {
+            if (!(entity.shield < entity.maxShield)) return;
+            if (entity.lastDamagedAt !== undefined && this.gameTime - entity.lastDamagedAt < SHIELD_REGEN_DELAY) return;
+            entity.shield = Math.min(entity.maxShield, entity.shield + SHIELD_REGEN_RATE * deltaTime);
+        };
+        this.units.forEach(recharge);
+        this.buildings.forEach(recharge);
+    }
+
+    // ============== COMMAND LOG ==============
+
+    // Log a player command (see Commands.js for the command types). Saves from before
+    // command logging have no log and cannot be replayed.
+    recordCommand(command) {
+        this.commandLog?.push({ tick: this.tick, ...command });
+    }
+
     updateGameTime(deltaTime) {
         this.gameTime += deltaTime;
         this.emit('timeUpdated', this.gameTime);
@@ -904,70 +2094,227 @@ class GameState {
         return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
-    // Save/Load
-    save() {
-        const saveData = {
+    // ============== SAVE / LOAD ==============
+
+    createSaveData() {
+        return {
+            version: SAVE_VERSION,
             faction: this.faction?.id,
             gameTime: this.gameTime,
-            minerals: this.minerals,
-            gas: this.gas,
-            population: this.population,
-            populationMax: this.populationMax,
+            players: [...this.players.values()].map(player => ({ ...player, faction: player.faction?.id })),
             buildings: this.buildings,
             units: this.units,
             mineralPatches: this.mineralPatches,
             gasGeysers: this.gasGeysers,
             mineralWorkers: this.mineralWorkers,
             gasWorkers: this.gasWorkers,
-            productionQueue: this.productionQueue,
+            larvaByHatchery: [...this.larvaByHatchery],
+            lastLarvaSpawn: [...this.lastLarvaSpawn],
+            creepSources: [...this.creepSources],
+            moveGroups: [...this.moveGroups].map(([groupId, { x, z }]) => [groupId, { x, z }]),
+            nextMoveGroupId: this.nextMoveGroupId,
+            map: this.map.serialize(),
+            navigation: { version: this.navigation.version, dirty: this.navigation.dirty },
+            explored: this.visibility.getExploredRuns(),
+            advisor: this.advisor,
+            winner: this.winner,
+            random: { seed: this.random.seed, state: this.random.state },
+            nextEntityId: this.nextEntityId,
+            tick: this.tick,
+            commandLog: this.commandLog,
             savedAt: Date.now()
         };
+    }
+
+    // Save into a slot. An existing slot id is overwritten, otherwise a new slot is made.
+    // Returns the slot id, or null if storage failed (e.g. quota exceeded).
+    save(name = 'Quick Save', slotId = QUICKSAVE_SLOT, autosave = false) {
+        const saveData = this.createSaveData();
+        const id = this.writeSlot(saveData, name, slotId, autosave);
+        if (id) {
+            this.emit('gameSaved', { slotId: id, saveData });
+        }
+        return id;
+    }
+
+    // Store save data with the metadata the save browser lists
+    writeSlot(saveData, name, slotId = null, autosave = false) {
+        const id = slotId || `save_${Date.now()}`;
+        const player = saveData.players.find(p => p.id === PLAYER_ID);
+        const slot = {
+            id,
+            name,
+            autosave,
+            savedAt: saveData.savedAt,
+            faction: player.faction,
+            gameTime: saveData.gameTime,
+            population: player.population,
+            populationMax: player.populationMax
+        };
 
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(saveData));
-            this.emit('gameSaved', saveData);
-            return true;
+            localStorage.setItem(SAVE_SLOT_PREFIX + id, JSON.stringify(saveData));
+            this.writeSaveIndex([slot, ...this.listSaves().filter(s => s.id !== id)]);
+            return id;
         } catch (e) {
             console.error('Failed to save game:', e);
-            return false;
+            return null;
         }
     }
 
-    load() {
+    // Stored save data of a slot, as saved (not migrated)
+    readSlot(slotId) {
         try {
-            const data = localStorage.getItem(STORAGE_KEY);
-            if (!data) return false;
+            return JSON.parse(localStorage.getItem(SAVE_SLOT_PREFIX + slotId));
+        } catch (e) {
+            console.error('Failed to read save:', e);
+            return null;
+        }
+    }
 
+    // Store save JSON from an exported file in a new slot. The data is migrated and
+    // validated first, so a slot never holds a save that cannot be loaded.
+    // Returns { success, slotId, error }.
+    importSave(json, name) {
+        let saveData;
+        try {
+            saveData = validateSave(migrateSave(JSON.parse(json)));
+        } catch (e) {
+            console.error('Failed to import save:', e);
+            return { success: false, error: e instanceof SaveError ? e.message : 'File is not a game save' };
+        }
+
+        saveData.savedAt = saveData.savedAt || Date.now();
+        const slotId = this.writeSlot(saveData, name);
+        return slotId
+            ? { success: true, slotId }
+            : { success: false, error: 'Not enough storage space for this save' };
+    }
+
+    // Periodic safety save, overwriting the oldest autosave once all slots are used
+    autosave() {
+        const autosaves = this.listSaves().filter(s => s.autosave);
+        const freeSlot = Array.from({ length: AUTOSAVE_SLOTS }, (_, i) => `autosave_${i + 1}`)
+            .find(id => !autosaves.some(s => s.id === id));
+        const slotId = freeSlot || autosaves[autosaves.length - 1].id;
+
+        return this.save(`Autosave ${this.getFormattedGameTime()}`, slotId, true);
+    }
+
+    // Metadata of every save slot, newest first
+    listSaves() {
+        this.migrateLegacySave();
+
+        try {
+            const slots = JSON.parse(localStorage.getItem(SAVE_INDEX_KEY) || '[]');
+            return slots.sort((a, b) => b.savedAt - a.savedAt);
+        } catch (e) {
+            console.error('Failed to read save slots:', e);
+            return [];
+        }
+    }
+
+    writeSaveIndex(slots) {
+        localStorage.setItem(SAVE_INDEX_KEY, JSON.stringify(slots));
+    }
+
+    // Move the single pre-slots save into a slot of its own
+    migrateLegacySave() {
+        const data = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (data === null) return;
+
+        try {
             const saveData = JSON.parse(data);
+            const player = saveData.players?.find(p => p.id === PLAYER_ID) || saveData;
+            const slot = {
+                id: 'legacy',
+                name: 'Saved Game',
+                autosave: false,
+                savedAt: saveData.savedAt || 0,
+                faction: saveData.faction,
+                gameTime: saveData.gameTime || 0,
+                population: player.population || 0,
+                populationMax: player.populationMax || 0
+            };
+
+            const slots = JSON.parse(localStorage.getItem(SAVE_INDEX_KEY) || '[]');
+            localStorage.setItem(SAVE_SLOT_PREFIX + slot.id, data);
+            this.writeSaveIndex([slot, ...slots.filter(s => s.id !== slot.id)]);
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        } catch (e) {
+            console.error('Failed to migrate old save:', e);
+        }
+    }
 
-            this.faction = getFaction(saveData.faction);
-            this.gameTime = saveData.gameTime;
-            this.minerals = saveData.minerals;
-            this.gas = saveData.gas;
-            this.population = saveData.population;
-            this.populationMax = saveData.populationMax;
-            this.buildings = saveData.buildings;
-            this.units = saveData.units;
-            this.mineralPatches = saveData.mineralPatches;
-            this.gasGeysers = saveData.gasGeysers;
-            this.mineralWorkers = saveData.mineralWorkers;
-            this.gasWorkers = saveData.gasWorkers;
-            this.productionQueue = saveData.productionQueue || [];
-
-            this.emit('gameLoaded', saveData);
-            return true;
+    // Load a slot (the most recent save if none is given). Returns { success, error }.
+    load(slotId = this.listSaves()[0]?.id) {
+        const data = slotId ? localStorage.getItem(SAVE_SLOT_PREFIX + slotId) : null;
+        if (!data) return { success: false, error: 'Save not found' };
+
+        return this.loadSaveData(data);
+    }
+
+    // Restore a game from save JSON. Older formats are migrated first, and data that
+    // fails validation is rejected before any current state is touched.
+    loadSaveData(json) {
+        let saveData;
+        try {
+            saveData = validateSave(migrateSave(JSON.parse(json)));
         } catch (e) {
             console.error('Failed to load game:', e);
-            return false;
+            return { success: false, error: e instanceof SaveError ? e.message : 'Save data is unreadable' };
         }
+
+        // Start from a clean slate: listeners of any game that was running before must
+        // not leak into the loaded one
+        this.reset();
+
+        this.gameTime = saveData.gameTime;
+        this.tick = saveData.tick;
+        this.commandLog = saveData.commandLog;
+        this.random = new SeededRandom(saveData.random.seed);
+        this.random.state = saveData.random.state;
+        this.nextEntityId = saveData.nextEntityId;
+        this.players = new Map(saveData.players.map(record => [
+            record.id,
+            { ...record, faction: getFaction(record.faction) }
+        ]));
+
+        this.buildings = saveData.buildings;
+        this.units = saveData.units;
+        this.mineralPatches = saveData.mineralPatches;
+        this.gasGeysers = saveData.gasGeysers;
+        this.mineralWorkers = saveData.mineralWorkers;
+        this.gasWorkers = saveData.gasWorkers;
+        this.rebuildSpatialIndex();
+        this.setMap(GameMap.deserialize(saveData.map));
+
+        // Units remember the grid version their path was planned on
+        this.navigation.restore(this, saveData.navigation);
+
+        this.larvaByHatchery = new Map(saveData.larvaByHatchery);
+        this.lastLarvaSpawn = new Map(saveData.lastLarvaSpawn);
+        this.creepSources = new Map(saveData.creepSources);
+        this.moveGroups = new Map(saveData.moveGroups.map(([groupId, { x, z }]) => [groupId, { x, z, flowField: null }]));
+        this.nextMoveGroupId = saveData.nextMoveGroupId;
+        this.advisor = saveData.advisor || this.advisor;
+        this.winner = saveData.winner;
+
+        // Explored ground is saved, what is visible right now follows from the units
+        this.visibility.restoreExploredRuns(saveData.explored);
+        this.updateVisibility();
+
+        this.emit('gameLoaded', saveData);
+        return { success: true };
     }
 
     hasSavedGame() {
-        return localStorage.getItem(STORAGE_KEY) !== null;
+        return this.listSaves().length > 0;
     }
 
-    deleteSave() {
-        localStorage.removeItem(STORAGE_KEY);
+    deleteSave(slotId) {
+        localStorage.removeItem(SAVE_SLOT_PREFIX + slotId);
+        this.writeSaveIndex(this.listSaves().filter(s => s.id !== slotId));
     }
 
     // Getters for UI
@@ -985,6 +2332,12 @@ class GameState {
     }
 }
 
+// Share of the full gathering rate for a worker at this place in its node's queue
+function gatherEfficiency(position = 0, optimal, max) {
+    if (position < optimal) return 1;
+    return position < max ? OVERSATURATED_GATHER_RATE : 0;
+}
+
 // Singleton instance
 export const gameState = new GameState();
 export default gameState;
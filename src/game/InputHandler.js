@@ -3,7 +3,9 @@
  */
 
 import * as THREE from 'three';
-import gameState from '../game/GameState.js';
+import gameState, { PLAYER_ID } from '../game/GameState.js';
+import { issueCommand } from './Commands.js';
+import { RESOURCE_CLUSTER_TYPES } from './GameActions.js';
 
 export class InputHandler {
     constructor(scene, camera, unitRenderer, terrainRenderer, onSelectionChange, buildingRenderer = null) {
@@ -14,6 +16,7 @@ export class InputHandler {
         this.buildingRenderer = buildingRenderer;
         this.onSelectionChange = onSelectionChange;
         this.onPlayerAction = null; // Callback for AI feedback
+        this.gameActions = null; // Placement rules for the building ghost
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -82,14 +85,7 @@ export class InputHandler {
         if (this.buildingPlacementMode) {
             // Check if placement is valid
             if (this.ghostBuilding && this.ghostBuilding.userData.isValidPlacement === false) {
-                // Show appropriate error message based on faction
-                if (gameState.faction?.id === 'zerg') {
-                    this.showFeedback('Must build on creep!');
-                } else if (gameState.faction?.id === 'protoss') {
-                    this.showFeedback('Must be placed within a Pylon\'s power field!');
-                } else {
-                    this.showFeedback('Invalid placement!');
-                }
+                this.showFeedback(`${this.ghostBuilding.userData.placementBlocker}!`);
                 return;
             }
 
@@ -120,7 +116,7 @@ export class InputHandler {
 
         if (unitIntersects.length > 0) {
             const hitObject = this.findEntityObject(unitIntersects[0].object);
-            if (hitObject && hitObject.userData.unitData) {
+            if (hitObject && hitObject.userData.unitData && this.isOwnEntity(hitObject.userData.unitData.id)) {
                 this.selectUnit(hitObject.userData.unitData.id);
                 this.notifySelectionChange();
                 return;
@@ -133,7 +129,7 @@ export class InputHandler {
 
         if (buildingIntersects.length > 0) {
             const hitObject = this.findEntityObject(buildingIntersects[0].object);
-            if (hitObject && hitObject.userData.buildingData) {
+            if (hitObject && hitObject.userData.buildingData && this.isOwnEntity(hitObject.userData.buildingData.id)) {
                 this.selectBuilding(hitObject.userData.buildingData.id);
                 this.notifySelectionChange();
                 return;
@@ -164,6 +160,13 @@ export class InputHandler {
             const clickPoint = primaryHit.point;
 
             if (hitObject) {
+                // Attack enemy units and buildings
+                const targetData = hitObject.userData?.unitData || hitObject.userData?.buildingData;
+                if (targetData && this.isHostileToSelection(targetData.id)) {
+                    this.commandAttack(targetData.id);
+                    return;
+                }
+
                 // Check if it's a mineral patch or gas geyser (via userdata or parent)
                 const resourceType = hitObject.userData?.type;
                 const resourceId = hitObject.userData?.id;
@@ -181,7 +184,7 @@ export class InputHandler {
                     const bData = hitObject.userData.buildingData;
                     const building = gameState.buildings.find(b => b.id === bData.id);
 
-                    if (building) {
+                    if (building && this.isOwnEntity(building.id)) {
                         // Action 1: Help with construction (Human SCVs)
                         if (!building.isComplete && gameState.faction.id === 'human') {
                             this.commandConstruct(building.id);
@@ -241,23 +244,20 @@ export class InputHandler {
     findNearbyResource(x, z) {
         const proximityRadius = 2.0; // Reduced to match visual glow radius exactly
 
-        // Check mineral patches
-        for (const patch of gameState.mineralPatches) {
-            const dist = Math.sqrt(Math.pow(patch.x - x, 2) + Math.pow(patch.z - z, 2));
-            if (dist < proximityRadius) {
-                return { type: 'mineral', resource: patch };
+        // Closest mineral patch or gas geyser under the cursor
+        let closest = null;
+        let closestDistance = proximityRadius;
+        gameState.getResourcesNear(x, z, proximityRadius).forEach(resource => {
+            const dist = Math.sqrt(Math.pow(resource.x - x, 2) + Math.pow(resource.z - z, 2));
+            if (dist < closestDistance) {
+                closest = resource;
+                closestDistance = dist;
             }
-        }
-
-        // Check gas geysers
-        for (const geyser of gameState.gasGeysers) {
-            const dist = Math.sqrt(Math.pow(geyser.x - x, 2) + Math.pow(geyser.z - z, 2));
-            if (dist < proximityRadius) {
-                return { type: 'gas', resource: geyser };
-            }
-        }
+        });
 
-        return null;
+        if (!closest) return null;
+        const type = gameState.gasGeysers.includes(closest) ? 'gas' : 'mineral';
+        return { type, resource: closest };
     }
 
     onMouseMove(event) {
@@ -350,8 +350,10 @@ export class InputHandler {
         const top = Math.min(this.boxSelectStart.y, this.boxSelectEnd.y);
         const bottom = Math.max(this.boxSelectStart.y, this.boxSelectEnd.y);
 
-        // Check each unit to see if it's within the box
+        // Check each of the player's units to see if it's within the box
         this.unitRenderer.units.forEach((group, unitId) => {
+            if (!this.isOwnEntity(unitId)) return;
+
             const screenPos = this.worldToScreen(group.position);
             if (screenPos.x >= left && screenPos.x <= right &&
                 screenPos.y >= top && screenPos.y <= bottom) {
@@ -375,10 +377,11 @@ export class InputHandler {
         };
     }
 
+    // Entities hidden by the fog of war cannot be clicked
     getSelectableUnitObjects() {
         const objects = [];
         this.unitRenderer.units.forEach((group, id) => {
-            objects.push(group);
+            if (group.visible) objects.push(group);
         });
         return objects;
     }
@@ -387,7 +390,7 @@ export class InputHandler {
         const objects = [];
         if (this.buildingRenderer && this.buildingRenderer.buildings) {
             this.buildingRenderer.buildings.forEach((group, id) => {
-                objects.push(group);
+                if (group.visible) objects.push(group);
             });
         }
         return objects;
@@ -408,10 +411,15 @@ export class InputHandler {
         // Add buildings
         if (this.buildingRenderer && this.buildingRenderer.buildings) {
             this.buildingRenderer.buildings.forEach((group, id) => {
-                objects.push(group);
+                if (group.visible) objects.push(group);
             });
         }
 
+        // Add units (attack targets)
+        this.unitRenderer.units.forEach((group, id) => {
+            if (group.visible) objects.push(group);
+        });
+
         return objects;
     }
 
@@ -499,17 +507,10 @@ export class InputHandler {
 
     // Commands
     commandMineMinerals(targetResourceId = null) {
-        let assigned = 0;
-        this.selectedUnits.forEach(unitId => {
-            const unit = gameState.units.find(u => u.id === unitId);
-            if (unit && unit.type === 'worker') {
-                // Remove from gas workers if assigned there
-                gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== unitId);
-
-                if (gameState.assignWorkerToMinerals(unitId, targetResourceId)) {
-                    assigned++;
-                }
-            }
+        const assigned = issueCommand({
+            type: 'mine',
+            unitIds: [...this.selectedUnits],
+            resourceId: targetResourceId
         });
 
         if (assigned > 0) {
@@ -519,17 +520,10 @@ export class InputHandler {
     }
 
     commandHarvestGas(targetResourceId = null) {
-        let assigned = 0;
-        this.selectedUnits.forEach(unitId => {
-            const unit = gameState.units.find(u => u.id === unitId);
-            if (unit && unit.type === 'worker') {
-                // Remove from mineral workers if assigned there
-                gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== unitId);
-
-                if (gameState.assignWorkerToGas(unitId, targetResourceId)) {
-                    assigned++;
-                }
-            }
+        const assigned = issueCommand({
+            type: 'harvestGas',
+            unitIds: [...this.selectedUnits],
+            resourceId: targetResourceId
         });
 
         if (assigned > 0) {
@@ -541,47 +535,56 @@ export class InputHandler {
     }
 
     commandMove(x, z) {
-        // For now, just set idle and update position
-        // Full pathfinding can be added later
-        this.selectedUnits.forEach(unitId => {
-            const unit = gameState.units.find(u => u.id === unitId);
-            if (unit) {
-                // Skip larva and eggs - they cannot be commanded
-                if (unit.type === 'larva' || unit.type === 'egg') {
-                    return;
-                }
+        // Larva and eggs can't be commanded; groups move in formation
+        issueCommand({ type: 'move', unitIds: [...this.selectedUnits], x, z });
+    }
 
-                // Remove from worker assignments
-                gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== unitId);
-                gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== unitId);
+    commandAttack(targetId) {
+        const target = gameState.findEntity(targetId);
+        if (!target) return;
 
-                unit.state = 'moving';
-                unit.targetX = x;
-                unit.targetZ = z;
-                unit.targetBuildingId = null; // Clear construction target
-            }
+        const ordered = issueCommand({ type: 'attack', unitIds: [...this.selectedUnits], targetId });
+
+        if (ordered > 0) {
+            this.showFeedback(`${ordered} unit(s) attacking ${target.name || target.type}`);
+            this.onPlayerAction?.('attack', { count: ordered, targetName: target.name || target.type });
+        }
+    }
+
+    // Only the local player's units and buildings can be selected
+    isOwnEntity(entityId) {
+        const entity = gameState.findEntity(entityId);
+        return !!entity && gameState.getOwner(entity) === PLAYER_ID;
+    }
+
+    // Check if an entity is an enemy of the current selection
+    isHostileToSelection(entityId) {
+        const target = gameState.findEntity(entityId);
+        if (!target) return false;
+
+        return this.selectedUnits.some(unitId => {
+            const unit = gameState.units.find(u => u.id === unitId);
+            return gameState.isHostile(unit, target);
         });
     }
 
+    // Drop a removed unit or building from the current selection
+    handleEntityRemoved(entityId) {
+        const wasSelected = this.selectedUnits.includes(entityId) || this.selectedBuilding === entityId;
+        if (!wasSelected) return;
+
+        this.selectedUnits = this.selectedUnits.filter(id => id !== entityId);
+        if (this.selectedBuilding === entityId) {
+            this.selectedBuilding = null;
+        }
+        this.notifySelectionChange();
+    }
+
     commandConstruct(buildingId) {
         const building = gameState.buildings.find(b => b.id === buildingId);
         if (!building) return;
 
-        let assigned = 0;
-        this.selectedUnits.forEach(unitId => {
-            const unit = gameState.units.find(u => u.id === unitId);
-            if (unit && unit.type === 'worker') {
-                // Clear other assignments
-                gameState.mineralWorkers = gameState.mineralWorkers.filter(id => id !== unitId);
-                gameState.gasWorkers = gameState.gasWorkers.filter(id => id !== unitId);
-
-                unit.state = 'constructing';
-                unit.targetBuildingId = buildingId;
-                unit.targetX = building.x;
-                unit.targetZ = building.z;
-                assigned++;
-            }
-        });
+        const assigned = issueCommand({ type: 'construct', unitIds: [...this.selectedUnits], buildingId });
 
         if (assigned > 0) {
             this.showFeedback(`${assigned} workers assigned to construction`);
@@ -597,7 +600,7 @@ export class InputHandler {
     // Select all workers
     selectAllWorkers() {
         this.clearSelection();
-        gameState.units.forEach(unit => {
+        gameState.getUnitsOf(PLAYER_ID).forEach(unit => {
             if (unit.type === 'worker') {
                 this.selectUnit(unit.id);
             }
@@ -653,24 +656,19 @@ export class InputHandler {
             creepcolony: { size: 3, height: 2 },
             barracks: { size: 4, height: 3 },
             factory: { size: 5, height: 4 },
-            gasExtractor: { size: 3, height: 2 }
+            hydraliskden: { size: 4, height: 3 },
+            gasExtractor: { size: 3, height: 2 },
+            hatchery: { size: 8, height: 4 },
+            commandcenter: { size: 8, height: 4 },
+            nexus: { size: 8, height: 4 }
         };
 
         const type = buildingType.toLowerCase();
         const config = sizes[type] || sizes.supply;
 
-        const geometry = new THREE.BoxGeometry(config.size, config.height, config.size);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            transparent: true,
-            opacity: 0.5,
-            wireframe: true
-        });
-
-        this.ghostBuilding = new THREE.Mesh(geometry, material);
-        this.ghostBuilding.position.y = 0.5 + config.height / 2; // Account for platform height
+        this.ghostBuilding = createGhostMesh(config);
         this.ghostBuilding.userData.buildingType = buildingType; // Store for creep check
-        this.ghostMaterial = material; // Store reference for color updates
+        this.ghostMaterial = this.ghostBuilding.material; // Store reference for color updates
         this.scene.scene.add(this.ghostBuilding);
     }
 
@@ -699,31 +697,17 @@ export class InputHandler {
             const point = intersects[0].point;
             this.ghostBuilding.position.x = point.x;
             this.ghostBuilding.position.z = point.z;
-
-            // Check if placement is valid - Zerg must build on creep (except for buildings with canBuildAnywhere)
-            let isValidPlacement = true;
-            if (gameState.faction?.id === 'zerg' && this.terrainRenderer) {
-                // Check if this building type can be built anywhere
-                const buildingConfig = gameState.faction.buildings?.[this.pendingBuildingType];
-                const canBuildAnywhere = buildingConfig?.canBuildAnywhere || false;
-
-                if (!canBuildAnywhere) {
-                    isValidPlacement = this.terrainRenderer.isOnCreep(point.x, point.z);
-                }
-            }
-
-            // Protoss power field check - buildings with requiresPower must be in a Pylon's field
-            if (gameState.faction?.id === 'protoss') {
-                const buildingConfig = gameState.faction.buildings?.[this.pendingBuildingType];
-                if (buildingConfig?.requiresPower) {
-                    isValidPlacement = this.isWithinPylonField(point.x, point.z);
-                }
-            }
-
-            // Check for building overlap - cannot build on top of other buildings
-            if (isValidPlacement) {
-                isValidPlacement = this.checkBuildingOverlap(point.x, point.z, this.pendingBuildingType);
+            this.ghostBuilding.position.y = point.y + this.ghostBuilding.userData.baseY; // Sit on the terrain
+
+            // Same faction rules as GameActions.buildStructure (Pylon power, creep), then overlap
+            const buildingConfig = gameState.faction?.buildings?.[this.pendingBuildingType];
+            let placementBlocker = buildingConfig && this.gameActions
+                ? this.gameActions.getPlacementBlocker(point.x, point.z, buildingConfig, PLAYER_ID)
+                : null;
+            if (!placementBlocker && !this.checkBuildingOverlap(point.x, point.z, this.pendingBuildingType)) {
+                placementBlocker = 'Invalid placement';
             }
+            const isValidPlacement = !placementBlocker;
 
             // Update ghost color based on validity
             if (this.ghostMaterial) {
@@ -732,6 +716,7 @@ export class InputHandler {
 
             // Store validity for click handling
             this.ghostBuilding.userData.isValidPlacement = isValidPlacement;
+            this.ghostBuilding.userData.placementBlocker = placementBlocker;
         }
     }
 
@@ -748,6 +733,7 @@ export class InputHandler {
             'factory': 3.5,
             'roachwarren': 3.5,
             'roboticsfacility': 3.5,
+            'hydraliskden': 3,
             'base': 6,
             'hatchery': 6,
             'nexus': 6,
@@ -758,6 +744,16 @@ export class InputHandler {
         const newBuildingSize = buildingSizes[normalizedType] || 3;
         const minDistance = 6; // Minimum distance between building centers
 
+        // Level, open ground only
+        if (!gameState.isAreaBuildable(x, z, newBuildingSize)) {
+            return false;
+        }
+
+        // Command Centers and Nexuses need a mineral field of their own
+        if (RESOURCE_CLUSTER_TYPES.includes(normalizedType) && !gameState.checkBasePlacement(x, z).valid) {
+            return false;
+        }
+
         // Check against all existing buildings
         for (const building of gameState.buildings) {
             const existingSize = buildingSizes[building.type?.toLowerCase()] || 3;
@@ -812,28 +808,23 @@ export class InputHandler {
         }
         return null;
     }
+}
 
-    // Check if position is within any completed Pylon's power field (Protoss only)
-    isWithinPylonField(x, z) {
-        if (!gameState.faction || gameState.faction.id !== 'protoss') return true;
-
-        const pylonRadius = gameState.faction.buildings?.supply?.powerFieldRadius || 8;
-        const pylons = gameState.buildings.filter(b =>
-            b.isComplete &&
-            (b.type?.toLowerCase() === 'pylon' || b.type?.toLowerCase() === 'supply')
-        );
-
-        for (const pylon of pylons) {
-            const dx = pylon.x - x;
-            const dz = pylon.z - z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            if (distance <= pylonRadius) {
-                return true;
-            }
-        }
-
-        return false;
-    }
+// Wireframe box previewing a placement; green when valid, red when not. Also used by the
+// map editor for start locations, expansion sites and resources.
+export function createGhostMesh({ size, height }, color = 0x00ff00) {
+    const geometry = new THREE.BoxGeometry(size, height, size);
+    const material = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.5,
+        wireframe: true
+    });
+
+    const ghost = new THREE.Mesh(geometry, material);
+    ghost.userData.baseY = 0.5 + height / 2; // Account for platform height
+    ghost.position.y = ghost.userData.baseY;
+    return ghost;
 }
 
 export default InputHandler;
@@ -0,0 +1,223 @@
+/**
+ * Map Format
+ * Hand-authored maps are JSON files that designers can write without touching code:
+ *
+ *   {
+ *     "format": 1,
+ *     "name": "Crossroads",
+ *     "size": 200,
+ *     "heights": [[0, 0, ...], ...],
+ *     "blocked": [{ "x": 0, "z": 0, "radius": 8 }, { "x": 40, "z": -20, "width": 10, "depth": 30 }],
+ *     "startLocations": [{ "x": -60, "z": -60 }, { "x": 60, "z": 60 }],
+ *     "expansions": [{ "x": -60, "z": -60, "minerals": [{ "x": -75, "z": -65, "amount": 1500 }], "geysers": [...] }]
+ *   }
+ *
+ * The map is a square of `size` world units centred on the origin. `heights` (optional,
+ * flat when left out) has size / 2 + 1 rows of size / 2 + 1 ground heights, one every
+ * 2 units, the first row at z = -size / 2 and the first column at x = -size / 2. Ground
+ * too steep to walk becomes a cliff; `blocked` adds circles and rectangles nothing can
+ * cross. Start locations are listed player first and each needs an expansion site (its
+ * mineral line) on the same spot. Rotations (radians, the direction the base's open
+ * side faces) and resource amounts are optional. The map editor writes files with
+ * createMapFile and stringifyMapFile.
+ */
+
+import { GameMap, TERRAIN_CELL_SIZE, MINERAL_AMOUNT, GEYSER_AMOUNT } from './GameMap.js';
+
+export const MAP_FORMAT_VERSION = 1;
+export const START_SITE_RADIUS = 6; // How close an expansion site must be to count as a start location's
+
+const MIN_MAP_SIZE = 40;
+const MAX_MAP_SIZE = 1000;
+const MAX_WALKABLE_RISE = 1.2; // Height difference across a cell above which it is a cliff
+
+// Thrown for map files that cannot be played; the message is shown to the designer
+export class MapError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MapError';
+    }
+}
+
+// A playable GameMap from parsed map file JSON. Throws a MapError naming the first problem.
+export function parseMapFile(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new MapError('Map file is not a map');
+    }
+    if (data.format !== undefined && !(Number.isInteger(data.format) && data.format <= MAP_FORMAT_VERSION)) {
+        throw new MapError(`Map is from a newer version of the game (format ${data.format})`);
+    }
+
+    const size = data.size;
+    if (typeof size !== 'number' || !Number.isInteger(size / TERRAIN_CELL_SIZE) || size < MIN_MAP_SIZE || size > MAX_MAP_SIZE) {
+        throw new MapError(`Map size must be an even number from ${MIN_MAP_SIZE} to ${MAX_MAP_SIZE}`);
+    }
+    const half = size / 2;
+    const isOnMap = p => isPoint(p) && Math.abs(p.x) <= half && Math.abs(p.z) <= half;
+
+    const startLocations = data.startLocations;
+    if (!Array.isArray(startLocations) || startLocations.length < 2) {
+        throw new MapError('Map needs at least two start locations');
+    }
+    startLocations.forEach((location, i) => {
+        if (!isOnMap(location)) throw new MapError(`Start location ${i + 1} is not on the map`);
+        if (location.rotation !== undefined && !Number.isFinite(location.rotation)) {
+            throw new MapError(`Start location ${i + 1} has an invalid rotation`);
+        }
+    });
+
+    if (!Array.isArray(data.expansions)) throw new MapError('Map has no expansion sites');
+    const expansions = data.expansions.map((site, i) => {
+        if (!isOnMap(site)) throw new MapError(`Expansion site ${i + 1} is not on the map`);
+        return {
+            x: site.x,
+            z: site.z,
+            minerals: readNodes(site.minerals, MINERAL_AMOUNT, isOnMap, `Mineral patches of expansion site ${i + 1}`),
+            geysers: readNodes(site.geysers, GEYSER_AMOUNT, isOnMap, `Gas geysers of expansion site ${i + 1}`)
+        };
+    });
+
+    startLocations.forEach((location, i) => {
+        if (!expansions.some(site => Math.hypot(site.x - location.x, site.z - location.z) <= START_SITE_RADIUS)) {
+            throw new MapError(`Start location ${i + 1} has no expansion site with its mineral line`);
+        }
+    });
+
+    const map = new GameMap({
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled Map',
+        size,
+        // Without a rotation a base faces the middle of the map
+        startLocations: startLocations.map(({ x, z, rotation }) => ({
+            x,
+            z,
+            rotation: rotation ?? (x === 0 && z === 0 ? 0 : Math.atan2(-z, -x))
+        })),
+        expansions
+    });
+
+    if (data.heights !== undefined) readHeights(map, data.heights);
+    markBlockedCells(map, data.blocked ?? []);
+
+    return map;
+}
+
+// Map file JSON for a map, as written by the map editor. `blocked` is the list of blocked
+// areas; heights are left out when the map is flat.
+export function createMapFile(map, blocked = []) {
+    const points = map.resolution + 1;
+    const nodes = list => list.map(({ x, z, amount }) => ({ x: round(x), z: round(z), amount }));
+
+    const data = {
+        format: MAP_FORMAT_VERSION,
+        name: map.name,
+        size: map.size,
+        startLocations: map.startLocations.map(({ x, z, rotation }) => ({ x: round(x), z: round(z), rotation: round(rotation) })),
+        expansions: map.expansions.map(site => ({
+            x: round(site.x),
+            z: round(site.z),
+            minerals: nodes(site.minerals),
+            geysers: nodes(site.geysers)
+        })),
+        blocked
+    };
+    if (map.heights.some(h => h !== 0)) {
+        data.heights = Array.from({ length: points }, (_, row) =>
+            Array.from(map.heights.subarray(row * points, (row + 1) * points), round));
+    }
+
+    return data;
+}
+
+// Readable JSON text for a map file: one line per resource node, blocked area and heightmap row
+export function stringifyMapFile(data) {
+    return JSON.stringify(data, null, 2).replace(/[{[][^{}[\]]*[}\]]/g, match =>
+        match.replace(/\s*\n\s*/g, ' ').replace(/^\[ /, '[').replace(/ \]$/, ']'));
+}
+
+// Recompute the impassable cells: inside a blocked area or too steep to walk
+export function markBlockedCells(map, areas) {
+    if (!Array.isArray(areas)) throw new MapError('Blocked areas must be a list');
+
+    map.blocked.fill(0);
+    areas.forEach((area, i) => {
+        if (!isBlockedArea(area)) {
+            throw new MapError(`Blocked area ${i + 1} needs x, z and a radius, or a width and depth`);
+        }
+        fillCells(map, (x, z) => isInBlockedArea(area, x, z));
+    });
+    blockSteepCells(map);
+}
+
+// Blocked areas are circles ({ x, z, radius }) or rectangles ({ x, z, width, depth })
+export function isInBlockedArea(area, x, z) {
+    if (area.radius > 0) return Math.hypot(x - area.x, z - area.z) <= area.radius;
+    return Math.abs(x - area.x) <= area.width / 2 && Math.abs(z - area.z) <= area.depth / 2;
+}
+
+// ============== FIELDS ==============
+
+function isPoint(p) {
+    return p !== null && typeof p === 'object' && Number.isFinite(p.x) && Number.isFinite(p.z);
+}
+
+function readNodes(nodes, defaultAmount, isOnMap, label) {
+    if (nodes === undefined) return [];
+    if (!Array.isArray(nodes)) throw new MapError(`${label} must be a list`);
+
+    return nodes.map((node, i) => {
+        if (!isOnMap(node)) throw new MapError(`${label}: node ${i + 1} is not on the map`);
+        if (node.amount !== undefined && !(Number.isFinite(node.amount) && node.amount > 0)) {
+            throw new MapError(`${label}: node ${i + 1} has an invalid amount`);
+        }
+        return { x: node.x, z: node.z, amount: node.amount ?? defaultAmount };
+    });
+}
+
+function readHeights(map, heights) {
+    const points = map.resolution + 1;
+    const isRow = row => Array.isArray(row) && row.length === points && row.every(Number.isFinite);
+    if (!Array.isArray(heights) || heights.length !== points || !heights.every(isRow)) {
+        throw new MapError(`Heightmap must be ${points} rows of ${points} heights`);
+    }
+
+    heights.forEach((row, i) => map.heights.set(row, i * points));
+}
+
+function isBlockedArea(area) {
+    return isPoint(area) && (area.radius > 0 || (area.width > 0 && area.depth > 0));
+}
+
+function blockSteepCells(map) {
+    const stride = map.resolution + 1;
+
+    for (let row = 0; row < map.resolution; row++) {
+        for (let col = 0; col < map.resolution; col++) {
+            const corners = [
+                map.heights[row * stride + col],
+                map.heights[row * stride + col + 1],
+                map.heights[(row + 1) * stride + col],
+                map.heights[(row + 1) * stride + col + 1]
+            ];
+            if (Math.max(...corners) - Math.min(...corners) > MAX_WALKABLE_RISE) {
+                map.blocked[row * map.resolution + col] = 1;
+            }
+        }
+    }
+}
+
+// Mark every cell whose centre passes the test
+function fillCells(map, contains) {
+    for (let row = 0; row < map.resolution; row++) {
+        const z = map.origin + (row + 0.5) * map.cellSize;
+        for (let col = 0; col < map.resolution; col++) {
+            const x = map.origin + (col + 0.5) * map.cellSize;
+            if (contains(x, z)) map.blocked[row * map.resolution + col] = 1;
+        }
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export default parseMapFile;
@@ -0,0 +1,280 @@
+/**
+ * Map Generator
+ * Builds a map from a seed: both start locations on high ground with a ramp down
+ * towards their natural expansion, a third expansion each (where there is room) and
+ * rock formations nothing can cross. The layout is point-symmetric through the centre so neither player is
+ * favoured, and the same seed and size always give the same map.
+ */
+
+import { SeededRandom } from './Random.js';
+import { GameMap, MAP_SIZES, DEFAULT_MAP_SIZE, MINERAL_AMOUNT, GEYSER_AMOUNT } from './GameMap.js';
+
+const HIGH_GROUND_HEIGHT = 4;
+const ROCK_HEIGHT = 6;
+const MAIN_PLATEAU_RADIUS = 34;
+const MAIN_PLATEAU_OFFSET = 8; // Towards the open side: the build slots reach further than the mineral line
+const CLIFF_WIDTH = 6;
+const RAMP_WIDTH = 10;
+const RAMP_LENGTH = 12;
+const ROCK_SLOPE = 2;
+const EDGE_MARGIN = 26; // Start locations sit this far in from the edge, minerals behind them
+const RESOURCE_EDGE_MARGIN = 4;
+const MIN_SITE_SPACING = 45;
+const BASE_CLEARANCE = 10; // Expansion bases keep this far from main cliffs and ramps
+const NODE_CLEARANCE = 3; // Resource nodes may come closer
+const ROCK_PAIRS = { small: 1, medium: 2, large: 3 };
+const PLACEMENT_ATTEMPTS = 100;
+
+// A new map for the seed. `size` is a MAP_SIZES key.
+export function generateMap({ seed, size = DEFAULT_MAP_SIZE } = {}) {
+    const mapSize = MAP_SIZES[size];
+    if (!mapSize) throw new Error(`Unknown map size: ${size}`);
+
+    const random = new SeededRandom(seed);
+    const half = mapSize / 2;
+
+    // Start locations face the centre with their open side (local +x); the mineral line
+    // curves round behind them. They sit EDGE_MARGIN in from the nearest edge, so diagonal
+    // starts are tucked into the corners.
+    const angle = random.range(0, Math.PI * 2);
+    const reach = (half - EDGE_MARGIN) / Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+    const main = {
+        x: Math.cos(angle) * reach,
+        z: Math.sin(angle) * reach,
+        rotation: angle + Math.PI
+    };
+    const mains = [main, mirror(main)];
+    const sites = [createSite(main, random)];
+
+    // Main plateaus; the ramp direction is settled once the natural is placed
+    const plateau = {
+        x: main.x + Math.cos(main.rotation) * MAIN_PLATEAU_OFFSET,
+        z: main.z + Math.sin(main.rotation) * MAIN_PLATEAU_OFFSET,
+        radius: MAIN_PLATEAU_RADIUS,
+        rampAngle: null
+    };
+    const plateaus = [plateau, mirror(plateau)];
+
+    const fits = site => siteFits(site, sites, plateaus, half);
+
+    // Natural: on the open side of the main, at the foot of its ramp. Expansions face back
+    // towards their main, with the mineral line on the far side.
+    const natural = placeSite(random, fits, () => {
+        const direction = main.rotation - random.range(0.5, 1.0);
+        const distance = random.range(64, 76);
+        const x = main.x + Math.cos(direction) * distance;
+        const z = main.z + Math.sin(direction) * distance;
+        return { x, z, rotation: direction + Math.PI };
+    });
+    if (natural) sites.push(natural);
+
+    // Ramps lead down towards the natural
+    const rampTarget = natural || { x: 0, z: 0 };
+    plateaus[0].rampAngle = Math.atan2(rampTarget.z - plateau.z, rampTarget.x - plateau.x);
+    plateaus[1].rampAngle = plateaus[0].rampAngle + Math.PI;
+
+    // Third: anywhere on the main's half of the map
+    const third = placeSite(random, fits, () => {
+        let x, z;
+        do {
+            x = random.range(-half, half);
+            z = random.range(-half, half);
+        } while (distance({ x, z }, main) > distance({ x, z }, mains[1]));
+        return { x, z, rotation: Math.atan2(main.z - z, main.x - x) };
+    });
+    if (third) sites.push(third);
+
+    const rocks = placeRocks(random, ROCK_PAIRS[size], [...sites, ...sites.map(mirror)], plateaus, half);
+
+    const map = new GameMap({
+        name: `Random ${size[0].toUpperCase()}${size.slice(1)} (${seed})`,
+        size: mapSize,
+        startLocations: mains.map(({ x, z, rotation }) => ({ x: round(x), z: round(z), rotation })),
+        expansions: [
+            sites[0], mirror(sites[0]),
+            ...sites.slice(1).flatMap(site => [site, mirror(site)])
+        ].map(({ x, z, minerals, geysers }) => ({ x: round(x), z: round(z), minerals, geysers }))
+    });
+    rasterise(map, plateaus, rocks);
+
+    return map;
+}
+
+// ============== LAYOUT ==============
+
+// Mineral line and geysers around a base site, in the same arc around the base as
+// the rotation-relative build layouts expect
+function createSite({ x, z, rotation }, random) {
+    const minerals = [];
+    for (let i = 0; i < 8; i++) {
+        const angle = (i / 8) * Math.PI + Math.PI * 0.3 + rotation;
+        const distance = 15 + random.next() * 5;
+        minerals.push({
+            x: round(x + Math.cos(angle) * distance),
+            z: round(z + Math.sin(angle) * distance),
+            amount: MINERAL_AMOUNT
+        });
+    }
+
+    const geysers = [0.8, 1.2].map(turn => {
+        const angle = Math.PI * turn + rotation;
+        return {
+            x: round(x + Math.cos(angle) * 12),
+            z: round(z + Math.sin(angle) * 12),
+            amount: GEYSER_AMOUNT
+        };
+    });
+
+    return { x, z, rotation, minerals, geysers };
+}
+
+// First candidate site (with its resources) that fits, or null
+function placeSite(random, fits, nextCandidate) {
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+        const site = createSite(nextCandidate(), random);
+        if (fits(site)) return site;
+    }
+    return null;
+}
+
+// On the map, on low ground and well apart from every other site and its mirror image
+function siteFits(site, sites, plateaus, half) {
+    const nodes = [...site.minerals, ...site.geysers];
+    const inBounds = (p, margin) => Math.abs(p.x) <= half - margin && Math.abs(p.z) <= half - margin;
+    if (!nodes.every(n => inBounds(n, RESOURCE_EDGE_MARGIN))) return false;
+
+    if (plateaus.some(plateau => isNearPlateau(site, plateau, BASE_CLEARANCE))) return false;
+    if (nodes.some(n => plateaus.some(plateau => isNearPlateau(n, plateau, NODE_CLEARANCE)))) return false;
+
+    const others = [...sites, ...sites.map(mirror), mirror(site)];
+    return others.every(other => distance(site, other) >= MIN_SITE_SPACING);
+}
+
+// On a plateau, or within `clearance` of its cliffs or ramp. Until the ramp direction is
+// known, the ramp could lead anywhere.
+function isNearPlateau(point, plateau, clearance) {
+    const dx = point.x - plateau.x;
+    const dz = point.z - plateau.z;
+    const r = Math.hypot(dx, dz);
+    if (r < plateau.radius + CLIFF_WIDTH + clearance) return true;
+    if (r >= plateau.radius + RAMP_LENGTH + clearance) return false;
+    if (plateau.rampAngle === null) return true;
+
+    const along = dx * Math.cos(plateau.rampAngle) + dz * Math.sin(plateau.rampAngle);
+    const across = Math.abs(-dx * Math.sin(plateau.rampAngle) + dz * Math.cos(plateau.rampAngle));
+    return along > 0 && across <= RAMP_WIDTH / 2 + clearance;
+}
+
+// Impassable rock formations in mirrored pairs, clear of bases, ramps and each other
+function placeRocks(random, pairs, sites, plateaus, half) {
+    const rocks = [];
+
+    for (let pair = 0; pair < pairs; pair++) {
+        for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+            const radius = random.range(5, 9);
+            const rock = {
+                x: random.range(-half + radius, half - radius),
+                z: random.range(-half + radius, half - radius),
+                radius
+            };
+
+            const clear =
+                sites.every(site => distance(rock, site) >= 26 + radius) &&
+                plateaus.every(p => distance(rock, p) >= MAIN_PLATEAU_RADIUS + RAMP_LENGTH + radius + 8) &&
+                distance(rock, mirror(rock)) >= 2 * radius + 14 &&
+                rocks.every(other => distance(rock, other) >= radius + other.radius + 10);
+
+            if (clear) {
+                rocks.push(rock, { ...mirror(rock), radius });
+                break;
+            }
+        }
+    }
+
+    return rocks;
+}
+
+// ============== TERRAIN ==============
+
+// Write heights (at vertices) and blocked cells (at cell centres) into the map
+function rasterise(map, plateaus, rocks) {
+    const stride = map.resolution + 1;
+
+    for (let row = 0; row <= map.resolution; row++) {
+        for (let col = 0; col <= map.resolution; col++) {
+            const x = map.origin + col * map.cellSize;
+            const z = map.origin + row * map.cellSize;
+            map.heights[row * stride + col] = round(sampleTerrain(x, z, plateaus, rocks).height);
+        }
+    }
+
+    for (let row = 0; row < map.resolution; row++) {
+        for (let col = 0; col < map.resolution; col++) {
+            const x = map.origin + (col + 0.5) * map.cellSize;
+            const z = map.origin + (row + 0.5) * map.cellSize;
+            map.blocked[row * map.resolution + col] = sampleTerrain(x, z, plateaus, rocks).blocked ? 1 : 0;
+        }
+    }
+}
+
+// Height at a point, and whether it lies on a cliff face or rock
+function sampleTerrain(x, z, plateaus, rocks) {
+    let height = 0;
+    let blocked = false;
+
+    plateaus.forEach(plateau => {
+        const dx = x - plateau.x;
+        const dz = z - plateau.z;
+        const r = Math.hypot(dx, dz);
+        if (r <= plateau.radius) {
+            height = Math.max(height, HIGH_GROUND_HEIGHT);
+            return;
+        }
+
+        // The ramp is a straight strip leaving the plateau edge
+        const along = dx * Math.cos(plateau.rampAngle) + dz * Math.sin(plateau.rampAngle);
+        const across = Math.abs(-dx * Math.sin(plateau.rampAngle) + dz * Math.cos(plateau.rampAngle));
+        const onRamp = along > 0 && across <= RAMP_WIDTH / 2;
+
+        const t = (r - plateau.radius) / (onRamp ? RAMP_LENGTH : CLIFF_WIDTH);
+        if (t < 1) {
+            height = Math.max(height, HIGH_GROUND_HEIGHT * (onRamp ? 1 - t : 1 - smoothstep(t)));
+            blocked = blocked || !onRamp;
+        }
+    });
+
+    rocks.forEach(rock => {
+        const r = Math.hypot(x - rock.x, z - rock.z);
+        if (r < rock.radius + ROCK_SLOPE) {
+            const t = Math.max(0, (r - rock.radius) / ROCK_SLOPE);
+            height = Math.max(height, ROCK_HEIGHT * (1 - smoothstep(t)));
+            blocked = true;
+        }
+    });
+
+    return { height, blocked };
+}
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function mirror(point) {
+    const mirrored = { ...point, x: -point.x, z: -point.z };
+    if (point.rotation !== undefined) mirrored.rotation = point.rotation + Math.PI;
+    if (point.minerals) {
+        mirrored.minerals = point.minerals.map(n => ({ ...n, x: -n.x, z: -n.z }));
+        mirrored.geysers = point.geysers.map(n => ({ ...n, x: -n.x, z: -n.z }));
+    }
+    return mirrored;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export default generateMap;
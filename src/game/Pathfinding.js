@@ -0,0 +1,485 @@
+/**
+ * Navigation grid and A* pathfinding
+ * Buildings (BuildingConfig collision boxes), resource nodes and impassable terrain are
+ * rasterised onto a uniform grid; ground units follow the resulting waypoints around them.
+ */
+
+import { getBuildingDimensions } from './BuildingConfig.js';
+
+const MAP_SIZE = 200; // Default map size; GameState sizes the grid to the map
+const CELL_SIZE = 1;
+const CLEARANCE = 0.5; // Obstacles grow by this much so unit bodies don't clip corners
+const MINERAL_RADIUS = 1.0;
+const GEYSER_RADIUS = 1.5;
+const MAX_SEARCH_SHARE = 0.5; // Give up (and walk straight) after expanding this share of the grid rather than stall a frame
+const SNAP_SEARCH_RADIUS = 12; // How far to look for an open cell around a blocked goal
+
+const SQRT2 = Math.SQRT2;
+// 8-connected neighbourhood: column offset, row offset and step cost
+const NEIGHBOUR_COLS = [1, -1, 0, 0, 1, 1, -1, -1];
+const NEIGHBOUR_ROWS = [0, 0, 1, -1, 1, -1, 1, -1];
+const NEIGHBOUR_COSTS = [1, 1, 1, 1, SQRT2, SQRT2, SQRT2, SQRT2];
+
+export class NavigationGrid {
+    constructor(size = MAP_SIZE, cellSize = CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.width = Math.ceil(size / cellSize);
+        this.height = this.width;
+        this.origin = -size / 2;
+
+        const cellCount = this.width * this.height;
+        this.blocked = new Uint8Array(cellCount);
+        this.maxSearchNodes = Math.ceil(cellCount * MAX_SEARCH_SHARE);
+
+        // Search scratch space, reused between searches
+        this.gScore = new Float32Array(cellCount);
+        this.parent = new Int32Array(cellCount);
+        this.searchStamp = new Uint32Array(cellCount);
+        this.closedStamp = new Uint32Array(cellCount);
+        this.currentSearch = 0;
+
+        // Bumped on every rebuild so followers know their paths are stale
+        this.version = 0;
+        this.dirty = true;
+    }
+
+    // Mark the grid for rebuilding before the next query
+    invalidate() {
+        this.dirty = true;
+    }
+
+    // Rasterise buildings, resource nodes and terrain. `world` provides buildings,
+    // mineralPatches, gasGeysers and optionally a map (normally GameState).
+    rebuild(world) {
+        this.blocked.fill(0);
+
+        if (world.map) {
+            for (let row = 0; row < this.height; row++) {
+                for (let col = 0; col < this.width; col++) {
+                    const center = this.toWorld(col, row);
+                    if (world.map.isBlocked(center.x, center.z)) {
+                        this.blocked[row * this.width + col] = 1;
+                    }
+                }
+            }
+        }
+
+        world.buildings.forEach(building => {
+            const dims = getBuildingDimensions(building.type);
+            if (!dims?.collisionWidth || !dims?.collisionDepth) return; // Gas extractors
+
+            // Incomplete buildings use the smaller construction footprint (see Game.checkBuildingCollision)
+            const collisionScale = building.isComplete ? 1.0 : 0.4;
+            const halfW = (dims.collisionWidth / 2) * collisionScale + CLEARANCE;
+            const halfD = (dims.collisionDepth / 2) * collisionScale + CLEARANCE;
+            this.blockRect(building.x - halfW, building.z - halfD, building.x + halfW, building.z + halfD);
+        });
+
+        world.mineralPatches.forEach(patch => this.blockCircle(patch.x, patch.z, MINERAL_RADIUS));
+        world.gasGeysers.forEach(geyser => this.blockCircle(geyser.x, geyser.z, GEYSER_RADIUS));
+
+        this.version++;
+        this.dirty = false;
+    }
+
+    // Rebuild for a loaded game under the version it was saved with, so paths and flow
+    // fields planned before saving are still current (or still stale) afterwards
+    restore(world, { version, dirty }) {
+        this.rebuild(world);
+        this.version = version;
+        this.dirty = dirty;
+    }
+
+    blockRect(minX, minZ, maxX, maxZ) {
+        this.blockCells(minX, minZ, maxX, maxZ, center =>
+            center.x > minX && center.x < maxX && center.z > minZ && center.z < maxZ
+        );
+    }
+
+    blockCircle(x, z, radius) {
+        this.blockCells(x - radius, z - radius, x + radius, z + radius, center =>
+            Math.hypot(center.x - x, center.z - z) < radius
+        );
+    }
+
+    // Block every cell in the bounds whose centre passes the test
+    blockCells(minX, minZ, maxX, maxZ, contains) {
+        const [minCol, minRow] = this.toCell(minX, minZ);
+        const [maxCol, maxRow] = this.toCell(maxX, maxZ);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                if (contains(this.toWorld(col, row))) {
+                    this.blocked[row * this.width + col] = 1;
+                }
+            }
+        }
+    }
+
+    // ============== COORDINATES ==============
+
+    // World position to [col, row], clamped to the grid
+    toCell(x, z) {
+        const col = Math.floor((x - this.origin) / this.cellSize);
+        const row = Math.floor((z - this.origin) / this.cellSize);
+        return [
+            Math.max(0, Math.min(this.width - 1, col)),
+            Math.max(0, Math.min(this.height - 1, row))
+        ];
+    }
+
+    toWorld(col, row) {
+        return {
+            x: this.origin + (col + 0.5) * this.cellSize,
+            z: this.origin + (row + 0.5) * this.cellSize
+        };
+    }
+
+    isBlocked(x, z) {
+        const [col, row] = this.toCell(x, z);
+        return this.blocked[row * this.width + col] === 1;
+    }
+
+    // Nearest open cell to a blocked one, searched in growing rings
+    findOpenCell(col, row) {
+        if (!this.blocked[row * this.width + col]) return [col, row];
+
+        for (let radius = 1; radius <= SNAP_SEARCH_RADIUS; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let dRow = -radius; dRow <= radius; dRow++) {
+                for (let dCol = -radius; dCol <= radius; dCol++) {
+                    if (Math.max(Math.abs(dCol), Math.abs(dRow)) !== radius) continue;
+
+                    const c = col + dCol;
+                    const r = row + dRow;
+                    if (c < 0 || r < 0 || c >= this.width || r >= this.height) continue;
+                    if (this.blocked[r * this.width + c]) continue;
+
+                    const distance = dCol * dCol + dRow * dRow;
+                    if (distance < bestDistance) {
+                        best = [c, r];
+                        bestDistance = distance;
+                    }
+                }
+            }
+
+            if (best) return best;
+        }
+
+        return null;
+    }
+
+    // True if a straight walk between two points crosses no blocked cell.
+    // Walks every cell the segment touches (grid traversal, no sampling).
+    hasLineOfSight(fromX, fromZ, toX, toZ) {
+        const size = this.cellSize;
+        let col = Math.floor((fromX - this.origin) / size);
+        let row = Math.floor((fromZ - this.origin) / size);
+        const endCol = Math.floor((toX - this.origin) / size);
+        const endRow = Math.floor((toZ - this.origin) / size);
+
+        const dx = toX - fromX;
+        const dz = toZ - fromZ;
+        const stepCol = Math.sign(dx);
+        const stepRow = Math.sign(dz);
+        const tDeltaCol = stepCol !== 0 ? size / Math.abs(dx) : Infinity;
+        const tDeltaRow = stepRow !== 0 ? size / Math.abs(dz) : Infinity;
+        let tMaxCol = stepCol !== 0
+            ? (this.origin + (col + (stepCol > 0 ? 1 : 0)) * size - fromX) / dx
+            : Infinity;
+        let tMaxRow = stepRow !== 0
+            ? (this.origin + (row + (stepRow > 0 ? 1 : 0)) * size - fromZ) / dz
+            : Infinity;
+
+        const maxSteps = Math.abs(endCol - col) + Math.abs(endRow - row) + 1;
+        for (let i = 0; i <= maxSteps; i++) {
+            if (this.isCellBlocked(col, row)) return false;
+            if (col === endCol && row === endRow) return true;
+
+            if (tMaxCol < tMaxRow) {
+                tMaxCol += tDeltaCol;
+                col += stepCol;
+            } else {
+                tMaxRow += tDeltaRow;
+                row += stepRow;
+            }
+        }
+        return true;
+    }
+
+    // Cells outside the map are open; units are kept on the map elsewhere
+    isCellBlocked(col, row) {
+        if (col < 0 || row < 0 || col >= this.width || row >= this.height) return false;
+        return this.blocked[row * this.width + col] === 1;
+    }
+
+    // ============== A* ==============
+
+    // Waypoints from start to goal in world coordinates, or null if no path was found.
+    // A blocked goal is replaced by the nearest open cell.
+    findPath(startX, startZ, goalX, goalZ) {
+        const startCell = this.findOpenCell(...this.toCell(startX, startZ));
+        const goalCell = this.findOpenCell(...this.toCell(goalX, goalZ));
+        if (!startCell || !goalCell) return null;
+
+        const goalOpen = !this.isBlocked(goalX, goalZ);
+        const end = goalOpen ? { x: goalX, z: goalZ } : this.toWorld(goalCell[0], goalCell[1]);
+
+        // Open ground: no search needed
+        if (!this.isBlocked(startX, startZ) && this.hasLineOfSight(startX, startZ, end.x, end.z)) {
+            return [end];
+        }
+
+        const cells = this.search(startCell, goalCell);
+        if (!cells) return null;
+        if (cells.length === 0) return [end];
+
+        const waypoints = cells.map(index => this.toWorld(index % this.width, Math.floor(index / this.width)));
+        waypoints[waypoints.length - 1] = end;
+
+        return this.smoothPath(startX, startZ, waypoints);
+    }
+
+    search([startCol, startRow], [goalCol, goalRow]) {
+        const width = this.width;
+        const start = startRow * width + startCol;
+        const goal = goalRow * width + goalCol;
+
+        // Stamps avoid clearing the scratch arrays between searches
+        this.currentSearch++;
+        const stamp = this.currentSearch;
+
+        const heuristic = index => {
+            const dx = Math.abs(index % width - goalCol);
+            const dz = Math.abs(Math.floor(index / width) - goalRow);
+            return Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const open = new MinHeap();
+        this.gScore[start] = 0;
+        this.parent[start] = -1;
+        this.searchStamp[start] = stamp;
+        open.push(start, heuristic(start));
+
+        let expanded = 0;
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) return this.reconstruct(goal);
+            if (this.closedStamp[current] === stamp) continue;
+            this.closedStamp[current] = stamp;
+
+            if (++expanded > this.maxSearchNodes) return null;
+
+            this.forEachNeighbour(current, (next, cost) => {
+                if (this.closedStamp[next] === stamp) return;
+
+                const g = this.gScore[current] + cost;
+                if (this.searchStamp[next] !== stamp || g < this.gScore[next]) {
+                    this.searchStamp[next] = stamp;
+                    this.gScore[next] = g;
+                    this.parent[next] = current;
+                    open.push(next, g + heuristic(next));
+                }
+            });
+        }
+
+        return null;
+    }
+
+    // Open neighbours of a cell with their step cost. Diagonals may not cut the corner of an obstacle.
+    forEachNeighbour(index, visit) {
+        const width = this.width;
+        const col = index % width;
+        const row = Math.floor(index / width);
+
+        const blocked = this.blocked;
+
+        for (let i = 0; i < 8; i++) {
+            const c = col + NEIGHBOUR_COLS[i];
+            const r = row + NEIGHBOUR_ROWS[i];
+            if (c < 0 || r < 0 || c >= width || r >= this.height) continue;
+
+            const next = r * width + c;
+            if (blocked[next]) continue;
+            if (i >= 4 && (blocked[row * width + c] || blocked[r * width + col])) continue;
+
+            visit(next, NEIGHBOUR_COSTS[i]);
+        }
+    }
+
+    reconstruct(goal) {
+        const cells = [];
+        for (let index = goal; index !== -1; index = this.parent[index]) {
+            cells.push(index);
+        }
+        cells.reverse();
+        cells.shift(); // The unit is already standing on the start cell
+        return cells;
+    }
+
+    // Drop waypoints that can be skipped in a straight line
+    smoothPath(startX, startZ, waypoints) {
+        const smoothed = [];
+        let fromX = startX;
+        let fromZ = startZ;
+        let i = 0;
+
+        while (i < waypoints.length) {
+            let furthest = i;
+            for (let j = waypoints.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(fromX, fromZ, waypoints[j].x, waypoints[j].z)) {
+                    furthest = j;
+                    break;
+                }
+            }
+
+            smoothed.push(waypoints[furthest]);
+            fromX = waypoints[furthest].x;
+            fromZ = waypoints[furthest].z;
+            i = furthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    // ============== FLOW FIELDS ==============
+
+    // Walking distance from every open cell to the goal (Dijkstra outwards from the goal).
+    // One field serves a whole group move order, however many units are in it.
+    buildFlowField(goalX, goalZ) {
+        const goalCell = this.findOpenCell(...this.toCell(goalX, goalZ));
+        if (!goalCell) return null;
+
+        const costs = new Float32Array(this.width * this.height).fill(Infinity);
+        const goal = goalCell[1] * this.width + goalCell[0];
+        costs[goal] = 0;
+
+        const open = new MinHeap();
+        open.push(goal, 0);
+
+        while (open.size > 0) {
+            const queuedCost = open.peekPriority();
+            const current = open.pop();
+            const currentCost = costs[current];
+            if (queuedCost > currentCost) continue; // Already reached more cheaply
+
+            this.forEachNeighbour(current, (next, cost) => {
+                const nextCost = currentCost + cost;
+                if (nextCost < costs[next]) {
+                    costs[next] = nextCost;
+                    open.push(next, nextCost);
+                }
+            });
+        }
+
+        return new FlowField(this, costs, goalX, goalZ);
+    }
+}
+
+export class FlowField {
+    constructor(grid, costs, goalX, goalZ) {
+        this.grid = grid;
+        this.costs = costs;
+        this.goalX = goalX;
+        this.goalZ = goalZ;
+        this.version = grid.version; // Stale once the grid is rebuilt
+    }
+
+    getCost(x, z) {
+        const [col, row] = this.grid.toCell(x, z);
+        return this.costs[row * this.grid.width + col];
+    }
+
+    // Unit vector down the cost slope from a world position, or null if the goal
+    // can't be reached from here
+    getDirection(x, z) {
+        const grid = this.grid;
+        const [col, row] = grid.toCell(x, z);
+        const index = row * grid.width + col;
+
+        let best = -1;
+        let bestCost = this.costs[index];
+
+        // Blocked cells have no cost of their own; any open neighbour leads out
+        grid.forEachNeighbour(index, next => {
+            if (this.costs[next] < bestCost) {
+                best = next;
+                bestCost = this.costs[next];
+            }
+        });
+
+        if (best === -1) return null;
+
+        const target = grid.toWorld(best % grid.width, Math.floor(best / grid.width));
+        const dx = target.x - x;
+        const dz = target.z - z;
+        const length = Math.hypot(dx, dz) || 1;
+        return { x: dx / length, z: dz / length };
+    }
+}
+
+// Binary heap of cell indices ordered by priority
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    // Priority of the item pop() will return next
+    peekPriority() {
+        return this.priorities[0];
+    }
+
+    push(item, priority) {
+        const items = this.items;
+        const priorities = this.priorities;
+
+        // Move the hole up until the parent is smaller
+        let index = items.length;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            items[index] = items[parent];
+            priorities[index] = priorities[parent];
+            index = parent;
+        }
+        items[index] = item;
+        priorities[index] = priority;
+    }
+
+    pop() {
+        const items = this.items;
+        const priorities = this.priorities;
+        const top = items[0];
+        const lastItem = items.pop();
+        const lastPriority = priorities.pop();
+        const length = items.length;
+        if (length === 0) return top;
+
+        // Move the hole down, then drop the last item into it
+        let index = 0;
+        while (true) {
+            const left = index * 2 + 1;
+            if (left >= length) break;
+
+            const right = left + 1;
+            const child = right < length && priorities[right] < priorities[left] ? right : left;
+            if (priorities[child] >= lastPriority) break;
+
+            items[index] = items[child];
+            priorities[index] = priorities[child];
+            index = child;
+        }
+        items[index] = lastItem;
+        priorities[index] = lastPriority;
+        return top;
+    }
+}
+
+export default NavigationGrid;
@@ -0,0 +1,42 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG (mulberry32) for gameplay randomness. The same seed always
+ * produces the same sequence, so a game can be reproduced from its seed.
+ */
+
+// Fresh 32-bit seed for a new game
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+export default SeededRandom;
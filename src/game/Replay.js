@@ -0,0 +1,115 @@
+/**
+ * Replays
+ * A replay is the game seed, the map, both factions and the player command log. Playback
+ * starts a new game from the same seed on the same map and re-applies every command on
+ * the tick it was first given, so the deterministic simulation plays the match out again
+ * exactly.
+ */
+
+import gameState, { AI_ID } from './GameState.js';
+import { applyCommand } from './Commands.js';
+
+const REPLAY_STORAGE_KEY = 'galactic_command_replay';
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// The current game as a replay (null for loaded saves that predate the command log)
+export function createReplay() {
+    if (!gameState.commandLog) return null;
+
+    return {
+        seed: gameState.random.seed,
+        faction: gameState.faction?.id,
+        opponentFaction: gameState.getFactionFor(AI_ID)?.id,
+        map: gameState.map.serialize(),
+        ticks: gameState.tick,
+        commands: gameState.commandLog,
+        recordedAt: Date.now()
+    };
+}
+
+// Only the most recent match is kept
+export function saveReplay(replay) {
+    if (!replay) return false;
+
+    try {
+        localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+        return true;
+    } catch (e) {
+        console.error('Failed to save replay:', e);
+        return false;
+    }
+}
+
+// Replays recorded before maps were generated can't be played back (null)
+export function loadReplay() {
+    try {
+        const data = localStorage.getItem(REPLAY_STORAGE_KEY);
+        const replay = data ? JSON.parse(data) : null;
+        return replay?.map ? replay : null;
+    } catch (e) {
+        console.error('Failed to load replay:', e);
+        return null;
+    }
+}
+
+export function hasReplay() {
+    return loadReplay() !== null;
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.nextCommandIndex = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.seekTick = null;
+    }
+
+    get length() {
+        return this.replay.ticks;
+    }
+
+    get isFinished() {
+        return gameState.tick >= this.replay.ticks;
+    }
+
+    get isSeeking() {
+        return this.seekTick !== null && gameState.tick < this.seekTick;
+    }
+
+    // Game seconds per real second (0 while paused, seeking or at the end)
+    get playbackRate() {
+        if (this.paused || this.isSeeking || this.isFinished) return 0;
+        return this.speed;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    // Fast-forward to a tick. The simulation can't run backwards, so seeking to an
+    // earlier tick means restarting the replay from the seed first.
+    seek(tick) {
+        this.seekTick = Math.max(0, Math.min(tick, this.length));
+    }
+
+    // Re-apply the commands given on the current tick; call before each simulation tick
+    applyDueCommands(gameActions) {
+        const commands = this.replay.commands;
+
+        while (this.nextCommandIndex < commands.length &&
+            commands[this.nextCommandIndex].tick <= gameState.tick) {
+            const command = commands[this.nextCommandIndex++];
+
+            // Rebuild the log as we go, so saving mid-replay gives a game that can carry on
+            gameState.recordCommand(command);
+            applyCommand(command, gameActions);
+        }
+    }
+}
+
+export default ReplayPlayer;
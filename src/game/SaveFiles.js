@@ -0,0 +1,34 @@
+/**
+ * Save Files
+ * Turns save data into a file for export and back. Files are plain JSON or gzipped
+ * JSON; imports are recognised by content, not by file name.
+ */
+
+export const SAVE_FILE_TYPE = 'application/json';
+export const COMPRESSED_SAVE_FILE_TYPE = 'application/gzip';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+export async function encodeSaveFile(saveData, compress = false) {
+    const blob = new Blob([JSON.stringify(saveData)], { type: SAVE_FILE_TYPE });
+    if (!compress) return blob;
+
+    const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    return new Blob([await new Response(stream).arrayBuffer()], { type: COMPRESSED_SAVE_FILE_TYPE });
+}
+
+// Save JSON text from an exported file (a File or Blob)
+export async function decodeSaveFile(file) {
+    const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const isCompressed = header[0] === GZIP_MAGIC[0] && header[1] === GZIP_MAGIC[1];
+    if (!isCompressed) return file.text();
+
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+}
+
+// "Zerg rush!" -> "galactic-command-zerg-rush.json"
+export function saveFileName(name, compress = false) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'save';
+    return `galactic-command-${slug}.json${compress ? '.gz' : ''}`;
+}
@@ -0,0 +1,315 @@
+/**
+ * Save Format
+ * Version of the save schema, the migrations that bring older saves up to it and the
+ * validation run before a save is loaded. Bump SAVE_VERSION whenever the saved fields
+ * change and add a migration from the previous version.
+ */
+
+import { getFaction, getUnitDefinition } from './Faction.js';
+import { normalizeBuildingType } from './BuildingConfig.js';
+import { createSeed } from './Random.js';
+import { PLAYER_ID } from './GameState.js';
+import { GameMap, validateMapData } from './GameMap.js';
+
+export const SAVE_VERSION = 6;
+
+// Start locations of the single fixed layout played before maps were generated
+const CLASSIC_START_LOCATIONS = [
+    { x: 0, z: 0, rotation: 0 },
+    { x: 65, z: 65, rotation: Math.PI }
+];
+
+// Thrown for save data that cannot be loaded; the message is shown to the player
+export class SaveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveError';
+    }
+}
+
+// Migrations keyed by the version they upgrade from
+const MIGRATIONS = {
+    // Saves from before versioning. Their layout changed several times, so each step
+    // checks for the fields it fills in.
+    0: (saveData) => {
+        migratePlayers(saveData);
+
+        saveData.random = saveData.random || { seed: createSeed() };
+        saveData.random.state = saveData.random.state ?? saveData.random.seed;
+        saveData.nextEntityId = saveData.nextEntityId || 1;
+        saveData.tick = saveData.tick || 0;
+        saveData.commandLog = saveData.commandLog || null; // No log: cannot be replayed
+        saveData.winner = saveData.winner || null;
+
+        // Queue items did not always have ids
+        saveData.players.forEach(player => {
+            player.productionQueue.forEach(item => {
+                item.id = item.id || `production_${saveData.nextEntityId++}`;
+            });
+        });
+
+        // Everything in saves without owners belongs to the player
+        saveData.units.forEach(u => { u.owner = u.owner || PLAYER_ID; });
+        saveData.buildings.forEach(b => { b.owner = b.owner || PLAYER_ID; });
+
+        // Larva tracking, creep and move groups were not saved: rebuild what can be
+        // derived and send units on a group move along their own path instead
+        saveData.larvaByHatchery = deriveLarvaByHatchery(saveData);
+        saveData.lastLarvaSpawn = saveData.larvaByHatchery.map(([hatcheryId]) => [hatcheryId, saveData.gameTime]);
+        saveData.creepSources = deriveCreepSources(saveData);
+        saveData.moveGroups = [];
+        saveData.nextMoveGroupId = 1;
+        saveData.units.forEach(u => { u.moveGroupId = null; });
+        saveData.navigation = { version: 0, dirty: true }; // Every path is replanned
+        saveData.advisor = null;
+    },
+
+    // Fog of war: nothing has been explored yet beyond what is in sight on load
+    1: (saveData) => {
+        saveData.explored = [];
+    },
+
+    // Maps: every earlier game was played on the same flat 200×200 layout. Its resource
+    // nodes are already in the save, so the expansion sites are just the two bases.
+    2: (saveData) => {
+        saveData.map = new GameMap({
+            name: 'Classic',
+            size: 200,
+            startLocations: CLASSIC_START_LOCATIONS,
+            expansions: CLASSIC_START_LOCATIONS.map(({ x, z }) => ({ x, z, minerals: [], geysers: [] }))
+        }).serialize();
+    },
+
+    // Upgrade research: nothing has been researched yet
+    3: (saveData) => {
+        saveData.players.forEach(player => {
+            player.upgrades = [];
+        });
+    },
+
+    // Shields: Protoss units and buildings were saved without them and start fully charged
+    4: (saveData) => {
+        saveData.units.forEach(unit => {
+            giveShields(unit, getUnitDefinition(getFaction(factionOf(saveData, unit.owner)), unit.type));
+        });
+        saveData.buildings.forEach(building => {
+            const definitions = getFaction(factionOf(saveData, building.owner))?.buildings;
+            giveShields(building, definitions?.[building.type] || definitions?.[normalizeBuildingType(building.type)]);
+        });
+    },
+
+    // Creep spread: creep used to appear at full size, so every saved source is fully grown
+    5: (saveData) => {
+        (saveData.creepSources || []).forEach(entry => {
+            const source = Array.isArray(entry) ? entry[1] : null;
+            if (!isObject(source)) return; // Left for validateSave to report
+            source.spread = source.radius;
+            source.receding = false;
+        });
+    }
+};
+
+// Bring a parsed save up to SAVE_VERSION, in place
+export function migrateSave(saveData) {
+    if (!isObject(saveData)) {
+        throw new SaveError('Save data is not a game save');
+    }
+
+    let version = saveData.version ?? 0;
+    if (version > SAVE_VERSION) {
+        throw new SaveError(`Save is from a newer version of the game (format ${version})`);
+    }
+
+    // Fields the migrations rely on
+    ['units', 'buildings'].forEach(field => {
+        if (!Array.isArray(saveData[field])) {
+            throw new SaveError(`Save is missing its ${field}`);
+        }
+    });
+
+    while (version < SAVE_VERSION) {
+        MIGRATIONS[version](saveData);
+        version++;
+        saveData.version = version;
+    }
+
+    return saveData;
+}
+
+// Check a migrated save for missing or corrupt fields. Throws a SaveError naming the
+// first problem found.
+export function validateSave(saveData) {
+    const fail = message => { throw new SaveError(`Corrupt save: ${message}`); };
+
+    if (saveData.version !== SAVE_VERSION) fail(`unexpected format version ${saveData.version}`);
+    if (!isFiniteNumber(saveData.gameTime) || saveData.gameTime < 0) fail('invalid game time');
+    if (!Number.isInteger(saveData.tick) || saveData.tick < 0) fail('invalid tick count');
+    if (!Number.isInteger(saveData.nextEntityId) || saveData.nextEntityId < 1) fail('invalid entity counter');
+    if (!isObject(saveData.random) || !isFiniteNumber(saveData.random.seed) || !isFiniteNumber(saveData.random.state)) {
+        fail('invalid random seed');
+    }
+    if (saveData.commandLog !== null && !Array.isArray(saveData.commandLog)) fail('invalid command log');
+
+    // Players
+    if (!Array.isArray(saveData.players) || !saveData.players.some(p => p?.id === PLAYER_ID)) {
+        fail('no player record');
+    }
+    saveData.players.forEach(player => {
+        if (!getFaction(player.faction)) fail(`unknown faction "${player.faction}" for ${player.id}`);
+        ['minerals', 'gas', 'population', 'populationMax'].forEach(field => {
+            if (!isFiniteNumber(player[field])) fail(`invalid ${field} for ${player.id}`);
+        });
+        if (!Array.isArray(player.productionQueue)) fail(`invalid production queue for ${player.id}`);
+        if (!Array.isArray(player.upgrades) || player.upgrades.some(key => typeof key !== 'string')) {
+            fail(`invalid upgrades for ${player.id}`);
+        }
+        player.productionQueue.forEach(item => {
+            if (typeof item?.id !== 'string') fail(`production item without id for ${player.id}`);
+        });
+    });
+    const playerIds = new Set(saveData.players.map(p => p.id));
+
+    // Entities: every id unique, every position and health (and shield, if any) a number
+    const ids = new Set();
+    const checkEntity = (entity, kind) => {
+        if (!isObject(entity) || typeof entity.id !== 'string') fail(`${kind} without id`);
+        if (ids.has(entity.id)) fail(`duplicate id ${entity.id}`);
+        ids.add(entity.id);
+        if (!isFiniteNumber(entity.x) || !isFiniteNumber(entity.z)) fail(`${entity.id} has no position`);
+    };
+    const checkShields = entity => {
+        if (entity.maxShield === undefined) return;
+        if (!isFiniteNumber(entity.shield) || !isFiniteNumber(entity.maxShield)) fail(`${entity.id} has invalid shields`);
+    };
+
+    saveData.units.forEach(unit => {
+        checkEntity(unit, 'unit');
+        if (typeof unit.type !== 'string') fail(`${unit.id} has no type`);
+        if (!playerIds.has(unit.owner)) fail(`${unit.id} belongs to unknown player ${unit.owner}`);
+        if (!isFiniteNumber(unit.health)) fail(`${unit.id} has invalid health`);
+        checkShields(unit);
+    });
+    saveData.buildings.forEach(building => {
+        checkEntity(building, 'building');
+        if (typeof building.type !== 'string') fail(`${building.id} has no type`);
+        if (!playerIds.has(building.owner)) fail(`${building.id} belongs to unknown player ${building.owner}`);
+        if (!isFiniteNumber(building.health)) fail(`${building.id} has invalid health`);
+        checkShields(building);
+    });
+    ['mineralPatches', 'gasGeysers'].forEach(field => {
+        if (!Array.isArray(saveData[field])) fail(`missing ${field}`);
+        saveData[field].forEach(node => {
+            checkEntity(node, 'resource');
+            if (!isFiniteNumber(node.amount)) fail(`${node.id} has invalid amount`);
+        });
+    });
+    ['mineralWorkers', 'gasWorkers'].forEach(field => {
+        if (!Array.isArray(saveData[field]) || saveData[field].some(id => typeof id !== 'string')) {
+            fail(`invalid ${field}`);
+        }
+    });
+
+    // Map-like state is saved as [key, value] entries
+    ['larvaByHatchery', 'lastLarvaSpawn', 'creepSources', 'moveGroups'].forEach(field => {
+        const entries = saveData[field];
+        if (!Array.isArray(entries) || entries.some(e => !Array.isArray(e) || e.length !== 2)) {
+            fail(`invalid ${field}`);
+        }
+    });
+    saveData.creepSources.forEach(([buildingId, source]) => {
+        if (!isObject(source) || ![source.x, source.z, source.radius, source.spread].every(isFiniteNumber)) {
+            fail(`invalid creep source ${buildingId}`);
+        }
+    });
+    if (!Number.isInteger(saveData.nextMoveGroupId)) fail('invalid move group counter');
+    const mapProblem = validateMapData(saveData.map);
+    if (mapProblem) fail(mapProblem);
+    if (!Number.isInteger(saveData.navigation?.version)) fail('invalid navigation version');
+    if (!Array.isArray(saveData.explored) || saveData.explored.some(run => !Number.isInteger(run) || run < 0)) {
+        fail('invalid explored area');
+    }
+    if (saveData.advisor !== null && !Array.isArray(saveData.advisor?.conversationHistory)) {
+        fail('invalid advisor conversation');
+    }
+
+    return saveData;
+}
+
+// ============== MIGRATION HELPERS ==============
+
+// Saves from before per-player state kept the local player's economy at the top level,
+// the opponent in a separate record and one production queue tagged with owners
+function migratePlayers(saveData) {
+    if (!saveData.players) {
+        saveData.players = [
+            {
+                id: PLAYER_ID,
+                faction: saveData.faction,
+                minerals: saveData.minerals,
+                gas: saveData.gas,
+                population: saveData.population,
+                populationMax: saveData.populationMax
+            },
+            ...(saveData.opponent ? [saveData.opponent] : [])
+        ];
+    }
+
+    saveData.players.forEach(player => {
+        player.productionQueue = player.productionQueue || [];
+    });
+
+    (saveData.productionQueue || []).forEach(item => {
+        const owner = item.owner || PLAYER_ID;
+        saveData.players.find(p => p.id === owner)?.productionQueue.push(item);
+    });
+
+    ['minerals', 'gas', 'population', 'populationMax', 'opponent', 'productionQueue'].forEach(field => {
+        delete saveData[field];
+    });
+}
+
+function deriveLarvaByHatchery(saveData) {
+    const larvaByHatchery = new Map();
+    saveData.buildings
+        .filter(b => (b.type === 'base' || b.type === 'hatchery') && isZerg(saveData, b.owner))
+        .forEach(b => larvaByHatchery.set(b.id, []));
+
+    saveData.units.forEach(unit => {
+        if (unit.type === 'larva' && larvaByHatchery.has(unit.parentHatcheryId)) {
+            larvaByHatchery.get(unit.parentHatcheryId).push(unit.id);
+        }
+    });
+
+    return [...larvaByHatchery];
+}
+
+// The main Hatchery spreads creep from the start, other creep buildings once complete
+function deriveCreepSources(saveData) {
+    return saveData.buildings
+        .filter(b => b.type === 'base' || b.isComplete)
+        .map(b => [b, getFaction(factionOf(saveData, b.owner))?.buildings[b.type]])
+        .filter(([, config]) => config?.creepRadius)
+        .map(([b, config]) => [b.id, { x: b.x, z: b.z, radius: config.creepRadius }]);
+}
+
+function giveShields(entity, definition) {
+    if (!definition?.shield || entity.maxShield !== undefined) return;
+    entity.shield = definition.shield;
+    entity.maxShield = definition.shield;
+}
+
+function isZerg(saveData, owner) {
+    return factionOf(saveData, owner) === 'zerg';
+}
+
+function factionOf(saveData, owner) {
+    return saveData.players.find(p => p.id === owner)?.faction;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
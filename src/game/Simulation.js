@@ -0,0 +1,470 @@
+/**
+ * Simulation
+ * Fixed-step game simulation: economy, production, combat, larva, construction, unit
+ * movement and fog of war. It touches nothing but game state, so the browser game drives
+ * it from its render loop and the headless entry point (src/headless.js) runs it under Node.
+ */
+
+import gameState from './GameState.js';
+import { getBuildingDimensions } from './BuildingConfig.js';
+import { getUnitConfig, MAX_GROUND_UNIT_RADIUS } from './UnitConfig.js';
+
+export const TICK_RATE = 30; // simulation ticks per second
+export const TICK_DURATION = 1 / TICK_RATE;
+const CREEP_SPEED_BONUS = 0.3; // Zerg ground units move this much faster on creep
+
+export class Simulation {
+    constructor(gameActions, opponentAI = null) {
+        this.gameActions = gameActions;
+        this.opponentAI = opponentAI;
+
+        // Register AFTER gameState reset/load (reset clears listeners)
+        gameState.on('productionComplete', (item) => this.onProductionComplete(item));
+    }
+
+    // One fixed simulation step. Everything that changes game state happens here.
+    tick(deltaTime = TICK_DURATION) {
+        // Update game state
+        gameState.updateGameTime(deltaTime);
+        gameState.gatherResources(deltaTime);
+        gameState.updateProductionQueue(deltaTime);
+
+        // Auto-balancing players spread their workers once a second
+        if (gameState.tick % TICK_RATE === 0) {
+            gameState.updateAutoBalance();
+        }
+
+        // Resolve attacks and deaths
+        gameState.updateCombat(deltaTime);
+
+        // Protoss shields recharge out of combat
+        gameState.updateShields(deltaTime);
+
+        // Zerg creep grows out from its sources and recedes where they were destroyed
+        gameState.updateCreep(deltaTime);
+
+        // Computer opponent decisions
+        this.opponentAI?.update(deltaTime);
+
+        // Update Zerg larva spawning
+        gameState.updateLarvaSpawning();
+
+        // Check Human SCV proximity for construction
+        this.checkHumanConstruction();
+
+        // Update unit positions for workers
+        this.updateUnitPositions(deltaTime);
+
+        // Fog of war follows the units to where they ended up this tick
+        gameState.updateVisibility();
+
+        // Commands given from now on belong to the next tick
+        gameState.tick++;
+    }
+
+    onProductionComplete(item) {
+        if (item.category !== 'building' || item.type !== 'hatchery') return;
+        if (gameState.getFactionFor(gameState.getOwner(item))?.id !== 'zerg') return;
+
+        // Additional Hatcheries start with a full set of larva
+        const building = gameState.buildings.find(b => b.id === item.buildingId);
+        if (building) {
+            gameState.spawnInitialLarva(building);
+        }
+    }
+
+    checkHumanConstruction() {
+        // Group all constructing workers by their target building once per tick
+        const buildersByBuilding = new Map();
+        gameState.units.forEach(u => {
+            if (u.type === 'worker' && u.state === 'constructing' && u.targetBuildingId) {
+                if (!buildersByBuilding.has(u.targetBuildingId)) {
+                    buildersByBuilding.set(u.targetBuildingId, []);
+                }
+                buildersByBuilding.get(u.targetBuildingId).push(u);
+            }
+        });
+
+        gameState.getAllProduction().forEach(item => {
+            // Only Human construction needs a worker on site
+            if (gameState.getFactionFor(gameState.getOwner(item))?.id !== 'human') return;
+
+            if (item.category === 'building' && item.buildingId) {
+                const building = gameState.buildings.find(b => b.id === item.buildingId);
+                if (!building) return;
+
+                const builders = buildersByBuilding.get(item.buildingId) || [];
+
+                // Filter to those actually in range
+                const activeBuilders = builders.filter(builder => {
+                    const dx = builder.x - building.x;
+                    const dz = builder.z - building.z;
+                    // Using squared distance to avoid Math.sqrt per check
+                    return (dx * dx + dz * dz) <= 9.0; // range = 3.0
+                });
+
+                if (activeBuilders.length > 0) {
+                    item.isPaused = false;
+                    // Speed bonus: 100% for first, +50% for each additional
+                    item.speedMultiplier = 1.0 + (activeBuilders.length - 1) * 0.5;
+                } else {
+                    item.isPaused = true;
+                    item.speedMultiplier = 0;
+                }
+            }
+        });
+    }
+
+    updateUnitPositions(deltaTime) {
+        const speed = 5;
+        const separationForce = 4.0; // Stronger separation force
+
+        gameState.units.forEach(unit => {
+            let targetX = null;
+            let targetZ = null;
+
+            // Workers have special behavior for resource gathering
+            if (unit.type === 'worker') {
+                if (unit.state === 'mining') {
+                    const patch = gameState.mineralPatches.find(p => p.id === unit.targetResource);
+                    if (patch) {
+                        const workerIndex = this.getWorkerIndexAtResource(unit.id, unit.targetResource, 'mineral');
+                        const angle = (workerIndex * Math.PI * 2 / 4) + (Math.PI / 4);
+                        const offsetRadius = 2.0;
+                        targetX = patch.x + Math.cos(angle) * offsetRadius;
+                        targetZ = patch.z + Math.sin(angle) * offsetRadius;
+                    }
+                } else if (unit.state === 'returning_minerals') {
+                    // Return to the nearest finished base to deposit minerals
+                    const base = gameState.getNearestDepot(gameState.getOwner(unit), unit.x, unit.z);
+                    if (base) {
+                        // Aim for a point near the base
+                        const dx = unit.x - base.x;
+                        const dz = unit.z - base.z;
+                        const angle = Math.atan2(dz, dx);
+                        targetX = base.x + Math.cos(angle) * 4;
+                        targetZ = base.z + Math.sin(angle) * 4;
+                    }
+                } else if (unit.state === 'harvesting_gas') {
+                    const geyser = gameState.gasGeysers.find(g => g.id === unit.targetResource);
+                    if (geyser) {
+                        const workerIndex = this.getWorkerIndexAtResource(unit.id, unit.targetResource, 'gas');
+                        const angle = (workerIndex * Math.PI * 2 / 3);
+                        const offsetRadius = 2.0; // Keep within gatherRange of 2.5
+                        targetX = geyser.x + Math.cos(angle) * offsetRadius;
+                        targetZ = geyser.z + Math.sin(angle) * offsetRadius;
+                    }
+                } else if (unit.state === 'returning_gas') {
+                    // Return to the nearest finished base to deposit gas
+                    const base = gameState.getNearestDepot(gameState.getOwner(unit), unit.x, unit.z);
+                    if (base) {
+                        const dx = unit.x - base.x;
+                        const dz = unit.z - base.z;
+                        const angle = Math.atan2(dz, dx);
+                        targetX = base.x + Math.cos(angle) * 4;
+                        targetZ = base.z + Math.sin(angle) * 4;
+                    }
+                } else if (unit.state === 'constructing') {
+                    if (unit.constructionData) {
+                        targetX = unit.constructionData.x;
+                        targetZ = unit.constructionData.z;
+                    } else if (unit.targetBuildingId) {
+                        targetX = unit.targetX;
+                        targetZ = unit.targetZ;
+                    }
+                } else if (unit.state === 'warping' && unit.warpData) {
+                    // Protoss probe moving to warp-in location
+                    targetX = unit.warpData.x;
+                    targetZ = unit.warpData.z;
+                }
+            } else if (unit.type === 'larva') {
+                // Larva wandering logic
+                if (unit.targetX === undefined || unit.targetZ === undefined || unit.wanderTimer === undefined) {
+                    unit.wanderTimer = 0;
+                    unit.baseX = unit.x;
+                    unit.baseZ = unit.z;
+                    unit.targetX = unit.x + (gameState.random.next() - 0.5) * 6;
+                    unit.targetZ = unit.z + (gameState.random.next() - 0.5) * 6;
+                }
+
+                unit.wanderTimer += deltaTime;
+
+                // Pick a new target periodically or if we've arrived
+                const distToTargetSq = (unit.targetX - unit.x) ** 2 + (unit.targetZ - unit.z) ** 2;
+                if (unit.wanderTimer > 3.0 || distToTargetSq < 0.1) {
+                    unit.wanderTimer = 0;
+                    // Wander around base position
+                    unit.targetX = unit.baseX + (gameState.random.next() - 0.5) * 8;
+                    unit.targetZ = unit.baseZ + (gameState.random.next() - 0.5) * 8;
+                }
+
+                targetX = unit.targetX;
+                targetZ = unit.targetZ;
+            }
+
+            // All units can move when in 'moving' state
+            if (unit.state === 'moving' && unit.targetX !== undefined) {
+                targetX = unit.targetX;
+                targetZ = unit.targetZ;
+            }
+
+            // Attacking units close in until their target is within weapon range
+            if (unit.state === 'attacking' && unit.attackTargetId) {
+                const target = gameState.findEntity(unit.attackTargetId);
+                if (target && !gameState.isInAttackRange(unit, target)) {
+                    targetX = target.x;
+                    targetZ = target.z;
+                }
+            }
+
+            // Base speed for units, raised by movement upgrades
+            const owner = gameState.getOwner(unit);
+            let unitSpeed = speed * (1 + gameState.getUpgradeBonus(owner, unit.type, 'speed'));
+            const config = getUnitConfig(unit.type);
+            const unitRadius = config.radius;
+
+            let newX = unit.x;
+            let newZ = unit.z;
+
+            // Check if this unit is flying
+            const isFlying = config.flyHeight !== undefined;
+
+            // Zerg ground units are faster on creep
+            if (!isFlying && gameState.getFactionFor(owner)?.id === 'zerg' && gameState.isOnCreep(unit.x, unit.z)) {
+                unitSpeed *= 1 + CREEP_SPEED_BONUS;
+            }
+
+            // Unit-unit separation and collision (skip for flying units)
+            // Only neighbours close enough to overlap can push, so query the spatial index
+            if (!isFlying) {
+                const neighbourRadius = (unitRadius + MAX_GROUND_UNIT_RADIUS) * 1.2;
+                gameState.getUnitsNear(unit.x, unit.z, neighbourRadius).forEach(other => {
+                    if (other === unit) return;
+
+                    // Skip collision with other flying units too
+                    const otherConfig = getUnitConfig(other.type);
+                    if (otherConfig.flyHeight !== undefined) return;
+
+                    const dx = unit.x - other.x;
+                    const dz = unit.z - other.z;
+                    const distSq = dx * dx + dz * dz;
+                    const minSeparation = (unitRadius + otherConfig.radius) * 1.2;
+
+                    if (distSq < minSeparation * minSeparation) {
+                        const dist = Math.sqrt(distSq);
+                        const pushForce = (minSeparation - dist) * separationForce;
+                        const angle = distSq > 0 ? Math.atan2(dz, dx) : gameState.random.next() * Math.PI * 2;
+                        newX += Math.cos(angle) * pushForce * deltaTime;
+                        newZ += Math.sin(angle) * pushForce * deltaTime;
+                    }
+                });
+            }
+
+            // Actual movement towards target
+            if (targetX !== null && targetZ !== null) {
+                const dx = targetX - unit.x;
+                const dz = targetZ - unit.z;
+                const distSq = dx * dx + dz * dz;
+
+                // Group members settle close to their formation slot rather than exactly on it,
+                // or wherever they end up jammed against groupmates that already arrived
+                const isGroupMove = unit.state === 'moving' && !!unit.moveGroupId;
+                const arrivalDistSq = isGroupMove ? 0.25 : 0.01;
+                const jammed = isGroupMove && this.isMakingNoProgress(unit, deltaTime);
+
+                if (distSq > arrivalDistSq && !jammed) {
+                    // Ground units walk the A* path around buildings; flying units go straight
+                    const waypoint = isFlying
+                        ? { x: targetX, z: targetZ }
+                        : this.getNextWaypoint(unit, targetX, targetZ);
+                    const wx = waypoint.x - unit.x;
+                    const wz = waypoint.z - unit.z;
+                    const waypointDist = Math.sqrt(wx * wx + wz * wz);
+
+                    if (waypointDist > 0) {
+                        const force = Math.min(waypointDist, unitSpeed * deltaTime);
+                        newX += (wx / waypointDist) * force;
+                        newZ += (wz / waypointDist) * force;
+                    }
+                } else {
+                    unit.path = null;
+
+                    // Arrived at destination
+                    if (unit.state === 'moving') {
+                        unit.state = 'idle';
+                        unit.targetX = undefined;
+                        unit.targetZ = undefined;
+                        unit.moveGroupId = null;
+                        unit.progressCheck = null;
+                    } else if (unit.state === 'constructing') {
+                        if (gameState.getFactionFor(gameState.getOwner(unit))?.id === 'zerg') {
+                            // Zerg drone arrived at site - CONSUME and BUILD
+                            const constructionData = unit.constructionData;
+                            gameState.removeUnit(unit.id);
+                            this.gameActions?.startZergConstruction(constructionData);
+                        }
+                        // For Human, we stay in constructing state and standing still
+                        // No further action needed here as checkHumanConstruction handles unpausing
+                    } else if (unit.state === 'warping' && unit.warpData) {
+                        // Protoss probe arrived - start warp-in and free the probe
+                        this.gameActions?.startProtossWarpIn(unit.warpData);
+                        unit.warpData = null;
+                        unit.state = 'idle';
+                        unit.targetX = undefined;
+                        unit.targetZ = undefined;
+                    }
+                }
+            }
+
+            // Always update position even if not moving towards a target (for separation)
+            // But only if we actually moved from separation
+            if (unit.x !== newX || unit.z !== newZ) {
+                // Check building collision (simple push for separation/idle drift)
+                // Skip for flying units - they pass over buildings
+                const isFlying = config.flyHeight !== undefined;
+                if (!isFlying) {
+                    const collision = this.checkBuildingCollision(newX, newZ, unitRadius);
+                    if (collision) {
+                        newX = collision.x;
+                        newZ = collision.z;
+                    }
+                }
+
+                // Calculate movement direction BEFORE updating position
+                const moveDx = newX - unit.x;
+                const moveDz = newZ - unit.z;
+                const moveDist = Math.sqrt(moveDx * moveDx + moveDz * moveDz);
+
+                // Only update facing direction if we moved a meaningful amount
+                if (moveDist > 0.01) {
+                    const moveAngle = Math.atan2(moveDx, moveDz); // Note: atan2(dx, dz) for correct facing
+                    unit.facingAngle = moveAngle;
+                }
+
+                // Now update position
+                gameState.moveUnit(unit, newX, newZ);
+            }
+        });
+    }
+
+    // Check if position collides with any building and return adjusted position
+    // Uses rectangular AABB collision based on actual building sizes
+    checkBuildingCollision(x, z, unitRadius) {
+        for (const building of gameState.buildings) {
+            // Building size based on type (matches BuildingRenderer hitbox sizes)
+            // Gas extractors have no collision so workers can enter to harvest
+            const gasTypes = ['gasextractor', 'extractor', 'refinery', 'assimilator'];
+            const isGasExtractor = gasTypes.includes(building.type?.toLowerCase());
+            if (isGasExtractor) continue; // Skip collision for gas extractors
+
+            const dims = getBuildingDimensions(building.type);
+
+            // Incomplete buildings have smaller collision box (40%) so workers can get close to build
+            const collisionScale = building.isComplete ? 1.0 : 0.4;
+            const halfW = ((dims.collisionWidth || 5) / 2) * collisionScale;
+            const halfD = ((dims.collisionDepth || 5) / 2) * collisionScale;
+
+            // Building bounds (AABB)
+            const minX = building.x - halfW;
+            const maxX = building.x + halfW;
+            const minZ = building.z - halfD;
+            const maxZ = building.z + halfD;
+
+            // Expand bounds by unit radius
+            const expandedMinX = minX - unitRadius;
+            const expandedMaxX = maxX + unitRadius;
+            const expandedMinZ = minZ - unitRadius;
+            const expandedMaxZ = maxZ + unitRadius;
+
+            // Check if unit center is inside expanded bounds
+            if (x > expandedMinX && x < expandedMaxX && z > expandedMinZ && z < expandedMaxZ) {
+                // Find nearest edge to push unit to
+                const distToLeft = x - expandedMinX;
+                const distToRight = expandedMaxX - x;
+                const distToTop = z - expandedMinZ;
+                const distToBottom = expandedMaxZ - z;
+
+                const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
+
+                let pushX = x;
+                let pushZ = z;
+
+                if (minDist === distToLeft) {
+                    pushX = expandedMinX;
+                } else if (minDist === distToRight) {
+                    pushX = expandedMaxX;
+                } else if (minDist === distToTop) {
+                    pushZ = expandedMinZ;
+                } else {
+                    pushZ = expandedMaxZ;
+                }
+
+                return { x: pushX, z: pushZ };
+            }
+        }
+        return null; // No collision
+    }
+
+    // Next point to steer at on the unit's path to the target. Paths are recomputed
+    // when the target moves or the navigation grid changes (buildings added or removed).
+    getNextWaypoint(unit, targetX, targetZ) {
+        const navigation = gameState.navigation;
+        gameState.updateNavigation();
+
+        // Group moves steer down the shared flow field until the slot is in plain view
+        const group = unit.state === 'moving' && unit.moveGroupId
+            ? gameState.getMoveGroup(unit.moveGroupId)
+            : null;
+        if (group?.flowField && !navigation.hasLineOfSight(unit.x, unit.z, targetX, targetZ)) {
+            const direction = group.flowField.getDirection(unit.x, unit.z);
+            if (direction) {
+                return { x: unit.x + direction.x, z: unit.z + direction.z };
+            }
+        }
+
+        const goalMoved = !unit.path || !unit.pathGoal ||
+            Math.abs(unit.pathGoal.x - targetX) > 1 || Math.abs(unit.pathGoal.z - targetZ) > 1;
+
+        if (goalMoved || unit.pathVersion !== navigation.version) {
+            unit.path = gameState.findPath(unit.x, unit.z, targetX, targetZ) || [];
+            unit.pathGoal = { x: targetX, z: targetZ };
+            unit.pathVersion = navigation.version;
+        }
+
+        // Drop waypoints we have reached
+        while (unit.path.length > 0 &&
+            Math.hypot(unit.path[0].x - unit.x, unit.path[0].z - unit.z) < 0.5) {
+            unit.path.shift();
+        }
+
+        // Past the last waypoint (or no path): head straight for the target
+        return unit.path[0] || { x: targetX, z: targetZ };
+    }
+
+    // True once a unit has covered less than half a unit of ground in the last second
+    isMakingNoProgress(unit, deltaTime) {
+        if (!unit.progressCheck) {
+            unit.progressCheck = { x: unit.x, z: unit.z, time: 0 };
+            return false;
+        }
+
+        const check = unit.progressCheck;
+        check.time += deltaTime;
+        if (check.time < 1.0) return false;
+
+        const moved = Math.hypot(unit.x - check.x, unit.z - check.z);
+        unit.progressCheck = { x: unit.x, z: unit.z, time: 0 };
+        return moved < 0.5;
+    }
+
+    getWorkerIndexAtResource(workerId, resourceId, resourceType) {
+        const workerList = resourceType === 'gas' ? gameState.gasWorkers : gameState.mineralWorkers;
+        const workersAtResource = workerList.filter(id => {
+            const w = gameState.getUnit(id);
+            return w && w.targetResource === resourceId;
+        });
+        return workersAtResource.indexOf(workerId);
+    }
+}
+
+export default Simulation;
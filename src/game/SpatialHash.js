@@ -0,0 +1,99 @@
+/**
+ * Spatial Hash
+ * Uniform grid of buckets for neighbour queries. Entities need an `id`, `x` and `z`;
+ * GameState keeps one index each for units, buildings and resource nodes.
+ */
+
+const DEFAULT_CELL_SIZE = 4;
+const KEY_OFFSET = 32768; // Keeps negative cell coordinates in the positive key range
+
+export class SpatialHash {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> Set of entities
+        this.entityCells = new Map(); // entity id -> cell key
+    }
+
+    keyFor(x, z) {
+        const col = Math.floor(x / this.cellSize) + KEY_OFFSET;
+        const row = Math.floor(z / this.cellSize) + KEY_OFFSET;
+        return col * 65536 + row;
+    }
+
+    insert(entity) {
+        const key = this.keyFor(entity.x, entity.z);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(entity);
+        this.entityCells.set(entity.id, key);
+    }
+
+    remove(entity) {
+        const key = this.entityCells.get(entity.id);
+        if (key === undefined) return;
+
+        const bucket = this.cells.get(key);
+        if (bucket) {
+            bucket.delete(entity);
+            if (bucket.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.entityCells.delete(entity.id);
+    }
+
+    // Re-bucket an entity after it moved (cheap when it stayed in the same cell)
+    update(entity) {
+        const key = this.keyFor(entity.x, entity.z);
+        if (this.entityCells.get(entity.id) === key) return;
+
+        this.remove(entity);
+        this.insert(entity);
+    }
+
+    has(entityId) {
+        return this.entityCells.has(entityId);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entityCells.clear();
+    }
+
+    // Replace the contents with a fresh list of entities
+    rebuild(entities) {
+        this.clear();
+        entities.forEach(entity => this.insert(entity));
+    }
+
+    // Entities whose centre lies within `radius` of a point
+    queryRadius(x, z, radius) {
+        const results = [];
+        const radiusSq = radius * radius;
+
+        const minCol = Math.floor((x - radius) / this.cellSize) + KEY_OFFSET;
+        const maxCol = Math.floor((x + radius) / this.cellSize) + KEY_OFFSET;
+        const minRow = Math.floor((z - radius) / this.cellSize) + KEY_OFFSET;
+        const maxRow = Math.floor((z + radius) / this.cellSize) + KEY_OFFSET;
+
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const bucket = this.cells.get(col * 65536 + row);
+                if (!bucket) continue;
+
+                bucket.forEach(entity => {
+                    const dx = entity.x - x;
+                    const dz = entity.z - z;
+                    if (dx * dx + dz * dz <= radiusSq) {
+                        results.push(entity);
+                    }
+                });
+            }
+        }
+
+        return results;
+    }
+}
+
+export default SpatialHash;
@@ -6,51 +6,85 @@ export const UNIT_CONFIG = {
     worker: {
         radius: 0.4,
         height: 2.0,
+        visionRadius: 8, // Fog of war sight range
         visualScale: 1.5
     },
     larva: {
         radius: 0.5,
         height: 0.8,
+        visionRadius: 4,
         visualScale: 0.6
     },
     evolutionEgg: {
         radius: 1.2,
         height: 2.5,
+        visionRadius: 4,
         visualScale: 1.0
     },
     zergling: {
         radius: 0.7,
         height: 1.2,
+        visionRadius: 8,
         visualScale: 1.5
     },
     marine: {
         radius: 0.8,
         height: 2.0,
+        visionRadius: 9,
         visualScale: 1.5
     },
     marauder: {
         radius: 1.0,
         height: 2.5,
+        visionRadius: 10,
         visualScale: 2.0
     },
     hellion: {
         radius: 1.2,
         height: 1.5,
+        visionRadius: 10,
         visualScale: 12.5  // 5x larger
     },
+    tank: {
+        radius: 1.3,
+        height: 1.6,
+        visionRadius: 11,
+        visualScale: 1.0 // Procedural mesh, built to size
+    },
+    hydralisk: {
+        radius: 0.8,
+        height: 2.2,
+        visionRadius: 9,
+        visualScale: 1.0
+    },
     zealot: {
         radius: 0.9,
         height: 2.2,
+        visionRadius: 9,
         visualScale: 1.5
     },
+    immortal: {
+        radius: 1.1,
+        height: 2.0,
+        visionRadius: 10,
+        visualScale: 1.0
+    },
     overlord: {
         radius: 3.0,
         height: 4.0,
+        visionRadius: 11,
         visualScale: 10.0,
         flyHeight: 8.0  // Fly above ground
     }
 };
 
+// Largest radius among units that collide on the ground (bounds neighbour searches)
+export const MAX_GROUND_UNIT_RADIUS = Math.max(
+    ...Object.values(UNIT_CONFIG)
+        .filter(config => config.flyHeight === undefined)
+        .map(config => config.radius)
+);
+
 /**
  * Gets the configuration for a specific unit type
  */
@@ -0,0 +1,111 @@
+/**
+ * Visibility
+ * Fog of war grid for one player. Every cell is unexplored, explored (seen before) or
+ * visible (inside the sight of one of the player's units or buildings right now).
+ */
+
+export const UNEXPLORED = 0;
+export const EXPLORED = 1;
+export const VISIBLE = 2;
+
+const MAP_SIZE = 200; // Default map size; GameState sizes the grid to the map
+const CELL_SIZE = 2;
+
+export class VisibilityGrid {
+    constructor(size = MAP_SIZE, cellSize = CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.width = Math.ceil(size / cellSize);
+        this.origin = -size / 2;
+        this.cells = new Uint8Array(this.width * this.width);
+
+        // Bumped on every update so renderers know when to redraw the fog
+        this.version = 0;
+    }
+
+    // Recompute what is visible from `sources` ({ x, z, radius }); anything visible
+    // before but not now becomes explored
+    update(sources) {
+        const cells = this.cells;
+        for (let i = 0; i < cells.length; i++) {
+            if (cells[i] === VISIBLE) cells[i] = EXPLORED;
+        }
+
+        sources.forEach(({ x, z, radius }) => this.reveal(x, z, radius));
+        this.version++;
+    }
+
+    // Mark every cell whose centre lies within `radius` of a point as visible
+    reveal(x, z, radius) {
+        const minCol = Math.max(0, this.toCell(x - radius));
+        const maxCol = Math.min(this.width - 1, this.toCell(x + radius));
+        const minRow = Math.max(0, this.toCell(z - radius));
+        const maxRow = Math.min(this.width - 1, this.toCell(z + radius));
+        const radiusSq = radius * radius;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            const dz = this.origin + (row + 0.5) * this.cellSize - z;
+            for (let col = minCol; col <= maxCol; col++) {
+                const dx = this.origin + (col + 0.5) * this.cellSize - x;
+                if (dx * dx + dz * dz <= radiusSq) {
+                    this.cells[row * this.width + col] = VISIBLE;
+                }
+            }
+        }
+    }
+
+    toCell(coordinate) {
+        return Math.floor((coordinate - this.origin) / this.cellSize);
+    }
+
+    // State of the cell containing a world position (off the map counts as unexplored)
+    getState(x, z) {
+        const col = this.toCell(x);
+        const row = this.toCell(z);
+        if (col < 0 || row < 0 || col >= this.width || row >= this.width) return UNEXPLORED;
+        return this.cells[row * this.width + col];
+    }
+
+    isVisible(x, z) {
+        return this.getState(x, z) === VISIBLE;
+    }
+
+    isExplored(x, z) {
+        return this.getState(x, z) !== UNEXPLORED;
+    }
+
+    // Explored area as alternating run lengths (unexplored, explored, unexplored...)
+    // so saves stay small
+    getExploredRuns() {
+        const runs = [];
+        let current = false;
+        let length = 0;
+
+        this.cells.forEach(state => {
+            const explored = state !== UNEXPLORED;
+            if (explored !== current) {
+                runs.push(length);
+                current = explored;
+                length = 0;
+            }
+            length++;
+        });
+        runs.push(length);
+
+        return runs;
+    }
+
+    restoreExploredRuns(runs) {
+        this.cells.fill(UNEXPLORED);
+
+        let index = 0;
+        runs.forEach((length, i) => {
+            if (i % 2 === 1) {
+                this.cells.fill(EXPLORED, index, Math.min(index + length, this.cells.length));
+            }
+            index += length;
+        });
+        this.version++;
+    }
+}
+
+export default VisibilityGrid;
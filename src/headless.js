@@ -0,0 +1,61 @@
+/**
+ * Galactic Command - Headless Entry Point
+ * Runs the game simulation without renderers, DOM or browser APIs, so matches can be
+ * played out under Node for automated checks and balance sweeps:
+ *
+ *   const game = new HeadlessGame({ faction: 'human', seed: 1, opponent: false });
+ *   game.run(60);
+ *   console.log(game.state.minerals);
+ *
+ * `map` plays on a given GameMap (e.g. a map file read with MapFormat.js) instead of a
+ * generated one. Passing a recorded replay (see Replay.js) re-simulates that match instead.
+ */
+
+import gameState from './game/GameState.js';
+import { GameMap, DEFAULT_MAP_SIZE } from './game/GameMap.js';
+import GameActions from './game/GameActions.js';
+import OpponentAI from './ai/OpponentAI.js';
+import Simulation, { TICK_DURATION } from './game/Simulation.js';
+import { ReplayPlayer } from './game/Replay.js';
+
+export class HeadlessGame {
+    constructor({ faction = 'human', opponentFaction = faction, seed = 1, mapSize = DEFAULT_MAP_SIZE, map = null, opponent = true, replay = null } = {}) {
+        if (replay) {
+            gameState.startNewGame(replay.faction, replay.opponentFaction, replay.seed, { map: GameMap.deserialize(replay.map) });
+        } else {
+            gameState.startNewGame(faction, opponentFaction, seed, { map, mapSize });
+        }
+
+        this.state = gameState;
+        this.actions = new GameActions(() => {}, () => {});
+        this.opponentAI = opponent ? new OpponentAI(this.actions) : null;
+        this.simulation = new Simulation(this.actions, this.opponentAI);
+        this.replayPlayer = replay ? new ReplayPlayer(replay) : null;
+    }
+
+    get time() {
+        return gameState.gameTime;
+    }
+
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.replayPlayer?.applyDueCommands(this.actions);
+            this.simulation.tick(TICK_DURATION);
+        }
+        return this;
+    }
+
+    // Simulate the given number of game seconds, stopping early once the match is decided.
+    // `onSecond` is called after every simulated second (for logging or sampling).
+    run(seconds, onSecond = null) {
+        const ticksPerSecond = Math.round(1 / TICK_DURATION);
+
+        for (let second = 0; second < seconds && !gameState.winner; second++) {
+            this.step(ticksPerSecond);
+            onSecond?.(this);
+        }
+        return this;
+    }
+}
+
+export default HeadlessGame;
@@ -3,22 +3,34 @@
  * Browser-based real-time strategy game with AI advisors
  */
 
-import gameState from './game/GameState.js';
+import gameState, { PLAYER_ID, AI_ID } from './game/GameState.js';
+import { GameMap } from './game/GameMap.js';
+import { getExpansionBuildingType } from './game/Faction.js';
 import GameScene from './rendering/Scene.js';
 import TerrainRenderer from './rendering/Terrain.js';
 import UnitRenderer from './rendering/UnitRenderer.js';
 import BuildingRenderer from './rendering/BuildingRenderer.js';
 import AIAgent from './ai/Agent.js';
+import OpponentAI from './ai/OpponentAI.js';
 import GameActions from './game/GameActions.js';
-import { getBuildingDimensions } from './game/BuildingConfig.js';
-import { getUnitConfig } from './game/UnitConfig.js';
+import Simulation, { TICK_RATE, TICK_DURATION } from './game/Simulation.js';
+import { issueCommand } from './game/Commands.js';
+import ReplayPlayer, { createReplay, saveReplay, loadReplay, hasReplay } from './game/Replay.js';
 import InputHandler from './game/InputHandler.js';
 import MainMenu from './ui/MainMenu.js';
 import FactionSelect from './ui/FactionSelect.js';
+import MapEditor from './ui/MapEditor.js';
 import ChatInterface from './ui/ChatInterface.js';
 import HUD from './ui/HUD.js';
 import BuildingPlacementUI from './ui/BuildingPlacementUI.js';
 import Minimap from './ui/Minimap.js';
+import ReplayControls from './ui/ReplayControls.js';
+
+// The simulation advances in fixed ticks so results don't depend on frame rate;
+// rendering interpolates unit positions between the last two ticks
+const MAX_FRAME_TIME = 0.25; // Longer frames (e.g. a backgrounded tab) are clamped rather than replayed
+const SEEK_TICKS_PER_FRAME = 150; // How fast a replay fast-forwards to a seek target
+const AUTOSAVE_INTERVAL = 120; // Seconds of game time between autosaves
 
 class Game {
     constructor() {
@@ -28,17 +40,25 @@ class Game {
         this.unitRenderer = null;
         this.buildingRenderer = null;
         this.debugMode = false;
+        this.fogOfWar = false; // Hides what the player cannot see; off for replays
 
         // UI
         this.mainMenu = null;
         this.factionSelect = null;
+        this.mapEditor = null;
         this.chatInterface = null;
         this.hud = null;
         this.minimap = null;
 
         // AI
         this.aiAgent = null;
+        this.opponentAI = null;
         this.gameActions = null;
+        this.simulation = null;
+
+        // Replay playback (null while playing a live game)
+        this.replayPlayer = null;
+        this.replayControls = null;
 
         // Input
         this.inputHandler = null;
@@ -47,11 +67,14 @@ class Game {
         this.isRunning = false;
         this.lastTime = 0;
         this.animationTime = 0;
+        this.tickAccumulator = 0;
+        this.previousPositions = new Map(); // unitId -> { x, z } at the start of the last tick
 
         // Screens
         this.screens = {
             mainMenu: document.getElementById('main-menu'),
             factionSelect: document.getElementById('faction-select'),
+            mapEditor: document.getElementById('map-editor'),
             gameScreen: document.getElementById('game-screen')
         };
 
@@ -62,20 +85,26 @@ class Game {
         // Initialize main menu
         this.mainMenu = new MainMenu(
             () => this.showFactionSelect(),
-            () => this.loadGame()
+            (slotId) => this.loadGame(slotId),
+            () => this.watchReplay(),
+            () => this.showMapEditor()
         );
 
-        // Check for saved game
-        this.mainMenu.enableLoadGame(gameState.hasSavedGame());
+        // Check for a last match replay
+        this.mainMenu.enableWatchReplay(hasReplay());
 
         // Initialize faction select
         this.factionSelect = new FactionSelect(
-            (factionId) => this.startNewGame(factionId),
+            (factionId, mapOptions) => this.startNewGame(factionId, mapOptions),
             () => this.showMainMenu()
         );
 
+        // Map editor (its own scene, separate from any game)
+        this.mapEditor = new MapEditor(() => this.showMainMenu());
+
         // Global Event Listeners (One-time setup)
         window.addEventListener('quitToMenu', () => this.quitToMenu());
+        window.addEventListener('loadGame', (e) => this.loadGame(e.detail.slotId));
         window.addEventListener('keydown', (e) => this.handleKeyDown(e));
         window.addEventListener('gameFeedback', (e) => {
             this.hud?.showNotification(e.detail);
@@ -107,6 +136,12 @@ class Game {
             return;
         }
 
+        // Space - Pause / resume replay playback
+        if (e.key === ' ' && this.replayPlayer) {
+            this.replayPlayer.togglePause();
+            return;
+        }
+
         // F10 - Toggle Debug Mode
         if (e.key === 'F10') {
             this.toggleDebugMode();
@@ -129,8 +164,9 @@ class Game {
                 's': 'supply',
                 'r': 'barracks',
                 'f': 'factory',
+                'd': gameState.faction?.buildings.hydraliskDen ? 'hydraliskDen' : null, // Zerg only
                 'g': 'gasExtractor',
-                'h': 'hatchery'  // Zerg only - Hatchery expansion
+                'h': getExpansionBuildingType(gameState.faction) // Hatchery, Command Center or Nexus
             };
             const building = buildingMap[e.key.toLowerCase()];
             if (building) {
@@ -140,6 +176,9 @@ class Game {
     }
 
     toggleBuildingMenu() {
+        // Nothing can be built while watching a replay
+        if (this.replayPlayer) return;
+
         if (!this.buildingPlacementUI) {
             this.buildingPlacementUI = new BuildingPlacementUI(
                 (type) => this.selectBuildingToPlace(type),
@@ -152,6 +191,13 @@ class Game {
     selectBuildingToPlace(buildingType) {
         this.buildingPlacementUI?.hide();
 
+        // Hotkeys get past the menu's locked buttons
+        const blocker = gameState.getBuildBlocker(buildingType);
+        if (blocker) {
+            this.hud?.showNotification(blocker, 'error');
+            return;
+        }
+
         // Capture the currently selected worker (if any) when entering build mode
         let selectedWorkerId = null;
         if (this.inputHandler?.selectedUnits.length > 0) {
@@ -163,7 +209,12 @@ class Game {
         }
 
         this.inputHandler?.enterBuildingPlacementMode(buildingType, (type, position) => {
-            const result = this.gameActions.buildStructure(type, position, selectedWorkerId);
+            const result = issueCommand({
+                type: 'build',
+                buildingType: type,
+                position: { x: position.x, z: position.z },
+                workerId: selectedWorkerId
+            }, this.gameActions);
             if (result.success) {
                 this.hud?.showNotification(result.message);
                 // Notify AI of player's action for feedback
@@ -178,7 +229,7 @@ class Game {
     showMainMenu() {
         this.hideAllScreens();
         this.screens.mainMenu.classList.add('active');
-        this.mainMenu.enableLoadGame(gameState.hasSavedGame());
+        this.mainMenu.enableWatchReplay(hasReplay());
         this.stopGame();
     }
 
@@ -187,6 +238,11 @@ class Game {
         this.screens.factionSelect.classList.add('active');
     }
 
+    showMapEditor() {
+        this.hideAllScreens();
+        this.mapEditor.open();
+    }
+
     hideAllScreens() {
         Object.values(this.screens).forEach(screen => {
             screen.classList.remove('active');
@@ -207,6 +263,14 @@ class Game {
             }
         }
         if (this.aiAgent) this.aiAgent.dispose();
+        if (this.replayControls) this.replayControls.dispose();
+        this.inputHandler = null;
+        this.chatInterface = null;
+        this.aiAgent = null;
+        this.opponentAI = null;
+        this.simulation = null;
+        this.replayPlayer = null;
+        this.replayControls = null;
 
         if (this.unitRenderer) this.unitRenderer.dispose();
         if (this.buildingRenderer) this.buildingRenderer.dispose();
@@ -220,12 +284,62 @@ class Game {
         // We don't remove productionComplete here because we moved it to one-time init
     }
 
-    startNewGame(factionId) {
+    // `mapOptions` is { mapSize } for a generated map or { map } for a map file
+    startNewGame(factionId, mapOptions = {}) {
         // Pre-cleanup
         this.cleanup();
 
-        // Initialize game state
-        gameState.startNewGame(factionId);
+        // Initialize game state. A ?seed= URL parameter replays a known game setup.
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        gameState.startNewGame(factionId, factionId, seed !== null ? Number(seed) : undefined, mapOptions);
+
+        this.startSession();
+    }
+
+    loadGame(slotId) {
+        // Loading from the in-game menu ends the match being played
+        if (this.isRunning) this.keepReplay();
+
+        const result = gameState.load(slotId);
+        if (result.success) {
+            // Pre-cleanup before loading
+            this.cleanup();
+
+            this.startSession();
+        } else {
+            alert(`Could not load this save. ${result.error}`);
+        }
+    }
+
+    // Watch a recorded match: the game is re-simulated on its map from its seed and command log
+    watchReplay(replay = loadReplay(), seekTick = 0) {
+        if (!replay) return;
+
+        this.cleanup();
+        gameState.startNewGame(replay.faction, replay.opponentFaction, replay.seed, { map: GameMap.deserialize(replay.map) });
+
+        const replayPlayer = new ReplayPlayer(replay);
+        replayPlayer.seek(seekTick);
+        this.startSession(replayPlayer);
+    }
+
+    // Seeking backwards restarts the replay and fast-forwards to the target tick
+    seekReplay(tick) {
+        const { replay, speed, paused } = this.replayPlayer;
+        if (tick >= gameState.tick) {
+            this.replayPlayer.seek(tick);
+            return;
+        }
+
+        this.watchReplay(replay, tick);
+        this.replayPlayer.speed = speed;
+        this.replayPlayer.paused = paused;
+    }
+
+    // Set up scene, systems and UI for whatever game gameState now holds (new, loaded or
+    // replayed). Replays are watched rather than played: no advisor, chat or unit commands.
+    startSession(replayPlayer = null) {
+        this.replayPlayer = replayPlayer;
 
         // Register production handler AFTER gameState reset (reset clears listeners)
         this.setupProductionHandler();
@@ -246,17 +360,32 @@ class Game {
         // Listen for unit removal
         gameState.on('unitRemoved', (unit) => {
             this.unitRenderer?.removeUnit(unit.id);
+            this.inputHandler?.handleEntityRemoved(unit.id);
         });
 
-        // Listen for building removal (for Zerg creep retraction)
+        // Listen for building removal
         gameState.on('buildingRemoved', (building) => {
             this.buildingRenderer?.removeBuilding(building.id);
-            // Remove creep for Zerg buildings
-            if (gameState.faction?.id === 'zerg') {
-                this.terrainRenderer?.removeCreep(building.id);
-            }
+            this.inputHandler?.handleEntityRemoved(building.id);
         });
 
+        // Zerg creep follows the creep sources in game state as they spread and recede
+        const drawCreep = ({ buildingId, x, z, spread }) => {
+            this.terrainRenderer?.createCreep(buildingId, x, z, spread);
+        };
+        gameState.on('creepAdded', drawCreep);
+        gameState.on('creepChanged', drawCreep);
+        gameState.on('creepRemoved', ({ buildingId }) => {
+            this.terrainRenderer?.removeCreep(buildingId);
+        });
+
+        // Protoss shields shimmer when they take a hit
+        gameState.on('entityDamaged', ({ target, shieldDamage }) => {
+            if (shieldDamage > 0) this.unitRenderer?.showShieldHit(target.id);
+        });
+
+        gameState.on('matchEnded', ({ winner }) => this.onMatchEnded(winner));
+
         // Listen for larva spawning (Zerg)
         gameState.on('larvaSpawned', ({ larva, hatchery }) => {
             if (this.unitRenderer && larva) {
@@ -274,9 +403,72 @@ class Game {
             }
         });
 
-        // Initialize AI agent
+        // Initialize computer opponent (saves from before opponents existed have none)
+        if (gameState.getPlayer(AI_ID)) {
+            this.opponentAI = new OpponentAI(this.gameActions);
+        }
+
+        // Game simulation (movement, construction, production...)
+        this.simulation = new Simulation(this.gameActions, this.opponentAI);
+
+        // Initialize HUD
+        this.hud = new HUD();
+        this.hud.onBuildMenu = () => this.toggleBuildingMenu();
+
+        const chatContainer = document.getElementById('chat-container');
+        chatContainer.style.display = replayPlayer ? 'none' : '';
+
+        if (replayPlayer) {
+            this.replayControls = new ReplayControls(
+                replayPlayer,
+                (tick) => this.seekReplay(tick),
+                () => this.quitToMenu()
+            );
+        } else {
+            this.initializeAdvisor(chatContainer);
+
+            // Initialize input handler for mouse controls
+            this.inputHandler = new InputHandler(
+                this.scene,
+                this.scene.camera,
+                this.unitRenderer,
+                this.terrainRenderer,
+                (selection, type) => this.onSelectionChange(selection, type),
+                this.buildingRenderer
+            );
+
+            this.inputHandler.gameActions = this.gameActions;
+
+            // Connect player actions to AI feedback
+            this.inputHandler.onPlayerAction = (actionType, details) => {
+                this.notifyAIWithChat(actionType, details);
+            };
+        }
+
+        // Create game objects from the current state
+        this.createInitialGameObjects();
+
+        // Replays are watched with the whole map revealed
+        this.fogOfWar = !replayPlayer;
+        if (this.fogOfWar) {
+            this.terrainRenderer.createFog(gameState.visibility);
+        }
+
+        // Initialize minimap
+        this.minimap = new Minimap(this.scene, this.fogOfWar);
+
+        // Start looking at the local player's base
+        const start = gameState.getStartLocation(PLAYER_ID);
+        this.minimap.moveCameraTo(start.x, start.z);
+
+        // Start game loop
+        this.startGame();
+    }
+
+    initializeAdvisor(chatContainer) {
+        // Advisor actions are player commands, so they are logged for replays too
         this.aiAgent = new AIAgent(gameState.faction, (action) => {
-            const result = this.gameActions.executeAction(action);
+            issueCommand({ type: 'action', action }, this.gameActions);
         });
 
         // Check if using backend proxy (API key is on server)
@@ -292,36 +484,7 @@ class Game {
         }
 
         // Initialize chat interface
-        const chatContainer = document.getElementById('chat-container');
         this.chatInterface = new ChatInterface(chatContainer, this.aiAgent);
-
-        // Initialize HUD
-        this.hud = new HUD();
-        this.hud.onBuildMenu = () => this.toggleBuildingMenu();
-
-        // Initialize input handler for mouse controls
-        this.inputHandler = new InputHandler(
-            this.scene,
-            this.scene.camera,
-            this.unitRenderer,
-            this.terrainRenderer,
-            (selection, type) => this.onSelectionChange(selection, type),
-            this.buildingRenderer
-        );
-
-        // Connect player actions to AI feedback
-        this.inputHandler.onPlayerAction = (actionType, details) => {
-            this.notifyAIWithChat(actionType, details);
-        };
-
-        // Create initial game objects
-        this.createInitialGameObjects();
-
-        // Initialize minimap
-        this.minimap = new Minimap(this.scene);
-
-        // Start game loop
-        this.startGame();
     }
 
     setupProductionHandler() {
@@ -330,25 +493,8 @@ class Game {
             if (item.category === 'building') {
                 this.buildingRenderer?.completeConstruction(item.buildingId);
 
-                // Create creep for Zerg buildings when construction completes
-                if (gameState.faction?.id === 'zerg') {
-                    const building = gameState.buildings.find(b => b.id === item.buildingId);
-
-                    if (building && this.terrainRenderer) {
-                        // Creep Colony gets radius 20
-                        if (item.type === 'supply') {
-                            this.terrainRenderer.createCreep(building.id, building.x, building.z, 20, false);
-                        }
-                        // Additional Hatcheries get radius 40 and spawn larva
-                        if (item.type === 'hatchery') {
-                            this.terrainRenderer.createCreep(building.id, building.x, building.z, 40, true);
-                            // Spawn initial larva for new Hatchery
-                            gameState.spawnInitialLarva(building);
-                        }
-                    }
-                }
-
                 // Notify AI when building completes
+                if (gameState.getOwner(item) !== PLAYER_ID) return;
                 this.notifyAIWithChat('build_complete', {
                     buildingName: item.name || item.type
                 });
@@ -364,6 +510,7 @@ class Game {
                     }
                 }
                 // Notify AI when unit production completes
+                if (gameState.getOwner(item) !== PLAYER_ID) return;
                 this.notifyAIWithChat('train_complete', {
                     unitType: item.name || item.unitType,
                     buildingType: item.producerType
@@ -377,94 +524,6 @@ class Game {
         });
     }
 
-    loadGame() {
-        if (gameState.load()) {
-
-            // Pre-cleanup before loading
-            this.cleanup();
-
-            // Register production handler (saved game already loaded the state, but listeners are cleared)
-            this.setupProductionHandler();
-
-            // Show game screen
-            this.hideAllScreens();
-            this.screens.gameScreen.classList.add('active');
-
-            // Initialize scene
-            this.initializeScene();
-
-            // Initialize game actions
-            this.gameActions = new GameActions(
-                (building) => this.onBuildingCreated(building),
-                (unit) => this.onUnitCreated(unit)
-            );
-
-            // Listen for unit removal
-            gameState.on('unitRemoved', (unit) => {
-                this.unitRenderer?.removeUnit(unit.id);
-            });
-
-            // Listen for building removal (for Zerg creep retraction)
-            gameState.on('buildingRemoved', (building) => {
-                this.buildingRenderer?.removeBuilding(building.id);
-                if (gameState.faction?.id === 'zerg') {
-                    this.terrainRenderer?.removeCreep(building.id);
-                }
-            });
-
-            // Initialize AI agent
-            this.aiAgent = new AIAgent(gameState.faction, (action) => {
-                const result = this.gameActions.executeAction(action);
-            });
-
-            // Check if using backend proxy (API key is on server)
-            const apiBaseUrl = import.meta.env.VITE_API_BASE_URL;
-            const apiKey = import.meta.env.VITE_OPENAI_API_KEY;
-
-            if (apiBaseUrl) {
-                // Using backend proxy - no API key needed on frontend
-                this.aiAgent.setApiKey('proxy');
-            } else if (apiKey) {
-                // Direct OpenAI calls - need API key
-                this.aiAgent.setApiKey(apiKey);
-            }
-
-            // Initialize chat interface
-            const chatContainer = document.getElementById('chat-container');
-            this.chatInterface = new ChatInterface(chatContainer, this.aiAgent);
-
-            // Initialize HUD
-            this.hud = new HUD();
-            this.hud.onBuildMenu = () => this.toggleBuildingMenu();
-
-            // Initialize input handler for mouse controls
-            this.inputHandler = new InputHandler(
-                this.scene,
-                this.scene.camera,
-                this.unitRenderer,
-                this.terrainRenderer,
-                (selection, type) => this.onSelectionChange(selection, type),
-                this.buildingRenderer
-            );
-
-            // Connect player actions to AI feedback
-            this.inputHandler.onPlayerAction = (actionType, details) => {
-                this.notifyAIWithChat(actionType, details);
-            };
-
-            // Recreate game objects from saved state
-            this.recreateGameObjects();
-
-            // Initialize minimap
-            this.minimap = new Minimap(this.scene);
-
-            // Start game loop
-            this.startGame();
-        } else {
-            console.error('Failed to load game');
-        }
-    }
-
     initializeScene() {
         const container = document.getElementById('game-canvas-container');
 
@@ -478,7 +537,8 @@ class Game {
 
         // Initialize renderers
         this.terrainRenderer = new TerrainRenderer(this.scene, gameState.faction);
-        this.terrainRenderer.createTerrain();
+        this.terrainRenderer.createTerrain(gameState.map);
+        this.scene.setMapSize(gameState.map.size);
 
         this.unitRenderer = new UnitRenderer(this.scene, gameState.faction);
         this.buildingRenderer = new BuildingRenderer(this.scene, gameState.faction);
@@ -494,10 +554,13 @@ class Game {
             this.terrainRenderer.createGasGeyser(geyser);
         });
 
-        // Create buildings (use onBuildingCreated to include creep for Zerg)
+        // Create buildings and the creep around them
         gameState.buildings.forEach(building => {
             this.onBuildingCreated(building);
         });
+        gameState.creepSources.forEach(({ x, z, spread }, buildingId) => {
+            this.terrainRenderer.createCreep(buildingId, x, z, spread);
+        });
 
         // Create units
         gameState.units.forEach(unit => {
@@ -515,11 +578,6 @@ class Game {
         });
     }
 
-    recreateGameObjects() {
-        // Same as createInitialGameObjects for loaded games
-        this.createInitialGameObjects();
-    }
-
     onSelectionChange(selection, type) {
         if (!selection || selection.length === 0) {
             this.hud?.showSelection(null);
@@ -532,13 +590,20 @@ class Game {
             // Show building info and production options
             this.hud?.showBuildingSelection(entity, (unitType) => {
                 // Pass the building entity so we can track production per-building
-                const result = this.gameActions.trainUnit(entity, unitType);
+                const result = issueCommand({ type: 'train', producerId: entity.id, unitType }, this.gameActions);
                 if (result.success) {
                     this.hud?.showNotification(result.message);
                     // AI notification moved to productionComplete handler
                 } else {
                     this.hud?.showNotification(result.message, 'error');
                 }
+            }, (upgrade) => {
+                const result = issueCommand({ type: 'research', producerId: entity.id, upgrade }, this.gameActions);
+                if (result.success) {
+                    this.hud?.showNotification(result.message);
+                } else {
+                    this.hud?.showNotification(result.message, 'error');
+                }
             });
         } else {
             // Show unit info - pass full selection for multi-larva support
@@ -548,16 +613,6 @@ class Game {
 
     onBuildingCreated(building) {
         this.buildingRenderer.createBuilding(building);
-
-        // Handle Zerg creep - only Hatchery creates creep immediately
-        // Creep Colony creep is created when construction completes (in setupProductionHandler)
-        if (gameState.faction?.id === 'zerg' && this.terrainRenderer) {
-            if (building.type === 'base') {
-                // Hatchery creates large creep circle immediately (radius 40)
-                this.terrainRenderer.createCreep(building.id, building.x, building.z, 40, true);
-            }
-            // Creep Colony creep is handled in productionComplete
-        }
     }
 
     onUnitCreated(unit) {
@@ -568,6 +623,14 @@ class Game {
         }
     }
 
+    onMatchEnded(winner) {
+        this.keepReplay();
+
+        const won = winner === PLAYER_ID;
+        this.hud?.showNotification(won ? 'Victory! The enemy base has fallen.' : 'Defeat! Your base has been destroyed.');
+        this.notifyAIWithChat(won ? 'victory' : 'defeat', {});
+    }
+
     // Helper to notify AI and display response in chat
     async notifyAIWithChat(actionType, details) {
         if (!this.aiAgent) return;
@@ -581,6 +644,8 @@ class Game {
     startGame() {
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.tickAccumulator = 0;
+        this.previousPositions.clear();
         this.gameLoop();
     }
 
@@ -589,6 +654,7 @@ class Game {
     }
 
     quitToMenu() {
+        this.keepReplay();
         this.stopGame();
 
         // Cleanup
@@ -601,35 +667,67 @@ class Game {
         this.showMainMenu();
     }
 
+    // Store the match just played as the replay to watch from the main menu
+    keepReplay() {
+        if (this.replayPlayer || !this.simulation) return;
+        saveReplay(createReplay());
+    }
+
     gameLoop() {
         if (!this.isRunning) return;
 
         const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+        const deltaTime = Math.min((currentTime - this.lastTime) / 1000, MAX_FRAME_TIME); // Convert to seconds
         this.lastTime = currentTime;
         this.animationTime += deltaTime;
 
-        // Update game state
-        this.update(deltaTime);
+        // Run as many fixed simulation ticks as the elapsed time covers. Replays play
+        // at their own speed (0 while paused) and fast-forward while seeking.
+        const playbackRate = this.replayPlayer ? this.replayPlayer.playbackRate : 1;
+        this.tickAccumulator += deltaTime * playbackRate;
+        while (this.tickAccumulator >= TICK_DURATION) {
+            this.tick(TICK_DURATION);
+            this.tickAccumulator -= TICK_DURATION;
+        }
 
-        // Render
-        this.render();
+        for (let i = 0; i < SEEK_TICKS_PER_FRAME && this.replayPlayer?.isSeeking; i++) {
+            this.tick(TICK_DURATION);
+        }
+
+        // Per-frame UI updates
+        this.update();
+
+        // Render, blending positions by how far we are into the next tick
+        this.render(this.tickAccumulator / TICK_DURATION);
 
         // Next frame
         requestAnimationFrame(() => this.gameLoop());
     }
 
-    update(deltaTime) {
-        // Update game state
-        gameState.updateGameTime(deltaTime);
-        gameState.gatherResources(deltaTime);
-        gameState.updateProductionQueue(deltaTime);
+    tick(deltaTime) {
+        // Remember where units were so rendering can interpolate towards the new positions
+        this.previousPositions = new Map(gameState.units.map(u => [u.id, { x: u.x, z: u.z }]));
+
+        // Replays give the recorded player commands on the tick they were originally given
+        this.replayPlayer?.applyDueCommands(this.gameActions);
+        this.simulation?.tick(deltaTime);
+
+        this.checkAutosave();
+    }
+
+    checkAutosave() {
+        if (this.replayPlayer || gameState.winner) return;
+        if (gameState.tick % (AUTOSAVE_INTERVAL * TICK_RATE) !== 0) return;
 
-        // Update Zerg larva spawning
-        gameState.updateLarvaSpawning();
+        if (gameState.autosave()) {
+            this.hud?.showNotification('Autosaved');
+        }
+    }
 
+    update() {
         // Update HUD
         this.hud?.update();
+        this.replayControls?.update();
 
         // Update minimap
         this.minimap?.update();
@@ -644,22 +742,16 @@ class Game {
             }
         });
 
-        // Check Human SCV proximity for construction
-        this.checkHumanConstruction();
-
         // Update construction progress visuals
         this.updateBuildingConstruction();
 
-        // Update unit positions for workers
-        this.updateUnitPositions(deltaTime);
-
         // Update Three.js controls
         this.scene?.update();
     }
 
     updateBuildingConstruction() {
         // Update progress bars and timers for buildings under construction
-        gameState.productionQueue.forEach(item => {
+        gameState.getAllProduction().forEach(item => {
             if (item.category === 'building' && item.buildingId) {
                 const progress = item.progress / item.buildTime;
 
@@ -678,422 +770,53 @@ class Game {
         });
     }
 
-    checkHumanConstruction() {
-        if (gameState.faction?.id !== 'human') return;
+    // Place unit models between their previous and current tick positions
+    interpolateUnitPositions(alpha) {
+        if (!this.unitRenderer) return;
 
-        // Group all constructing workers by their target building once per frame
-        const buildersByBuilding = new Map();
-        gameState.units.forEach(u => {
-            if (u.type === 'worker' && u.state === 'constructing' && u.targetBuildingId) {
-                if (!buildersByBuilding.has(u.targetBuildingId)) {
-                    buildersByBuilding.set(u.targetBuildingId, []);
-                }
-                buildersByBuilding.get(u.targetBuildingId).push(u);
-            }
-        });
-
-        gameState.productionQueue.forEach(item => {
-            if (item.category === 'building' && item.buildingId) {
-                const building = gameState.buildings.find(b => b.id === item.buildingId);
-                if (!building) return;
-
-                const builders = buildersByBuilding.get(item.buildingId) || [];
-
-                // Filter to those actually in range
-                const activeBuilders = builders.filter(builder => {
-                    const dx = builder.x - building.x;
-                    const dz = builder.z - building.z;
-                    // Using squared distance to avoid Math.sqrt per check
-                    return (dx * dx + dz * dz) <= 9.0; // range = 3.0
-                });
+        gameState.units.forEach(unit => {
+            const previous = this.previousPositions.get(unit.id) || unit;
+            this.unitRenderer.updateUnitPosition(
+                unit.id,
+                previous.x + (unit.x - previous.x) * alpha,
+                previous.z + (unit.z - previous.z) * alpha
+            );
 
-                if (activeBuilders.length > 0) {
-                    item.isPaused = false;
-                    // Speed bonus: 100% for first, +50% for each additional
-                    item.speedMultiplier = 1.0 + (activeBuilders.length - 1) * 0.5;
-                } else {
-                    item.isPaused = true;
-                    item.speedMultiplier = 0;
-                }
+            // Face the direction of travel
+            if (unit.facingAngle !== undefined) {
+                this.unitRenderer.updateUnitRotation(unit.id, unit.facingAngle);
             }
         });
     }
 
-    updateUnitPositions(deltaTime) {
-        const speed = 5;
-        const separationForce = 4.0; // Stronger separation force
-
-        gameState.units.forEach((unit, index) => {
-            let targetX = null;
-            let targetZ = null;
-
-            // Workers have special behavior for resource gathering
-            if (unit.type === 'worker') {
-                if (unit.state === 'mining') {
-                    const patch = gameState.mineralPatches.find(p => p.id === unit.targetResource);
-                    if (patch) {
-                        const workerIndex = this.getWorkerIndexAtResource(unit.id, unit.targetResource, 'mineral');
-                        const angle = (workerIndex * Math.PI * 2 / 4) + (Math.PI / 4);
-                        const offsetRadius = 2.0;
-                        targetX = patch.x + Math.cos(angle) * offsetRadius;
-                        targetZ = patch.z + Math.sin(angle) * offsetRadius;
-                    }
-                } else if (unit.state === 'returning_minerals') {
-                    // Return to base to deposit minerals
-                    const base = gameState.buildings.find(b => b.type === 'base');
-                    if (base) {
-                        // Aim for a point near the base
-                        const dx = unit.x - base.x;
-                        const dz = unit.z - base.z;
-                        const angle = Math.atan2(dz, dx);
-                        targetX = base.x + Math.cos(angle) * 4;
-                        targetZ = base.z + Math.sin(angle) * 4;
-                    }
-                } else if (unit.state === 'harvesting_gas') {
-                    const geyser = gameState.gasGeysers.find(g => g.id === unit.targetResource);
-                    if (geyser) {
-                        const workerIndex = this.getWorkerIndexAtResource(unit.id, unit.targetResource, 'gas');
-                        const angle = (workerIndex * Math.PI * 2 / 3);
-                        const offsetRadius = 2.0; // Keep within gatherRange of 2.5
-                        targetX = geyser.x + Math.cos(angle) * offsetRadius;
-                        targetZ = geyser.z + Math.sin(angle) * offsetRadius;
-                    }
-                } else if (unit.state === 'returning_gas') {
-                    // Return to base to deposit gas
-                    const base = gameState.buildings.find(b => b.type === 'base');
-                    if (base) {
-                        const dx = unit.x - base.x;
-                        const dz = unit.z - base.z;
-                        const angle = Math.atan2(dz, dx);
-                        targetX = base.x + Math.cos(angle) * 4;
-                        targetZ = base.z + Math.sin(angle) * 4;
-                    }
-                } else if (unit.state === 'constructing') {
-                    if (unit.constructionData) {
-                        targetX = unit.constructionData.x;
-                        targetZ = unit.constructionData.z;
-                    } else if (unit.targetBuildingId) {
-                        targetX = unit.targetX;
-                        targetZ = unit.targetZ;
-                    }
-                } else if (unit.state === 'warping' && unit.warpData) {
-                    // Protoss probe moving to warp-in location
-                    targetX = unit.warpData.x;
-                    targetZ = unit.warpData.z;
-                }
-            } else if (unit.type === 'larva') {
-                // Larva wandering logic
-                if (unit.targetX === undefined || unit.targetZ === undefined || unit.wanderTimer === undefined) {
-                    unit.wanderTimer = 0;
-                    unit.baseX = unit.x;
-                    unit.baseZ = unit.z;
-                    unit.targetX = unit.x + (Math.random() - 0.5) * 6;
-                    unit.targetZ = unit.z + (Math.random() - 0.5) * 6;
-                }
-
-                unit.wanderTimer += deltaTime;
-
-                // Pick a new target periodically or if we've arrived
-                const distToTargetSq = (unit.targetX - unit.x) ** 2 + (unit.targetZ - unit.z) ** 2;
-                if (unit.wanderTimer > 3.0 || distToTargetSq < 0.1) {
-                    unit.wanderTimer = 0;
-                    // Wander around base position
-                    unit.targetX = unit.baseX + (Math.random() - 0.5) * 8;
-                    unit.targetZ = unit.baseZ + (Math.random() - 0.5) * 8;
-                }
-
-                targetX = unit.targetX;
-                targetZ = unit.targetZ;
-            }
-
-            // All units can move when in 'moving' state
-            if (unit.state === 'moving' && unit.targetX !== undefined) {
-                targetX = unit.targetX;
-                targetZ = unit.targetZ;
-            }
+    // Show enemy units and buildings only inside the player's vision
+    updateFogOfWar() {
+        if (!this.fogOfWar) return;
 
-            // Base speed for units
-            let unitSpeed = speed;
-            const config = getUnitConfig(unit.type);
-            const unitRadius = config.radius;
-
-            let newX = unit.x;
-            let newZ = unit.z;
-
-            // Check if this unit is flying
-            const isFlying = config.flyHeight !== undefined;
-
-            // Unit-unit separation and collision (skip for flying units)
-            if (!isFlying) {
-                gameState.units.forEach((other, otherIndex) => {
-                    if (index === otherIndex) return;
-
-                    // Skip collision with other flying units too
-                    const otherConfig = getUnitConfig(other.type);
-                    if (otherConfig.flyHeight !== undefined) return;
-
-                    const dx = unit.x - other.x;
-                    const dz = unit.z - other.z;
-                    const distSq = dx * dx + dz * dz;
-                    const minSeparation = (unitRadius + otherConfig.radius) * 1.2;
-
-                    if (distSq < minSeparation * minSeparation) {
-                        const dist = Math.sqrt(distSq);
-                        const pushForce = (minSeparation - dist) * separationForce;
-                        const angle = distSq > 0 ? Math.atan2(dz, dx) : Math.random() * Math.PI * 2;
-                        newX += Math.cos(angle) * pushForce * deltaTime;
-                        newZ += Math.sin(angle) * pushForce * deltaTime;
-                    }
-                });
-            }
-
-            // Actual movement towards target
-            if (targetX !== null && targetZ !== null) {
-                const dx = targetX - unit.x;
-                const dz = targetZ - unit.z;
-                const distSq = dx * dx + dz * dz;
-
-                if (distSq > 0.01) {
-                    const dist = Math.sqrt(distSq);
-                    const force = Math.min(dist, unitSpeed * deltaTime);
-                    newX += (dx / dist) * force;
-                    newZ += (dz / dist) * force;
-
-                    // Building collision check with navigation (skip for flying units)
-                    const isFlying = config.flyHeight !== undefined;
-                    if (!isFlying) {
-                        const navPos = this.checkBuildingCollisionWithNavigation(
-                            unit.x, unit.z, newX, newZ, unitRadius, dx / dist, dz / dist
-                        );
-                        if (navPos) {
-                            newX = navPos.x;
-                            newZ = navPos.z;
-                        }
-                    }
-                } else {
-                    // Arrived at destination
-                    if (unit.state === 'moving') {
-                        unit.state = 'idle';
-                        unit.targetX = undefined;
-                        unit.targetZ = undefined;
-                    } else if (unit.state === 'constructing') {
-                        if (gameState.faction?.id === 'zerg') {
-                            // Zerg drone arrived at site - CONSUME and BUILD
-                            const constructionData = unit.constructionData;
-                            gameState.removeUnit(unit.id);
-                            this.gameActions?.startZergConstruction(constructionData);
-                        }
-                        // For Human, we stay in constructing state and standing still
-                        // No further action needed here as checkHumanConstruction handles unpausing
-                    } else if (unit.state === 'warping' && unit.warpData) {
-                        // Protoss probe arrived - start warp-in and free the probe
-                        this.gameActions?.startProtossWarpIn(unit.warpData);
-                        unit.warpData = null;
-                        unit.state = 'idle';
-                        unit.targetX = undefined;
-                        unit.targetZ = undefined;
-                    }
-                }
-            }
+        this.terrainRenderer?.updateFog(gameState.visibility);
 
-            // Always update position even if not moving towards a target (for separation)
-            // But only if we actually moved from separation
-            if (unit.x !== newX || unit.z !== newZ) {
-                // Check building collision (simple push for separation/idle drift)
-                // Skip for flying units - they pass over buildings
-                const isFlying = config.flyHeight !== undefined;
-                if (!isFlying) {
-                    const collision = this.checkBuildingCollision(newX, newZ, unitRadius);
-                    if (collision) {
-                        newX = collision.x;
-                        newZ = collision.z;
-                    }
-                }
+        const reveal = (entity, setVisible) => {
+            if (gameState.getOwner(entity) === PLAYER_ID) return;
 
-                // Calculate movement direction BEFORE updating position
-                const moveDx = newX - unit.x;
-                const moveDz = newZ - unit.z;
-                const moveDist = Math.sqrt(moveDx * moveDx + moveDz * moveDz);
-
-                // Only update facing direction if we moved a meaningful amount
-                if (moveDist > 0.01) {
-                    const moveAngle = Math.atan2(moveDx, moveDz); // Note: atan2(dx, dz) for correct facing
-                    unit.facingAngle = moveAngle;
-
-                    // Update unit visual rotation
-                    const group = this.unitRenderer?.units?.get(unit.id);
-                    if (group) {
-                        // Store base rotation for renderer to use with animations (like wiggling)
-                        group.userData.baseRotationY = moveAngle;
-                        // Apply rotation directly for non-animated units
-                        if (!group.userData.isLarva) {
-                            group.rotation.y = moveAngle;
-                        }
-                    }
-                }
+            const visible = gameState.isVisibleToPlayer(entity);
+            setVisible(entity.id, visible);
 
-                // Now update position
-                unit.x = newX;
-                unit.z = newZ;
+            // Enemies that slip into the fog drop out of the selection
+            if (!visible) this.inputHandler?.handleEntityRemoved(entity.id);
+        };
 
-                this.unitRenderer?.updateUnitPosition(unit.id, unit.x, unit.z);
-            }
+        gameState.units.forEach(unit => {
+            reveal(unit, (id, visible) => this.unitRenderer?.setUnitVisible(id, visible));
         });
-    }
-
-    // Check if position collides with any building and return adjusted position
-    // Uses rectangular AABB collision based on actual building sizes
-    checkBuildingCollision(x, z, unitRadius) {
-        for (const building of gameState.buildings) {
-            // Building size based on type (matches BuildingRenderer hitbox sizes)
-            // Gas extractors have no collision so workers can enter to harvest
-            const gasTypes = ['gasextractor', 'extractor', 'refinery', 'assimilator'];
-            const isGasExtractor = gasTypes.includes(building.type?.toLowerCase());
-            if (isGasExtractor) continue; // Skip collision for gas extractors
-
-            const dims = getBuildingDimensions(building.type);
-
-            // Incomplete buildings have smaller collision box (40%) so workers can get close to build
-            const collisionScale = building.isComplete ? 1.0 : 0.4;
-            const halfW = ((dims.collisionWidth || 5) / 2) * collisionScale;
-            const halfD = ((dims.collisionDepth || 5) / 2) * collisionScale;
-
-            // Building bounds (AABB)
-            const minX = building.x - halfW;
-            const maxX = building.x + halfW;
-            const minZ = building.z - halfD;
-            const maxZ = building.z + halfD;
-
-            // Expand bounds by unit radius
-            const expandedMinX = minX - unitRadius;
-            const expandedMaxX = maxX + unitRadius;
-            const expandedMinZ = minZ - unitRadius;
-            const expandedMaxZ = maxZ + unitRadius;
-
-            // Check if unit center is inside expanded bounds
-            if (x > expandedMinX && x < expandedMaxX && z > expandedMinZ && z < expandedMaxZ) {
-                // Find nearest edge to push unit to
-                const distToLeft = x - expandedMinX;
-                const distToRight = expandedMaxX - x;
-                const distToTop = z - expandedMinZ;
-                const distToBottom = expandedMaxZ - z;
-
-                const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
-
-                let pushX = x;
-                let pushZ = z;
-
-                if (minDist === distToLeft) {
-                    pushX = expandedMinX;
-                } else if (minDist === distToRight) {
-                    pushX = expandedMaxX;
-                } else if (minDist === distToTop) {
-                    pushZ = expandedMinZ;
-                } else {
-                    pushZ = expandedMaxZ;
-                }
-
-                return { x: pushX, z: pushZ };
-            }
-        }
-        return null; // No collision
-    }
-
-    // Check building collision with smart navigation around obstacles
-    // Instead of just pushing away, this steers units around buildings
-    checkBuildingCollisionWithNavigation(oldX, oldZ, newX, newZ, unitRadius, moveDx, moveDz) {
-        for (const building of gameState.buildings) {
-            // Skip gas extractors
-            const gasTypes = ['gasextractor', 'extractor', 'refinery', 'assimilator'];
-            const isGasExtractor = gasTypes.includes(building.type?.toLowerCase());
-            if (isGasExtractor) continue;
-
-            const dims = getBuildingDimensions(building.type);
-
-            // Incomplete buildings have smaller collision box (40%) so workers can get close to build
-            const collisionScale = building.isComplete ? 1.0 : 0.4;
-            const halfW = ((dims.collisionWidth || 5) / 2) * collisionScale;
-            const halfD = ((dims.collisionDepth || 5) / 2) * collisionScale;
-
-            const expandedW = halfW + unitRadius;
-            const expandedD = halfD + unitRadius;
-
-            // Building center
-            const bx = building.x;
-            const bz = building.z;
-
-            // Check if new position would be inside building (AABB check)
-            if (newX > bx - expandedW && newX < bx + expandedW &&
-                newZ > bz - expandedD && newZ < bz + expandedD) {
-
-                // Determine which way to steer around the building
-                // Use cross product to decide: if (dx, dz) x (bx-oldX, bz-oldZ) > 0, go right, else go left
-                const toBuildingX = bx - oldX;
-                const toBuildingZ = bz - oldZ;
-
-                // Cross product: moveDx * toBuildingZ - moveDz * toBuildingX
-                const cross = moveDx * toBuildingZ - moveDz * toBuildingX;
-
-                // Perpendicular direction (90 degrees from movement)
-                // If cross > 0, building is to our left, so steer right
-                // If cross < 0, building is to our right, so steer left
-                let perpX, perpZ;
-                if (cross > 0) {
-                    // Steer right (rotate movement 90 degrees clockwise)
-                    perpX = moveDz;
-                    perpZ = -moveDx;
-                } else {
-                    // Steer left (rotate movement 90 degrees counter-clockwise)
-                    perpX = -moveDz;
-                    perpZ = moveDx;
-                }
-
-                // Normalize perpendicular direction
-                const perpMag = Math.sqrt(perpX * perpX + perpZ * perpZ);
-                if (perpMag > 0.01) {
-                    perpX /= perpMag;
-                    perpZ /= perpMag;
-                }
-
-                // Move along the building edge (slide along)
-                const slideSpeed = Math.sqrt((newX - oldX) ** 2 + (newZ - oldZ) ** 2);
-                let slideX = oldX + perpX * slideSpeed;
-                let slideZ = oldZ + perpZ * slideSpeed;
-
-                // Make sure the slide position is outside the building
-                // Clamp to building edge
-                if (slideX > bx - expandedW && slideX < bx + expandedW &&
-                    slideZ > bz - expandedD && slideZ < bz + expandedD) {
-                    // Still inside, push to nearest edge
-                    const distToLeft = slideX - (bx - expandedW);
-                    const distToRight = (bx + expandedW) - slideX;
-                    const distToTop = slideZ - (bz - expandedD);
-                    const distToBottom = (bz + expandedD) - slideZ;
-
-                    const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
-
-                    if (minDist === distToLeft) slideX = bx - expandedW;
-                    else if (minDist === distToRight) slideX = bx + expandedW;
-                    else if (minDist === distToTop) slideZ = bz - expandedD;
-                    else slideZ = bz + expandedD;
-                }
-
-                return { x: slideX, z: slideZ };
-            }
-        }
-        return null; // No collision
-    }
-
-    getWorkerIndexAtResource(workerId, resourceId, resourceType) {
-        const workerList = resourceType === 'gas' ? gameState.gasWorkers : gameState.mineralWorkers;
-        const workersAtResource = workerList.filter(id => {
-            const w = gameState.units.find(u => u.id === id);
-            return w && w.targetResource === resourceId;
+        gameState.buildings.forEach(building => {
+            reveal(building, (id, visible) => this.buildingRenderer?.setBuildingVisible(id, visible));
         });
-        return workersAtResource.indexOf(workerId);
     }
 
-    render() {
+    render(alpha = 1) {
+        this.interpolateUnitPositions(alpha);
+        this.updateFogOfWar();
+
         // Animate terrain resources
         this.terrainRenderer?.animateResources(this.animationTime);
 
@@ -1115,7 +838,7 @@ class Game {
         this.buildingRenderer?.setDebugMode(this.debugMode);
         this.unitRenderer?.setDebugMode(this.debugMode);
         this.hud?.showNotification({
-            message: `Debug Mode: ${this.debugMode ? 'ON' : 'OFF'}`,
+            message: `Debug Mode: ${this.debugMode ? `ON (seed ${gameState.random.seed})` : 'OFF'}`,
             type: 'info'
         });
     }
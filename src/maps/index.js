@@ -0,0 +1,11 @@
+/**
+ * Bundled Maps
+ * Every map file (see game/MapFormat.js) in this folder, sorted by name. Dropping a new
+ * .json map in here adds it to the map picker.
+ */
+
+const files = import.meta.glob('./*.json', { eager: true, import: 'default' });
+
+export const BUNDLED_MAPS = Object.values(files).sort((a, b) => a.name.localeCompare(b.name));
+
+export default BUNDLED_MAPS;
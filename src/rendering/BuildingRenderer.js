@@ -5,6 +5,7 @@
 import * as THREE from 'three';
 import { modelLoader } from './ModelLoader.js';
 import { getBuildingDimensions, normalizeBuildingType, BUILDING_DIMENSIONS } from '../game/BuildingConfig.js';
+import gameState, { PLAYER_ID } from '../game/GameState.js';
 
 // Faction-specific colors
 const FACTION_COLORS = {
@@ -13,6 +14,9 @@ const FACTION_COLORS = {
     protoss: { primary: 0xffcc00, secondary: 0x886600, emissive: 0x664400 }
 };
 
+// Buildings owned by anyone other than the local player
+const ENEMY_COLORS = { primary: 0xcc2222, secondary: 0x661111, emissive: 0x550000 };
+
 // Model paths for buildings
 const BUILDING_MODELS = {
     base: '/models/buildings/base.glb',
@@ -50,11 +54,16 @@ export class BuildingRenderer {
         await modelLoader.preloadModels(modelsToLoad);
     }
 
+    // Own buildings wear the faction colours; everyone else's are painted in enemy red
+    getColors(buildingData) {
+        return gameState.getOwner(buildingData) === PLAYER_ID ? this.colors : ENEMY_COLORS;
+    }
+
     createBuilding(buildingData) {
 
         const dims = getBuildingDimensions(buildingData.type);
         const group = new THREE.Group();
-        group.position.set(buildingData.x, 0.5, buildingData.z);
+        group.position.set(buildingData.x, 0.5 + gameState.getTerrainHeight(buildingData.x, buildingData.z), buildingData.z);
         group.userData.buildingData = buildingData;
 
         // Add invisible hitbox for click detection (covers entire building)
@@ -77,7 +86,7 @@ export class BuildingRenderer {
         this.createDebugCollisionBox(group, buildingData.type);
 
         // Load the appropriate model asynchronously
-        this.loadBuildingModel(group, buildingData.type);
+        this.loadBuildingModel(group, buildingData.type, this.getColors(buildingData));
 
         // Add selection ring (hidden by default)
         const selectionRing = this.createSelectionRing(buildingData.type);
@@ -94,8 +103,9 @@ export class BuildingRenderer {
 
         // Add Pylon power field effect for Protoss
         const normalizedType = buildingData.type?.toLowerCase();
-        if (this.faction.id === 'protoss' && (normalizedType === 'pylon' || normalizedType === 'supply')) {
-            const powerFieldRadius = this.faction.buildings?.supply?.powerFieldRadius || 8;
+        const ownerFaction = gameState.getFactionFor(gameState.getOwner(buildingData)) || this.faction;
+        if (ownerFaction.id === 'protoss' && (normalizedType === 'pylon' || normalizedType === 'supply')) {
+            const powerFieldRadius = ownerFaction.buildings?.supply?.powerFieldRadius || 8;
             const powerField = this.createPowerFieldEffect(powerFieldRadius);
             powerField.visible = buildingData.isComplete; // Only show when construction is complete
             group.add(powerField);
@@ -132,18 +142,32 @@ export class BuildingRenderer {
         }
     }
 
-    async loadBuildingModel(group, type) {
+    // Hide buildings under the fog of war
+    setBuildingVisible(buildingId, visible) {
+        const building = this.buildings.get(buildingId);
+        if (building) {
+            building.visible = visible;
+        }
+    }
+
+    async loadBuildingModel(group, type, colors) {
         // Normalize building type
         const canonicalType = normalizeBuildingType(type);
         const dims = BUILDING_DIMENSIONS[canonicalType];
 
-        const modelPath = BUILDING_MODELS[canonicalType] || BUILDING_MODELS.base;
+        // Buildings without a model file yet are built from primitives
+        if (!BUILDING_MODELS[canonicalType]) {
+            group.add(this.createFallbackBuilding(canonicalType, colors));
+            return;
+        }
+
+        const modelPath = BUILDING_MODELS[canonicalType];
         const scale = dims.visualScale;
 
         try {
             const model = await modelLoader.load(modelPath);
             model.scale.setScalar(scale);
-            modelLoader.applyFactionColor(model, this.colors.primary);
+            modelLoader.applyFactionColor(model, colors.primary);
 
             // Dynamic measuring removed as per user request to use central config
             // Centering the model based on its bounding box
@@ -162,16 +186,18 @@ export class BuildingRenderer {
             }
         } catch (error) {
             console.error(`[BuildingRenderer] Failed to load building model ${type} (canonical: ${canonicalType}):`, error);
-            group.add(this.createFallbackBuilding(canonicalType));
+            group.add(this.createFallbackBuilding(canonicalType, colors));
         }
     }
 
-    createFallbackBuilding(type) {
+    createFallbackBuilding(type, colors) {
+        if (type === 'hydraliskDen') return this.createHydraliskDenModel(colors);
+
         // Simple procedural fallback
         const size = type === 'base' ? 4 : 2;
         const geometry = new THREE.BoxGeometry(size, size, size);
         const material = new THREE.MeshStandardMaterial({
-            color: this.colors.secondary,
+            color: colors.secondary,
             roughness: 0.5,
             metalness: 0.3
         });
@@ -180,6 +206,35 @@ export class BuildingRenderer {
         return mesh;
     }
 
+    // Hydralisk Den: a low organic mound ringed with spines
+    createHydraliskDenModel(colors) {
+        const group = new THREE.Group();
+        const fleshMaterial = new THREE.MeshStandardMaterial({
+            color: colors.primary,
+            roughness: 0.7,
+            metalness: 0.1,
+            emissive: colors.emissive,
+            emissiveIntensity: 0.2
+        });
+        const spineMaterial = new THREE.MeshStandardMaterial({ color: colors.secondary, roughness: 0.4, metalness: 0.3 });
+
+        const mound = new THREE.Mesh(new THREE.SphereGeometry(2.3, 16, 10, 0, Math.PI * 2, 0, Math.PI / 2), fleshMaterial);
+        mound.scale.y = 0.8;
+        mound.castShadow = true;
+        group.add(mound);
+
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2;
+            const spine = new THREE.Mesh(new THREE.ConeGeometry(0.25, 1.6, 6), spineMaterial);
+            spine.position.set(Math.cos(angle) * 1.5, 1.6, Math.sin(angle) * 1.5);
+            spine.rotation.set(Math.sin(angle) * 0.5, 0, -Math.cos(angle) * 0.5); // Lean outwards
+            spine.castShadow = true;
+            group.add(spine);
+        }
+
+        return group;
+    }
+
     createDebugCollisionBox(group, type) {
         const dims = getBuildingDimensions(type);
         const w = dims.collisionWidth || 5;
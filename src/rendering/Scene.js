@@ -92,6 +92,18 @@ export class GameScene {
         window.addEventListener('resize', this.onResizeHandler);
     }
 
+    // Fit the grid to the map being played
+    setMapSize(size) {
+        const visible = this.gridHelper.visible;
+        this.scene.remove(this.gridHelper);
+        this.gridHelper.dispose();
+
+        this.gridHelper = new THREE.GridHelper(size, size / 5, 0x1a1a2e, 0x0f0f1a);
+        this.gridHelper.position.y = 0.01;
+        this.gridHelper.visible = visible;
+        this.scene.add(this.gridHelper);
+    }
+
     // Hide/show grid (for Zerg faction which uses creep)
     setGridVisible(visible) {
         if (this.gridHelper) {
@@ -237,6 +249,13 @@ export class GameScene {
     setCameraTarget(x, y, z) {
         this.controls.target.set(x, y, z);
     }
+
+    // Look at a point on the ground, keeping the current viewing angle and distance
+    focusOn(x, z, y = 0) {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        this.controls.target.set(x, y, z);
+        this.camera.position.set(x, y, z).add(offset);
+    }
 }
 
 export default GameScene;
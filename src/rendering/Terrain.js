@@ -4,14 +4,30 @@
 
 import * as THREE from 'three';
 import { modelLoader } from './ModelLoader.js';
+import { UNEXPLORED, EXPLORED } from '../game/Visibility.js';
+
+// Fog darkness (0-255 alpha) for unexplored and explored-but-not-visible ground
+const FOG_ALPHA = {
+    [UNEXPLORED]: 220,
+    [EXPLORED]: 128
+};
+
+// Ground colour from low ground up to high ground
+const TERRAIN_COLORS = {
+    low: new THREE.Color(0x1a1a2e),
+    high: new THREE.Color(0x2c2c48)
+};
+const HIGH_GROUND_SHADE_HEIGHT = 4;
 
 export class TerrainRenderer {
     constructor(scene, faction = null) {
         this.scene = scene;
         this.faction = faction;
         this.terrainMesh = null;
+        this.map = null;
         this.resourceNodes = new Map();
-        this.creepPatches = new Map(); // Track creep terrain patches for Zerg
+        this.fogMesh = null;
+        this.fogVersion = -1;
 
         // Preload resource models
         this.preloadResources();
@@ -25,29 +41,17 @@ export class TerrainRenderer {
         await modelLoader.preloadModels(modelsToLoad);
     }
 
-    createTerrain() {
-        // Main ground plane with gradient material
-        const groundGeometry = new THREE.PlaneGeometry(200, 200, 50, 50);
-
-        // Add some subtle terrain variation
-        const vertices = groundGeometry.attributes.position.array;
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 1];
-
-            const distance = Math.sqrt(x * x + z * z);
-            const height = Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5;
+    // Ground mesh for the map: one vertex per heightmap point, shaded lighter on high
+    // ground and darker on cliffs and rocks. The map editor leaves out the base platform.
+    createTerrain(map, { platform = true } = {}) {
+        this.map = map;
 
-            const flattenRadius = 15;
-            const flattenFactor = Math.max(0, 1 - distance / flattenRadius);
-
-            vertices[i + 2] = height * (1 - flattenFactor);
-        }
-
-        groundGeometry.computeVertexNormals();
+        const groundGeometry = new THREE.PlaneGeometry(map.size, map.size, map.resolution, map.resolution);
+        groundGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(map.heights.length * 3), 3));
+        this.shapeTerrain(groundGeometry);
 
         const groundMaterial = new THREE.MeshStandardMaterial({
-            color: 0x1a1a2e,
+            vertexColors: true,
             roughness: 0.9,
             metalness: 0.1
         });
@@ -57,7 +61,44 @@ export class TerrainRenderer {
         this.terrainMesh.receiveShadow = true;
         this.scene.addObject('terrain', this.terrainMesh);
 
-        this.addPlatforms();
+        if (platform) this.addPlatforms();
+    }
+
+    // Redraw the ground after the map's heights or blocked cells changed (map editor),
+    // keeping resource nodes on the ground
+    updateTerrain() {
+        if (!this.terrainMesh) return;
+
+        this.shapeTerrain(this.terrainMesh.geometry);
+        this.resourceNodes.forEach(({ group, data }) => {
+            group.position.y = this.getTerrainHeight(data.x, data.z) + 0.5;
+        });
+    }
+
+    // Vertex heights and colours from the map
+    shapeTerrain(geometry) {
+        const map = this.map;
+        const vertices = geometry.attributes.position.array;
+        const colors = geometry.attributes.color.array;
+        const color = new THREE.Color();
+
+        // Plane rows run from -z to +z once rotated flat, so vertex i is heights[i]
+        for (let i = 0; i < map.heights.length; i++) {
+            const height = map.heights[i];
+            vertices[i * 3 + 2] = height;
+
+            // Shade by the cell on the vertex's +x/+z side (the last row and column by the one before)
+            const x = Math.min(vertices[i * 3], -map.origin - map.cellSize / 2);
+            const z = Math.min(-vertices[i * 3 + 1], -map.origin - map.cellSize / 2);
+            color.lerpColors(TERRAIN_COLORS.low, TERRAIN_COLORS.high, Math.min(1, height / HIGH_GROUND_SHADE_HEIGHT));
+            if (map.isBlocked(x, z)) color.multiplyScalar(0.6);
+            color.toArray(colors, i * 3);
+        }
+
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere(); // Raycasts skip meshes outside their bounds
     }
 
     addPlatforms() {
@@ -75,15 +116,17 @@ export class TerrainRenderer {
             emissiveIntensity: 0.2
         });
 
+        // Under the local player's start location
+        const start = this.map.startLocations[0];
         const basePlatform = new THREE.Mesh(platformGeometry, platformMaterial);
-        basePlatform.position.y = 0.25;
+        basePlatform.position.set(start.x, this.getTerrainHeight(start.x, start.z) + 0.25, start.z);
         basePlatform.receiveShadow = true;
         this.scene.addObject('basePlatform', basePlatform);
     }
 
     createMineralPatch(data) {
         const group = new THREE.Group();
-        group.position.set(data.x, 0.5, data.z);
+        group.position.set(data.x, this.getTerrainHeight(data.x, data.z) + 0.5, data.z);
 
         // Load mineral model
         this.loadResourceModel(group, '/models/mineral.glb', 1.5, 0x00d4ff);
@@ -110,7 +153,7 @@ export class TerrainRenderer {
 
     createGasGeyser(data) {
         const group = new THREE.Group();
-        group.position.set(data.x, 0.5, data.z);
+        group.position.set(data.x, this.getTerrainHeight(data.x, data.z) + 0.5, data.z);
 
         // Load geyser model
         this.loadResourceModel(group, '/models/geyser.glb', 2.0, 0x3a3a3a).then(() => {
@@ -169,6 +212,12 @@ export class TerrainRenderer {
         return group;
     }
 
+    removeResourceNode(id) {
+        if (!this.resourceNodes.has(id)) return;
+        this.scene.removeObject(id);
+        this.resourceNodes.delete(id);
+    }
+
     async loadResourceModel(group, path, scale, color) {
         try {
             const model = await modelLoader.load(path);
@@ -245,15 +294,14 @@ export class TerrainRenderer {
     }
 
     // ============== UNIFIED MERGED CREEP SYSTEM ==============
-    // Single merged mesh that combines all creep circles into one organic shape
-
-    static HATCHERY_CREEP_RADIUS = 40; // Doubled from 20
-    static CREEP_COLONY_RADIUS = 20;   // Doubled from 10 (half of Hatchery)
+    // Single merged mesh that combines all creep circles into one organic shape. How far
+    // creep has spread is game state (gameState.creepSources); this only draws it.
 
     // Initialize creep system
     initCreepSystem() {
         this.creepSources = this.creepSources || new Map(); // {buildingId: {x, z, radius}}
         this.creepMesh = this.creepMesh || null;
+        this.creepDirty = this.creepDirty || false;
 
         if (!this.creepMaterial) {
             this.creepMaterial = new THREE.MeshStandardMaterial({
@@ -269,65 +317,24 @@ export class TerrainRenderer {
         }
     }
 
-    // Add a creep source and regenerate the unified mesh
-    createCreep(buildingId, x, z, radius = 8, isBase = false) {
+    // Add or resize a creep source (radius is how far it has spread). The mesh is rebuilt
+    // once per frame at most, however many sources grew.
+    createCreep(buildingId, x, z, radius) {
         this.initCreepSystem();
-
-        // Determine radius based on building type
-        const creepRadius = isBase ?
-            TerrainRenderer.HATCHERY_CREEP_RADIUS :
-            TerrainRenderer.CREEP_COLONY_RADIUS;
-
-        // Store the creep source
-        this.creepSources.set(buildingId, { x, z, radius: creepRadius, isBase });
-
-        // Also store in creepPatches for isOnCreep checks
-        this.creepPatches.set(buildingId, { x, z, radius: creepRadius, isBase });
-
-        // Regenerate the unified mesh
-        this.regenerateCreepMesh();
-
-        console.log(`[Creep] Added ${isBase ? 'Hatchery' : 'Colony'} at (${x}, ${z}) radius ${creepRadius}`);
+        this.creepSources.set(buildingId, { x, z, radius });
+        this.creepDirty = true;
     }
 
-    // Remove a creep source and regenerate
+    // Remove a creep source once it has fully receded
     removeCreep(buildingId) {
-        if (this.creepSources?.has(buildingId)) {
-            this.creepSources.delete(buildingId);
-            this.creepPatches.delete(buildingId);
-            this.regenerateCreepMesh();
-            console.log(`[Creep] Removed creep for building ${buildingId}`);
+        if (this.creepSources?.delete(buildingId)) {
+            this.creepDirty = true;
         }
     }
 
-    // Get terrain height at any world position (matching the terrain generation formula)
+    // Ground height at any world position
     getTerrainHeight(x, z) {
-        const distance = Math.sqrt(x * x + z * z);
-        const height = Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5;
-
-        const flattenRadius = 15;
-        const flattenFactor = Math.max(0, 1 - distance / flattenRadius);
-
-        return height * (1 - flattenFactor);
-    }
-
-    // Check if a position is on any creep source
-    isOnCreep(x, z) {
-        if (!this.creepPatches || this.creepPatches.size === 0) {
-            return false;
-        }
-
-        for (const [id, source] of this.creepPatches) {
-            const dx = x - source.x;
-            const dz = z - source.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-
-            // Allow building within 95% of radius
-            if (distance <= source.radius * 0.95) {
-                return true;
-            }
-        }
-        return false;
+        return this.map ? this.map.getHeight(x, z) : 0;
     }
 
     // Check if a point is inside any creep source
@@ -461,8 +468,68 @@ export class TerrainRenderer {
         return geometry;
     }
 
-    // Animate creep with pulsing effect
+    // ============== FOG OF WAR ==============
+
+    // Dark overlay just above the ground, one texel per visibility cell
+    createFog(visibility) {
+        const map = this.map;
+        const size = visibility.width;
+        const texture = new THREE.DataTexture(new Uint8Array(size * size * 4), size, size, THREE.RGBAFormat);
+        texture.magFilter = THREE.LinearFilter; // Soft edges around sight circles
+        texture.minFilter = THREE.LinearFilter;
+
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            map: texture,
+            transparent: true,
+            depthWrite: false
+        });
+
+        // Draped over the terrain so it covers high ground as well as low
+        const geometry = new THREE.PlaneGeometry(map.size, map.size, map.resolution, map.resolution);
+        const vertices = geometry.attributes.position.array;
+        for (let i = 0; i < map.heights.length; i++) {
+            vertices[i * 3 + 2] = map.heights[i];
+        }
+
+        this.fogMesh = new THREE.Mesh(geometry, material);
+        this.fogMesh.rotation.x = -Math.PI / 2;
+        this.fogMesh.position.y = 0.7; // Above creep and platforms
+        this.fogMesh.renderOrder = 1;
+        this.fogMesh.raycast = () => {}; // Clicks go through to the ground
+        this.scene.addObject('fogOfWar', this.fogMesh);
+
+        this.fogVersion = -1;
+        this.updateFog(visibility);
+    }
+
+    // Copy the visibility grid into the fog texture when it has changed
+    updateFog(visibility) {
+        if (!this.fogMesh || visibility.version === this.fogVersion) return;
+        this.fogVersion = visibility.version;
+
+        const size = visibility.width;
+        const texture = this.fogMesh.material.map;
+        const data = texture.image.data;
+
+        for (let row = 0; row < size; row++) {
+            // The plane is rotated flat, so texture rows run from +z to -z
+            const textureRow = size - 1 - row;
+            for (let col = 0; col < size; col++) {
+                const state = visibility.cells[row * size + col];
+                data[(textureRow * size + col) * 4 + 3] = FOG_ALPHA[state] ?? 0;
+            }
+        }
+        texture.needsUpdate = true;
+    }
+
+    // Animate creep with pulsing effect, redrawing it first if it grew or receded
     animateCreep(time) {
+        if (this.creepDirty) {
+            this.creepDirty = false;
+            this.regenerateCreepMesh();
+        }
+
         if (this.creepMaterial) {
             const pulse = 0.3 + Math.sin(time * 1.0) * 0.1;
             this.creepMaterial.emissiveIntensity = pulse;
@@ -483,12 +550,17 @@ export class TerrainRenderer {
         }
 
         this.creepSources?.clear();
-        this.creepPatches.clear();
+        this.creepDirty = false;
 
         if (this.creepMaterial) {
             this.creepMaterial.dispose();
             this.creepMaterial = null;
         }
+
+        if (this.fogMesh) {
+            this.scene.removeObject('fogOfWar'); // Also disposes the fog texture
+            this.fogMesh = null;
+        }
     }
 }
 
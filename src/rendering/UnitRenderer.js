@@ -5,6 +5,7 @@
 import * as THREE from 'three';
 import { modelLoader } from './ModelLoader.js';
 import { getUnitConfig } from '../game/UnitConfig.js';
+import gameState, { PLAYER_ID } from '../game/GameState.js';
 
 // Faction-specific colors
 const FACTION_COLORS = {
@@ -13,6 +14,9 @@ const FACTION_COLORS = {
     protoss: { primary: 0xffcc00, secondary: 0x886600, emissive: 0x664400 }
 };
 
+// Units owned by anyone other than the local player
+const ENEMY_COLORS = { primary: 0xcc2222, secondary: 0x661111, emissive: 0x550000 };
+
 // Model paths for each faction's worker
 const WORKER_MODELS = {
     zerg: '/models/units/worker_zerg.glb',
@@ -30,6 +34,15 @@ const COMBAT_MODELS = {
     overlord: '/models/units/overlord.glb'
 };
 
+// Units without a model file yet, built from primitives instead (builder method names)
+const PROCEDURAL_MODELS = {
+    tank: 'createTankModel',
+    hydralisk: 'createHydraliskModel',
+    immortal: 'createImmortalModel'
+};
+
+const SHIELD_SHIMMER_DURATION = 0.4; // Seconds a shield hit stays visible
+
 // Model scales are now managed in UnitConfig.js
 
 export class UnitRenderer {
@@ -46,8 +59,11 @@ export class UnitRenderer {
     }
 
     async preloadModels() {
+        // Worker models for every faction in the match
+        const workerModels = [...gameState.players.values()]
+            .map(player => WORKER_MODELS[player.faction?.id] || WORKER_MODELS.human);
         const modelsToLoad = [
-            WORKER_MODELS[this.faction.id] || WORKER_MODELS.human,
+            ...new Set(workerModels),
             ...Object.values(COMBAT_MODELS)
         ];
 
@@ -64,16 +80,26 @@ export class UnitRenderer {
         });
     }
 
+    // Own units wear the faction colours; everyone else's are painted in enemy red
+    getColors(unitData) {
+        return gameState.getOwner(unitData) === PLAYER_ID ? this.colors : ENEMY_COLORS;
+    }
+
+    getFactionOf(unitData) {
+        return gameState.getFactionFor(gameState.getOwner(unitData)) || this.faction;
+    }
+
     async createWorker(unitData) {
         const config = getUnitConfig('worker');
         const group = new THREE.Group();
+        const colors = this.getColors(unitData);
 
-        const modelPath = WORKER_MODELS[this.faction.id] || WORKER_MODELS.human;
+        const modelPath = WORKER_MODELS[this.getFactionOf(unitData).id] || WORKER_MODELS.human;
 
         try {
             const model = await modelLoader.load(modelPath);
             model.scale.setScalar(config.visualScale);
-            modelLoader.applyFactionColor(model, this.colors.primary);
+            modelLoader.applyFactionColor(model, colors.primary);
 
             // Center the model within the group to align with ring and hitbox
             const box = new THREE.Box3().setFromObject(model);
@@ -84,7 +110,7 @@ export class UnitRenderer {
             group.add(model);
         } catch (error) {
             console.error('[UnitRenderer] Failed to load worker model, using fallback');
-            group.add(this.createFallbackWorker());
+            group.add(this.createFallbackWorker(colors));
         }
 
         // Add cargo visual (hidden by default)
@@ -117,7 +143,7 @@ export class UnitRenderer {
         this.createDebugCollisionBox(group, config.radius, config.height);
 
         // Set position
-        group.position.set(unitData.x, 0.5, unitData.z);
+        this.placeOnGround(group, unitData.x, unitData.z, 0.5);
         group.userData.unitData = unitData;
 
         this.scene.addObject(unitData.id, group);
@@ -164,15 +190,15 @@ export class UnitRenderer {
         return group;
     }
 
-    createFallbackWorker() {
+    createFallbackWorker(colors) {
         // Simple procedural fallback if model fails to load
         const group = new THREE.Group();
         const bodyGeometry = new THREE.SphereGeometry(0.6, 12, 8);
         const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: this.colors.primary,
+            color: colors.primary,
             roughness: 0.4,
             metalness: 0.5,
-            emissive: this.colors.emissive,
+            emissive: colors.emissive,
             emissiveIntensity: 0.3
         });
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
@@ -187,14 +213,15 @@ export class UnitRenderer {
         const config = getUnitConfig('larva');
         const scale = config.visualScale;
         const group = new THREE.Group();
+        const colors = this.getColors(unitData);
 
         // Worm body - segmented appearance
         const segments = 5;
         const segmentMaterial = new THREE.MeshStandardMaterial({
-            color: this.colors.primary,
+            color: colors.primary,
             roughness: 0.5,
             metalness: 0.2,
-            emissive: this.colors.emissive,
+            emissive: colors.emissive,
             emissiveIntensity: 0.4
         });
 
@@ -248,7 +275,7 @@ export class UnitRenderer {
         this.createDebugCollisionBox(group, config.radius, config.height);
 
         // Position
-        group.position.set(unitData.x, 0, unitData.z);
+        this.placeOnGround(group, unitData.x, unitData.z, 0);
         group.userData.unitData = unitData;
         group.userData.isLarva = true;
         group.userData.wiggleOffset = Math.random() * Math.PI * 2; // Random start phase
@@ -267,14 +294,15 @@ export class UnitRenderer {
     // Create an evolution egg (when larva is evolving into a unit)
     createEvolutionEgg(eggData) {
         const group = new THREE.Group();
+        const colors = this.getColors(eggData);
 
         // Main egg shell - translucent purple
         const eggGeometry = new THREE.SphereGeometry(1.2, 16, 12);
         const eggMaterial = new THREE.MeshStandardMaterial({
-            color: this.colors.primary,
+            color: colors.primary,
             roughness: 0.3,
             metalness: 0.4,
-            emissive: this.colors.emissive,
+            emissive: colors.emissive,
             emissiveIntensity: 0.6,
             transparent: true,
             opacity: 0.7
@@ -302,7 +330,7 @@ export class UnitRenderer {
 
         // Veins/texture on egg surface
         const veinMaterial = new THREE.MeshBasicMaterial({
-            color: this.colors.secondary,
+            color: colors.secondary,
             transparent: true,
             opacity: 0.5
         });
@@ -339,7 +367,7 @@ export class UnitRenderer {
         this.createDebugCollisionBox(group, config.radius, config.height);
 
         // Position
-        group.position.set(eggData.x, 0, eggData.z);
+        this.placeOnGround(group, eggData.x, eggData.z, 0);
         group.userData.unitData = eggData;
         group.userData.isEvolutionEgg = true;
         group.userData.pulseOffset = Math.random() * Math.PI * 2;
@@ -352,6 +380,7 @@ export class UnitRenderer {
 
     async createCombatUnit(unitData) {
         const group = new THREE.Group();
+        const colors = this.getColors(unitData);
 
         const unitType = unitData.type || 'marine';
         const modelPath = COMBAT_MODELS[unitType] || COMBAT_MODELS.marine;
@@ -359,9 +388,10 @@ export class UnitRenderer {
         const scale = config.visualScale;
 
         try {
-            const model = await modelLoader.load(modelPath);
+            const builder = PROCEDURAL_MODELS[unitType];
+            const model = builder ? this[builder](colors) : await modelLoader.load(modelPath);
             model.scale.setScalar(scale);
-            modelLoader.applyFactionColor(model, this.colors.primary);
+            modelLoader.applyFactionColor(model, colors.primary);
 
             // Center the model within the group to align with ring and hitbox
             const box = new THREE.Box3().setFromObject(model);
@@ -372,7 +402,7 @@ export class UnitRenderer {
             group.add(model);
         } catch (error) {
             console.error('[UnitRenderer] Failed to load combat model, using fallback');
-            group.add(this.createFallbackCombatUnit());
+            group.add(this.createFallbackCombatUnit(colors));
         }
 
         // Add invisible selection hitbox
@@ -399,7 +429,7 @@ export class UnitRenderer {
 
         // Determine Y position - flying units use flyHeight
         const yPosition = config.flyHeight || 0.5;
-        group.position.set(unitData.x, yPosition, unitData.z);
+        this.placeOnGround(group, unitData.x, unitData.z, yPosition);
         group.userData.unitData = unitData;
 
         // Mark flying units for animation
@@ -414,14 +444,14 @@ export class UnitRenderer {
         return group;
     }
 
-    createFallbackCombatUnit() {
+    createFallbackCombatUnit(colors) {
         const group = new THREE.Group();
         const bodyGeometry = new THREE.BoxGeometry(0.8, 1.4, 0.6);
         const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: this.colors.primary,
+            color: colors.primary,
             roughness: 0.4,
             metalness: 0.5,
-            emissive: this.colors.emissive,
+            emissive: colors.emissive,
             emissiveIntensity: 0.2
         });
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
@@ -431,6 +461,99 @@ export class UnitRenderer {
         return group;
     }
 
+    // Siege Tank: tracked hull, turret and a long barrel
+    createTankModel(colors) {
+        const group = new THREE.Group();
+        const hullMaterial = new THREE.MeshStandardMaterial({ color: colors.secondary, roughness: 0.5, metalness: 0.6 });
+        const trackMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.9, metalness: 0.2 });
+        const turretMaterial = new THREE.MeshStandardMaterial({ color: colors.primary, roughness: 0.4, metalness: 0.6 });
+
+        [-0.8, 0.8].forEach(side => {
+            const track = new THREE.Mesh(new THREE.BoxGeometry(2.6, 0.5, 0.45), trackMaterial);
+            track.position.set(0, 0.25, side);
+            group.add(track);
+        });
+
+        const hull = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.6, 1.4), hullMaterial);
+        hull.position.y = 0.7;
+        group.add(hull);
+
+        const turret = new THREE.Mesh(new THREE.CylinderGeometry(0.55, 0.65, 0.45, 12), turretMaterial);
+        turret.position.set(-0.2, 1.2, 0);
+        group.add(turret);
+
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.09, 0.12, 1.8, 8), turretMaterial);
+        barrel.rotation.z = Math.PI / 2;
+        barrel.position.set(0.9, 1.25, 0);
+        group.add(barrel);
+
+        group.traverse(child => { child.castShadow = true; });
+        return group;
+    }
+
+    // Hydralisk: upright serpent body, hooded head and two scythe arms
+    createHydraliskModel(colors) {
+        const group = new THREE.Group();
+        const bodyMaterial = new THREE.MeshStandardMaterial({ color: colors.primary, roughness: 0.6, metalness: 0.1 });
+        const bladeMaterial = new THREE.MeshStandardMaterial({ color: colors.secondary, roughness: 0.3, metalness: 0.4 });
+
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.6, 1.6, 10), bodyMaterial);
+        body.position.y = 0.8;
+        group.add(body);
+
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.4, 10, 8), bodyMaterial);
+        head.scale.set(1.2, 0.8, 1);
+        head.position.set(0.15, 1.8, 0);
+        group.add(head);
+
+        const hood = new THREE.Mesh(new THREE.ConeGeometry(0.7, 0.9, 8), bladeMaterial);
+        hood.scale.set(0.3, 1, 1);
+        hood.rotation.z = Math.PI / 2;
+        hood.position.set(-0.25, 1.9, 0);
+        group.add(hood);
+
+        [-0.45, 0.45].forEach(side => {
+            const blade = new THREE.Mesh(new THREE.ConeGeometry(0.1, 1.0, 6), bladeMaterial);
+            blade.rotation.z = -Math.PI / 3;
+            blade.position.set(0.5, 1.3, side);
+            group.add(blade);
+        });
+
+        group.traverse(child => { child.castShadow = true; });
+        return group;
+    }
+
+    // Immortal: armoured body on four legs with twin cannons
+    createImmortalModel(colors) {
+        const group = new THREE.Group();
+        const armorMaterial = new THREE.MeshStandardMaterial({ color: colors.primary, roughness: 0.3, metalness: 0.7 });
+        const frameMaterial = new THREE.MeshStandardMaterial({ color: colors.secondary, roughness: 0.5, metalness: 0.5 });
+
+        [[-0.5, -0.5], [-0.5, 0.5], [0.5, -0.5], [0.5, 0.5]].forEach(([x, z]) => {
+            const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.14, 1.0, 6), frameMaterial);
+            leg.position.set(x, 0.5, z);
+            group.add(leg);
+        });
+
+        const body = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.7, 1.3), armorMaterial);
+        body.position.y = 1.3;
+        group.add(body);
+
+        const dome = new THREE.Mesh(new THREE.SphereGeometry(0.45, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2), frameMaterial);
+        dome.position.y = 1.65;
+        group.add(dome);
+
+        [-0.35, 0.35].forEach(side => {
+            const cannon = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 0.9, 8), frameMaterial);
+            cannon.rotation.z = Math.PI / 2;
+            cannon.position.set(0.9, 1.35, side);
+            group.add(cannon);
+        });
+
+        group.traverse(child => { child.castShadow = true; });
+        return group;
+    }
+
     createSelectionRing() {
         const geometry = new THREE.RingGeometry(0.8, 1, 32);
         const material = new THREE.MeshBasicMaterial({
@@ -463,6 +586,51 @@ export class UnitRenderer {
         group.userData.debugCollisionBox = mesh;
     }
 
+    // Flash a shield bubble around a unit whose shields just took a hit
+    showShieldHit(unitId) {
+        const group = this.units.get(unitId);
+        if (!group) return;
+
+        if (!group.userData.shieldBubble) {
+            const config = getUnitConfig(group.userData.unitData.type);
+            const geometry = new THREE.SphereGeometry(Math.max(config.radius * 1.4, config.height * 0.7), 16, 12);
+            const material = new THREE.MeshBasicMaterial({
+                color: 0x66ccff,
+                transparent: true,
+                opacity: 0,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+            const bubble = new THREE.Mesh(geometry, material);
+            bubble.position.y = config.height / 2;
+            bubble.visible = false;
+            group.add(bubble);
+            group.userData.shieldBubble = bubble;
+        }
+
+        // The shimmer starts on the next animation frame
+        group.userData.shieldHitTime = null;
+        group.userData.shieldHit = true;
+    }
+
+    animateShieldHit(group, time) {
+        const bubble = group.userData.shieldBubble;
+        if (group.userData.shieldHitTime === null) {
+            group.userData.shieldHitTime = time;
+        }
+
+        const t = (time - group.userData.shieldHitTime) / SHIELD_SHIMMER_DURATION;
+        if (t >= 1) {
+            bubble.visible = false;
+            group.userData.shieldHit = false;
+            return;
+        }
+
+        bubble.visible = true;
+        bubble.material.opacity = 0.45 * (1 - t) * (0.8 + Math.sin(time * 40) * 0.2);
+        bubble.scale.setScalar(1 + Math.sin(t * Math.PI) * 0.1);
+    }
+
     setSelected(unitId, selected) {
         const unit = this.units.get(unitId);
         if (unit && unit.userData.selectionRing) {
@@ -470,15 +638,47 @@ export class UnitRenderer {
         }
     }
 
+    // Hide units under the fog of war
+    setUnitVisible(unitId, visible) {
+        const unit = this.units.get(unitId);
+        if (unit) {
+            unit.visible = visible;
+        }
+    }
+
+    // Position a new unit model `height` above the terrain at (x, z)
+    placeOnGround(group, x, z, height) {
+        const groundY = gameState.getTerrainHeight(x, z);
+        group.position.set(x, groundY + height, z);
+        group.userData.groundY = groundY;
+    }
+
     updateUnitPosition(unitId, x, z) {
         const unit = this.units.get(unitId);
         if (unit) {
             unit.position.x = x;
             unit.position.z = z;
+
+            // Follow the ground up and down ramps, keeping any animation offset
+            const groundY = gameState.getTerrainHeight(x, z);
+            unit.position.y += groundY - (unit.userData.groundY || 0);
+            unit.userData.groundY = groundY;
         }
     }
 
-    removeUnit(unitId) {
+    updateUnitRotation(unitId, angle) {
+        const unit = this.units.get(unitId);
+        if (unit) {
+            // Store base rotation for animations that wiggle around it (larva, mining)
+            unit.userData.baseRotationY = angle;
+            // Apply rotation directly for non-animated units
+            if (!unit.userData.isLarva) {
+                unit.rotation.y = angle;
+            }
+        }
+    }
+
+        removeUnit(unitId) {
         const unit = this.units.get(unitId);
         if (unit) {
             this.scene.removeObject(unitId);
@@ -491,6 +691,10 @@ export class UnitRenderer {
             const data = group.userData.unitData;
             if (!data) return;
 
+            if (group.userData.shieldHit) {
+                this.animateShieldHit(group, time);
+            }
+
             // Evolution egg pulsing animation
             if (group.userData.isEvolutionEgg) {
                 const offset = group.userData.pulseOffset || 0;
@@ -530,7 +734,7 @@ export class UnitRenderer {
                 }
 
                 // Visual side-to-side wiggle for the whole larva 
-                // Note: rotation.y is updated by main.js to face movement, 
+                // Note: rotation.y is updated by updateUnitRotation to face movement, 
                 // we add the wiggle offset on top of it.
                 const baseRotation = group.userData.baseRotationY || 0;
                 const wiggleAmount = Math.sin(wiggleTime) * 0.3;
@@ -543,7 +747,7 @@ export class UnitRenderer {
             if (group.userData.isFlying) {
                 const baseHeight = group.userData.baseFlyHeight || 8;
                 const bobAmount = Math.sin(time * 1.5 + group.position.x * 0.1) * 0.5;
-                group.position.y = baseHeight + bobAmount;
+                group.position.y = (group.userData.groundY || 0) + baseHeight + bobAmount;
 
                 // Slight tilt based on movement
                 group.rotation.z = Math.sin(time * 0.8) * 0.05;
@@ -552,8 +756,8 @@ export class UnitRenderer {
             }
 
             // Idle bobbing animation for Protoss
-            if (this.faction.id === 'protoss') {
-                group.position.y = Math.sin(time * 2 + group.position.x) * 0.1;
+            if (this.getFactionOf(data).id === 'protoss') {
+                group.position.y = (group.userData.groundY || 0) + Math.sin(time * 2 + group.position.x) * 0.1;
             }
 
             // Mining animation - gentle wiggle while facing resource
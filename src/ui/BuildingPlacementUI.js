@@ -3,6 +3,7 @@
  */
 
 import gameState from '../game/GameState.js';
+import { getExpansionBuildingType } from '../game/Faction.js';
 
 export class BuildingPlacementUI {
     constructor(onBuildingSelected, onCancel) {
@@ -80,26 +81,30 @@ export class BuildingPlacementUI {
             { type: 'supply', key: 'S', name: faction.buildings?.supply?.name || faction.supplyUnit?.name || 'Supply', cost: faction.buildings?.supply?.cost || faction.supplyUnit?.cost },
             { type: 'barracks', key: 'R', name: faction.buildings?.barracks?.name || 'Barracks', cost: faction.buildings?.barracks?.cost },
             { type: 'factory', key: 'F', name: faction.buildings?.factory?.name || 'Factory', cost: faction.buildings?.factory?.cost },
+            { type: 'hydraliskDen', key: 'D', name: faction.buildings?.hydraliskDen?.name, cost: faction.buildings?.hydraliskDen?.cost },
             { type: 'gasExtractor', key: 'G', name: faction.buildings?.gasExtractor?.name || 'Gas Extractor', cost: faction.buildings?.gasExtractor?.cost }
         ];
 
-        // Zerg can also build additional Hatcheries
-        if (faction.id === 'zerg' && faction.buildings?.hatchery) {
+        // Expansion base: Hatchery, Command Center or Nexus
+        const expansionType = getExpansionBuildingType(faction);
+        if (expansionType) {
             buildings.push({
-                type: 'hatchery',
+                type: expansionType,
                 key: 'H',
-                name: faction.buildings.hatchery.name,
-                cost: faction.buildings.hatchery.cost
+                name: faction.buildings[expansionType].name,
+                cost: faction.buildings[expansionType].cost
             });
         }
 
         return buildings.map(b => {
             if (!b.cost) return '';
-            const canAfford = gameState.canAfford(b.cost);
+            // Locked buildings name the prerequisite they are waiting for
+            const blocker = gameState.getBuildBlocker(b.type);
+            const enabled = !blocker && gameState.canAfford(b.cost);
             return `
-                <button class="building-btn ${canAfford ? '' : 'disabled'}" data-type="${b.type}" ${canAfford ? '' : 'disabled'}>
+                <button class="building-btn ${enabled ? '' : 'disabled'}" data-type="${b.type}" ${enabled ? '' : 'disabled'} ${blocker ? `title="${blocker}"` : ''}>
                     <span class="building-key">${b.key}</span>
-                    <span class="building-name">${b.name}</span>
+                    <span class="building-name">${b.name}${blocker ? `<span class="building-requirement">${blocker}</span>` : ''}</span>
                     <span class="building-cost">${b.cost.minerals}m ${b.cost.gas > 0 ? b.cost.gas + 'g' : ''}</span>
                 </button>
             `;
@@ -178,6 +183,11 @@ export class BuildingPlacementUI {
                 flex: 1;
                 text-align: left;
             }
+            .building-requirement {
+                display: block;
+                color: #ff8800;
+                font-size: 0.75rem;
+            }
             .building-cost {
                 color: var(--text-muted);
                 font-size: 0.85rem;
@@ -47,8 +47,13 @@ export class ChatInterface {
         this.inputField.addEventListener('keypress', this.handlers.onKeyPress);
         this.toggleButton.addEventListener('click', this.handlers.onToggle);
 
-        // Add initial greeting
-        if (this.agent) {
+        // A loaded game picks up the conversation where it was saved
+        if (this.agent?.conversationHistory.length > 0) {
+            this.agent.conversationHistory.forEach(({ role, content }) => {
+                this.addMessage(content, role === 'user' ? 'user' : 'ai');
+            });
+        } else if (this.agent) {
+            // Add initial greeting
             setTimeout(async () => {
                 // Use dynamic AI greeting if available
                 const greeting = await this.agent.generateDynamicGreeting();
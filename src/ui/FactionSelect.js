@@ -1,7 +1,12 @@
 /**
  * Faction Selection UI Component
+ * Also picks the map: a random one of a chosen size, a bundled map or a map file
+ * loaded from disk.
  */
 
+import { parseMapFile, MapError } from '../game/MapFormat.js';
+import { BUNDLED_MAPS } from '../maps/index.js';
+
 export class FactionSelect {
     constructor(onFactionSelected, onBack) {
         this.onFactionSelected = onFactionSelected;
@@ -11,9 +16,16 @@ export class FactionSelect {
         this.cards = document.querySelectorAll('.faction-card');
         this.startBtn = document.getElementById('btn-start-game');
         this.backBtn = document.getElementById('btn-back-menu');
+        this.mapSelect = document.getElementById('map-select');
+        this.mapGroup = document.getElementById('map-select-maps');
+        this.loadMapBtn = document.getElementById('btn-load-map');
+        this.mapFileInput = document.getElementById('map-file');
 
         this.selectedFaction = null;
 
+        // Map file data by option value, bundled maps first then any loaded this session
+        this.mapFiles = new Map();
+
         this.init();
     }
 
@@ -41,10 +53,18 @@ export class FactionSelect {
         // Start button
         this.startBtn.addEventListener('click', () => {
             if (this.selectedFaction && this.onFactionSelected) {
-                this.onFactionSelected(this.selectedFaction);
+                this.onFactionSelected(this.selectedFaction, this.getMapOptions());
             }
         });
 
+        // Map picker
+        BUNDLED_MAPS.forEach(data => this.addMapOption(data, data.name));
+        this.loadMapBtn.addEventListener('click', () => this.mapFileInput.click());
+        this.mapFileInput.addEventListener('change', () => {
+            if (this.mapFileInput.files[0]) this.loadMapFile(this.mapFileInput.files[0]);
+            this.mapFileInput.value = '';
+        });
+
         // Back button
         this.backBtn.addEventListener('click', () => {
             if (this.onBack) this.onBack();
@@ -69,6 +89,39 @@ export class FactionSelect {
         }
     }
 
+    // ============== MAPS ==============
+
+    addMapOption(data, name) {
+        const value = `file:${this.mapFiles.size}`;
+        this.mapFiles.set(value, data);
+
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        this.mapGroup.appendChild(option);
+        return value;
+    }
+
+    // Check a map file from disk and make it the selected map
+    async loadMapFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const map = parseMapFile(data);
+            this.mapSelect.value = this.addMapOption(data, map.name);
+        } catch (e) {
+            console.error('Failed to load map file:', e);
+            const reason = e instanceof MapError ? e.message : 'The file is not valid JSON';
+            alert(`Could not load this map. ${reason}`);
+        }
+    }
+
+    // Options for GameState.startNewGame: { mapSize } for a random map, { map } otherwise
+    getMapOptions() {
+        const value = this.mapSelect.value;
+        if (value.startsWith('random:')) return { mapSize: value.slice('random:'.length) };
+        return { map: parseMapFile(this.mapFiles.get(value)) };
+    }
+
     show() {
         this.screen.classList.add('active');
         this.reset();
@@ -2,7 +2,10 @@
  * In-Game HUD Component
  */
 
-import gameState from '../game/GameState.js';
+import gameState, { PLAYER_ID } from '../game/GameState.js';
+import { issueCommand } from '../game/Commands.js';
+import { normalizeBuildingType } from '../game/BuildingConfig.js';
+import { SaveBrowser } from './SaveBrowser.js';
 
 export class HUD {
     constructor() {
@@ -16,6 +19,9 @@ export class HUD {
         this.selectionPanel = document.getElementById('selection-panel');
         this.selectedInfo = document.getElementById('selected-info');
         this.actionButtons = document.getElementById('action-buttons');
+        this.saturationBases = document.getElementById('saturation-bases');
+        this.autoBalanceToggle = document.getElementById('auto-balance');
+        this.saturationText = null; // Last rendered saturation, to skip redundant redraws
 
         // Production queue panel
         this.productionQueuePanel = document.getElementById('production-queue-panel');
@@ -37,14 +43,28 @@ export class HUD {
                 }
             },
             onMenu: () => this.showInGameMenu(),
+            onAutoBalance: () => issueCommand({ type: 'autoBalance', enabled: this.autoBalanceToggle.checked }),
             onResources: (data) => this.updateResources(data),
             onTime: () => this.updateTimer(),
-            onProduction: (item) => this.showNotification(`${item.name} ready!`)
+            onProduction: (item) => {
+                // The opponent's production is none of our business
+                if (gameState.getOwner(item) !== PLAYER_ID) return;
+
+                if (item.category === 'research') {
+                    this.showNotification(`${item.name} researched!`);
+                    // Unlocks the next upgrades in the selected building's research panel
+                    const building = gameState.findEntity(this.selectedBuildingId);
+                    if (building) this.showBuildingSelection(building, this.onTrainUnit, this.onResearch);
+                } else {
+                    this.showNotification(`${item.name} ready!`);
+                }
+            }
         };
 
         // UI buttons
         this.saveBtn.addEventListener('click', this.handlers.onSave);
         this.menuBtn.addEventListener('click', this.handlers.onMenu);
+        this.autoBalanceToggle.addEventListener('change', this.handlers.onAutoBalance);
 
         // Subscribe to game state updates
         gameState.on('resourcesUpdated', this.handlers.onResources);
@@ -56,6 +76,7 @@ export class HUD {
         // Remove UI listeners
         this.saveBtn.removeEventListener('click', this.handlers.onSave);
         this.menuBtn.removeEventListener('click', this.handlers.onMenu);
+        this.autoBalanceToggle.removeEventListener('change', this.handlers.onAutoBalance);
 
         // Unsubscribe from game state
         gameState.off('resourcesUpdated', this.handlers.onResources);
@@ -73,6 +94,35 @@ export class HUD {
 
         // Update egg progress if an egg is selected
         this.updateEggProgressDisplay();
+
+        // Update health of the selected unit/building
+        this.updateHealthDisplay();
+
+        this.updateSaturation();
+    }
+
+    // Workers per base against the optimum: amber below, green at it, red past it
+    updateSaturation() {
+        this.autoBalanceToggle.checked = !!gameState.getPlayer(PLAYER_ID)?.autoBalanceWorkers;
+
+        const bases = gameState.getBaseSaturation(PLAYER_ID);
+        const text = JSON.stringify(bases);
+        if (text === this.saturationText) return;
+        this.saturationText = text;
+
+        const count = (icon, workers, optimal) => {
+            const level = workers < optimal ? 'under' : workers === optimal ? 'optimal' : 'over';
+            return `<span class="saturation-count ${level}">${icon} ${workers}/${optimal}</span>`;
+        };
+        this.saturationBases.innerHTML = bases.length === 0
+            ? '<div class="saturation-base">No finished bases</div>'
+            : bases.map(base => `
+                <div class="saturation-base">
+                    <span class="saturation-name">${base.name}</span>
+                    ${count('💎', base.mineralWorkers, base.optimalMineralWorkers)}
+                    ${base.geysers > 0 ? count('🔥', base.gasWorkers, base.optimalGasWorkers) : ''}
+                </div>
+            `).join('');
     }
 
     updateResources(data) {
@@ -115,10 +165,12 @@ export class HUD {
             this.selectedInfo.querySelector('.selected-name').textContent = 'Nothing selected';
             this.actionButtons.innerHTML = '';
             this.selectedEggId = null; // Clear egg selection
+            this.showHealth(null);
             return;
         }
 
         this.selectedInfo.querySelector('.selected-name').textContent = entity.name || entity.type;
+        this.showHealth(entity);
 
         // Show relevant action buttons
         this.actionButtons.innerHTML = '';
@@ -148,6 +200,61 @@ export class HUD {
         }
     }
 
+    // Show a health bar (and a shield bar for Protoss) for the selected unit or building
+    showHealth(entity) {
+        let healthEl = this.selectedInfo.querySelector('.selected-health');
+
+        if (!entity || !entity.maxHealth) {
+            healthEl?.remove();
+            this.healthEntity = null;
+            return;
+        }
+
+        if (!healthEl) {
+            healthEl = document.createElement('div');
+            healthEl.className = 'selected-health';
+            healthEl.style.cssText = 'margin-top: 6px;';
+            healthEl.innerHTML = `
+                <div class="selected-shield" style="background: #333; border-radius: 4px; height: 4px; overflow: hidden; margin-bottom: 2px;">
+                    <div class="selected-shield-bar" style="background: #33aaff; height: 100%; width: 100%; transition: width 0.2s;"></div>
+                </div>
+                <div style="background: #333; border-radius: 4px; height: 6px; overflow: hidden;">
+                    <div class="selected-health-bar" style="background: #00ff66; height: 100%; width: 100%; transition: width 0.2s;"></div>
+                </div>
+                <div class="selected-health-text" style="color: #aaa; font-size: 0.75rem; margin-top: 2px;"></div>
+            `;
+            this.selectedInfo.appendChild(healthEl);
+        }
+
+        this.healthEntity = entity;
+        this.updateHealthDisplay();
+    }
+
+    // Update health bar in real-time
+    updateHealthDisplay() {
+        if (!this.healthEntity) return;
+
+        const bar = this.selectedInfo.querySelector('.selected-health-bar');
+        const text = this.selectedInfo.querySelector('.selected-health-text');
+        if (!bar || !text) return;
+
+        const health = Math.max(0, Math.ceil(this.healthEntity.health));
+        const ratio = health / this.healthEntity.maxHealth;
+
+        bar.style.width = `${Math.min(1, ratio) * 100}%`;
+        bar.style.background = ratio > 0.6 ? '#00ff66' : ratio > 0.3 ? '#ffcc00' : '#ff3366';
+        text.textContent = `${health} / ${this.healthEntity.maxHealth}`;
+
+        const shieldEl = this.selectedInfo.querySelector('.selected-shield');
+        const maxShield = this.healthEntity.maxShield;
+        shieldEl.style.display = maxShield ? '' : 'none';
+        if (maxShield) {
+            const shield = Math.max(0, Math.ceil(this.healthEntity.shield));
+            shieldEl.firstElementChild.style.width = `${Math.min(1, shield / maxShield) * 100}%`;
+            text.textContent += `  ·  Shields ${shield} / ${maxShield}`;
+        }
+    }
+
     // Show evolution progress for a selected egg
     showEggProgress(egg) {
         // Store selected egg ID for real-time updates
@@ -270,18 +377,11 @@ export class HUD {
 
             if (!unitConfig) return;
 
-            // Check tech requirements
-            if (unitConfig.requiresBuilding) {
-                const hasBuilding = gameState.buildings.some(b =>
-                    b.type === unitConfig.requiresBuilding && b.isComplete
-                );
-                if (!hasBuilding) return; // Skip - tech not researched
-            }
-
             evolutions.push({
                 type: unitType,
                 config: unitConfig,
-                icon: icon
+                icon: icon,
+                blocker: gameState.getUnitRequirement(unitType) // Tech not built yet
             });
         });
 
@@ -294,8 +394,11 @@ export class HUD {
             const btn = document.createElement('button');
             btn.className = 'action-btn evolution-btn';
             btn.style.cssText = 'display: flex; flex-direction: column; align-items: center; justify-content: center; min-width: 60px; padding: 6px;';
-            btn.style.opacity = canAfford ? '1' : '0.5';
-            btn.title = `Evolve to ${evo.config.name} (${costText})`;
+            btn.style.opacity = canAfford && !evo.blocker ? '1' : '0.5';
+            btn.disabled = !!evo.blocker;
+            btn.title = evo.blocker
+                ? `${evo.config.name}: ${evo.blocker}`
+                : `Evolve to ${evo.config.name} (${costText})`;
 
             // Create structured content with icon, name, and cost
             const iconSpan = document.createElement('span');
@@ -321,7 +424,7 @@ export class HUD {
                     return;
                 }
 
-                const result = gameState.evolveLarva(currentLarva.id, evo.type);
+                const result = issueCommand({ type: 'evolve', larvaId: currentLarva.id, unitType: evo.type });
                 if (result.success) {
                     this.showNotification(`Evolving to ${evo.config.name}...`);
 
@@ -357,7 +460,7 @@ export class HUD {
         this.actionButtons.appendChild(btn);
     }
 
-    showBuildingSelection(building, onTrainUnit) {
+    showBuildingSelection(building, onTrainUnit, onResearch) {
         if (!building) {
             this.showSelection(null);
             this.selectedBuildingId = null;
@@ -366,7 +469,10 @@ export class HUD {
         }
 
         this.selectedBuildingId = building.id;
+        this.onTrainUnit = onTrainUnit;
+        this.onResearch = onResearch;
         this.selectedInfo.querySelector('.selected-name').textContent = building.name || building.type;
+        this.showHealth(building);
         this.actionButtons.innerHTML = '';
 
         // Get faction data for production options
@@ -378,8 +484,8 @@ export class HUD {
 
         const buildingType = building.type?.toLowerCase();
 
-        // Base buildings can train workers (except Zerg which uses larva)
-        if (buildingType === 'base' || buildingType === 'hatchery') {
+        // Base buildings, expansions included, can train workers (Zerg through larva)
+        if (gameState.isBase(building)) {
             // Zerg Hatchery - show production options that consume larva
             if (faction.id === 'zerg') {
                 if (building.isComplete) {
@@ -416,18 +522,14 @@ export class HUD {
                             const hasSupply = unitType === 'overlord' || gameState.canAddPopulation(unitConfig.population || 1);
 
                             // Check tech requirements
-                            let hasTech = true;
-                            if (unitConfig.requiresBuilding) {
-                                hasTech = gameState.buildings.some(b =>
-                                    b.type === unitConfig.requiresBuilding && b.isComplete
-                                );
-                            }
+                            const blocker = gameState.getUnitRequirement(unitType);
 
-                            const enabled = canAfford && hasLarva && hasSupply && hasTech;
+                            const enabled = canAfford && hasLarva && hasSupply && !blocker;
 
                             const btn = document.createElement('button');
                             btn.className = 'action-btn';
                             btn.disabled = !enabled;
+                            if (blocker) btn.title = `${unitName}: ${blocker}`;
                             btn.style.cssText = 'display: flex; flex-direction: column; align-items: center; justify-content: center; min-width: 60px; padding: 6px;';
                             btn.style.opacity = enabled ? '1' : '0.5';
 
@@ -466,11 +568,11 @@ export class HUD {
                                 }
                                 // Pick a larva and evolve it
                                 const larvaId = currentLarvaIds[0];
-                                const result = gameState.evolveLarva(larvaId, unitType);
+                                const result = issueCommand({ type: 'evolve', larvaId, unitType });
                                 if (result.success) {
                                     this.showNotification(`Evolving ${unitName}...`);
                                     // Refresh the building selection to update larva count
-                                    this.showBuildingSelection(building, onTrainUnit);
+                                    this.showBuildingSelection(building, onTrainUnit, onResearch);
                                 } else {
                                     this.showNotification(result.error, 'error');
                                 }
@@ -489,38 +591,22 @@ export class HUD {
             }
         }
 
-        // Barracks/Gateway/Spawning Pool can train basic combat units
-        if (buildingType === 'barracks') {
-            const barracksData = faction.buildings.barracks;
-            if (barracksData?.unlocks) {
-                barracksData.unlocks.forEach(unitKey => {
-                    const unitData = faction.units[unitKey];
-                    if (unitData) {
-                        trainableUnits.push({
-                            key: unitKey,
-                            data: unitData,
-                            icon: this.getUnitIcon(unitKey)
-                        });
-                    }
-                });
-            }
-        }
-
-        // Factory can train advanced units
-        if (buildingType === 'factory') {
-            const factoryData = faction.buildings.factory;
-            if (factoryData?.unlocks) {
-                factoryData.unlocks.forEach(unitKey => {
-                    const unitData = faction.units[unitKey];
-                    if (unitData) {
-                        trainableUnits.push({
-                            key: unitKey,
-                            data: unitData,
-                            icon: this.getUnitIcon(unitKey)
-                        });
-                    }
-                });
-            }
+        // Barracks, Factory and the like train the combat units they unlock (Zerg tech
+        // buildings only unlock units for larva)
+        const productionData = gameState.isBase(building) || faction.id === 'zerg'
+            ? null
+            : faction.buildings[normalizeBuildingType(buildingType)];
+        if (productionData?.unlocks) {
+            productionData.unlocks.forEach(unitKey => {
+                const unitData = faction.units[unitKey];
+                if (unitData) {
+                    trainableUnits.push({
+                        key: unitKey,
+                        data: unitData,
+                        icon: this.getUnitIcon(unitKey)
+                    });
+                }
+            });
         }
 
         // Only show production buttons if building is complete
@@ -528,14 +614,19 @@ export class HUD {
             trainableUnits.forEach(unit => {
                 const cost = unit.data.cost;
                 const costText = `${cost.minerals}m${cost.gas > 0 ? ` ${cost.gas}g` : ''}`;
-                const canAfford = gameState.canAfford(cost);
-                this.addProductionButton(
+                const blocker = gameState.getTrainBlocker(building, unit.key);
+                const btn = this.addProductionButton(
                     unit.icon,
                     unit.data.name,
                     costText,
-                    canAfford,
+                    !blocker && gameState.canAfford(cost),
                     () => onTrainUnit(unit.key)
                 );
+                // Locked units say what they are waiting for
+                if (blocker) {
+                    btn.disabled = true;
+                    btn.title = `${unit.data.name}: ${blocker}`;
+                }
             });
         } else if (!building.isComplete) {
             const note = document.createElement('div');
@@ -545,6 +636,10 @@ export class HUD {
             this.actionButtons.appendChild(note);
         }
 
+        if (building.isComplete) {
+            this.addResearchPanel(building, onResearch);
+        }
+
         // Show production queue for this building
         this.updateProductionQueueDisplay();
     }
@@ -575,6 +670,52 @@ export class HUD {
 
         btn.addEventListener('click', onClick);
         this.actionButtons.appendChild(btn);
+        return btn;
+    }
+
+    // Upgrades researched at this building; locked ones say what they are waiting for
+    addResearchPanel(building, onResearch) {
+        const options = gameState.getResearchOptions(building);
+        if (options.length === 0) return;
+
+        const header = document.createElement('div');
+        header.className = 'research-header';
+        header.textContent = 'Research';
+        this.actionButtons.appendChild(header);
+
+        const upgrades = gameState.faction.upgrades;
+        options.forEach(key => {
+            const upgrade = upgrades[key];
+            const cost = upgrade.cost;
+            const costText = `${cost.minerals}m${cost.gas > 0 ? ` ${cost.gas}g` : ''}`;
+            const blocker = gameState.getResearchBlocker(key);
+
+            const btn = this.addProductionButton('🔬', upgrade.name, costText, !blocker && gameState.canAfford(cost), () => {
+                onResearch(key);
+                this.showBuildingSelection(building, this.onTrainUnit, onResearch);
+            });
+            btn.classList.add('research-btn');
+            btn.classList.toggle('researched', gameState.hasUpgrade(key));
+            btn.disabled = !!blocker;
+            btn.title = blocker
+                ? `${upgrade.name}: ${blocker}`
+                : `Research ${upgrade.name} (${costText}, ${upgrade.researchTime}s): ${this.describeUpgrade(upgrade)}`;
+        });
+    }
+
+    // "+1 attack, +40% speed for Zergling"
+    describeUpgrade(upgrade) {
+        const labels = { attack: 'attack', armor: 'armor', speed: 'speed', mining: 'mining rate', shieldArmor: 'shield armor' };
+        const percent = ['speed', 'mining'];
+        const effects = Object.entries(upgrade.effects).map(([effect, value]) =>
+            percent.includes(effect) ? `+${Math.round(value * 100)}% ${labels[effect]}` : `+${value} ${labels[effect]}`
+        );
+
+        const faction = gameState.faction;
+        const unitNames = upgrade.appliesTo.map(type =>
+            type === 'worker' ? faction.worker.name : faction.units[type]?.name || type
+        );
+        return `${effects.join(', ')} for ${unitNames.join(', ')}`;
     }
 
     getUnitIcon(unitKey) {
@@ -583,6 +724,7 @@ export class HUD {
             marine: '🔫',
             marauder: '💪',
             hellion: '🔥',
+            tank: '🪖',
             // Zerg
             zergling: '🐛',
             roach: '🪲',
@@ -623,13 +765,13 @@ export class HUD {
         const queuedItems = gameState.productionQueue.filter(item => {
             // Match by buildingId for buildings under construction
             if (item.buildingId === this.selectedBuildingId) return true;
-            // Match unit production by producerId (specific building instance)
-            if (item.category === 'unit' && item.producerId === this.selectedBuildingId) return true;
+            // Match unit production and research by producerId (specific building instance)
+            if ((item.category === 'unit' || item.category === 'research') && item.producerId === this.selectedBuildingId) return true;
             return false;
         });
 
         // Create a key to identify when queue changes
-        const queueKey = queuedItems.map(item => `${item.unitType || item.type}_${item.startTime}`).join('|');
+        const queueKey = queuedItems.map(item => `${item.unitType || item.type || item.upgrade}_${item.startTime}`).join('|');
 
         // Only rebuild DOM if queue composition changed
         if (this.lastQueueKey !== queueKey) {
@@ -650,7 +792,8 @@ export class HUD {
                 queueItem.className = 'queue-item';
                 queueItem.dataset.index = index;
 
-                const icon = item.category === 'unit' ? this.getUnitIcon(item.unitType) : '🏗️';
+                const icon = item.category === 'unit' ? this.getUnitIcon(item.unitType)
+                    : item.category === 'research' ? '🔬' : '🏗️';
                 const displayName = item.name || item.unitType || 'Unknown';
 
                 // First item is in production (no cancel), others can be cancelled
@@ -714,27 +857,8 @@ export class HUD {
     }
 
     cancelQueueItem(item) {
-        // Remove item from production queue
-        const index = gameState.productionQueue.indexOf(item);
-        if (index > -1) {
-            gameState.productionQueue.splice(index, 1);
-
-            // Refund resources based on unit type
-            const faction = gameState.faction;
-            if (item.category === 'unit' && faction) {
-                let unitConfig = null;
-                if (item.unitType === 'worker') {
-                    unitConfig = faction.worker;
-                } else if (faction.units[item.unitType]) {
-                    unitConfig = faction.units[item.unitType];
-                }
-
-                if (unitConfig?.cost) {
-                    gameState.minerals += unitConfig.cost.minerals || 0;
-                    gameState.gas += unitConfig.cost.gas || 0;
-                }
-            }
-
+        // Remove item from production queue (refunds unit costs)
+        if (issueCommand({ type: 'cancel', itemId: item.id })) {
             // Force queue display refresh
             this.lastQueueKey = null;
             this.updateProductionQueueDisplay();
@@ -804,6 +928,7 @@ export class HUD {
         <h3>Game Menu</h3>
         <button id="ingame-resume" class="menu-btn primary">Resume</button>
         <button id="ingame-save" class="menu-btn secondary">Save Game</button>
+        <button id="ingame-load" class="menu-btn secondary">Load Game</button>
         <button id="ingame-settings" class="menu-btn secondary">Settings</button>
         <button id="ingame-how-to-play" class="menu-btn secondary">How to Play</button>
         <button id="ingame-quit" class="menu-btn tertiary">Quit to Menu</button>
@@ -855,10 +980,18 @@ export class HUD {
         });
 
         this.menuModal.querySelector('#ingame-save').addEventListener('click', () => {
-            if (gameState.save()) {
-                this.showNotification('Game Saved!');
-            }
             this.closeInGameMenu();
+            new SaveBrowser('save', null, (saved) => {
+                if (saved) this.showNotification('Game Saved!');
+            });
+        });
+
+        this.menuModal.querySelector('#ingame-load').addEventListener('click', () => {
+            this.closeInGameMenu();
+            new SaveBrowser('load', (slotId) => {
+                // main.js tears this session down and starts the loaded one
+                window.dispatchEvent(new CustomEvent('loadGame', { detail: { slotId } }));
+            });
         });
 
         this.menuModal.querySelector('#ingame-settings').addEventListener('click', () => {
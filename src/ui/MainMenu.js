@@ -2,14 +2,20 @@
  * Main Menu UI Component
  */
 
+import SaveBrowser from './SaveBrowser.js';
+
 export class MainMenu {
-  constructor(onNewGame, onLoadGame) {
+  constructor(onNewGame, onLoadGame, onWatchReplay, onMapEditor) {
     this.onNewGame = onNewGame;
     this.onLoadGame = onLoadGame;
+    this.onWatchReplay = onWatchReplay;
+    this.onMapEditor = onMapEditor;
 
     this.menuScreen = document.getElementById('main-menu');
     this.newGameBtn = document.getElementById('btn-new-game');
     this.loadGameBtn = document.getElementById('btn-load-game');
+    this.watchReplayBtn = document.getElementById('btn-watch-replay');
+    this.mapEditorBtn = document.getElementById('btn-map-editor');
     this.settingsBtn = document.getElementById('btn-settings');
     this.howToPlayBtn = document.getElementById('btn-how-to-play');
 
@@ -21,8 +27,19 @@ export class MainMenu {
       if (this.onNewGame) this.onNewGame();
     });
 
+    // Always available: save files can be imported even with no saves yet
     this.loadGameBtn.addEventListener('click', () => {
-      if (this.onLoadGame) this.onLoadGame();
+      new SaveBrowser('load', (slotId) => {
+        if (this.onLoadGame) this.onLoadGame(slotId);
+      });
+    });
+
+    this.watchReplayBtn.addEventListener('click', () => {
+      if (this.onWatchReplay) this.onWatchReplay();
+    });
+
+    this.mapEditorBtn.addEventListener('click', () => {
+      if (this.onMapEditor) this.onMapEditor();
     });
 
     this.settingsBtn.addEventListener('click', () => {
@@ -42,9 +59,9 @@ export class MainMenu {
     this.menuScreen.classList.remove('active');
   }
 
-  enableLoadGame(enabled) {
-    this.loadGameBtn.disabled = !enabled;
-    this.loadGameBtn.style.opacity = enabled ? '1' : '0.5';
+  enableWatchReplay(enabled) {
+    this.watchReplayBtn.disabled = !enabled;
+    this.watchReplayBtn.style.opacity = enabled ? '1' : '0.5';
   }
 
   showSettings() {
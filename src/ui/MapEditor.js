@@ -0,0 +1,619 @@
+/**
+ * Map Editor
+ * Paints terrain height and rocks, places mineral patches, gas geysers, start locations
+ * and expansion sites, and loads and saves map files (see MapFormat.js). Maps are drawn
+ * by the same scene and terrain renderer as a match, so they look exactly as in play.
+ */
+
+import * as THREE from 'three';
+import GameScene from '../rendering/Scene.js';
+import TerrainRenderer from '../rendering/Terrain.js';
+import { createGhostMesh } from '../game/InputHandler.js';
+import { GameMap, MAP_SIZES, MINERAL_AMOUNT, GEYSER_AMOUNT } from '../game/GameMap.js';
+import {
+    parseMapFile, createMapFile, stringifyMapFile, markBlockedCells, isInBlockedArea,
+    MapError, START_SITE_RADIUS
+} from '../game/MapFormat.js';
+import { BUNDLED_MAPS } from '../maps/index.js';
+
+const MAX_HEIGHT = 12;
+const BRUSH_RATE = 4; // Height change per second at the brush centre
+const CAMERA_PAN_SPEED = 60; // World units per second (WASD / arrow keys)
+const START_INSET = 30; // Blank maps put the start locations this far in from the corners
+
+// Placement rules, so every map the editor saves can be played
+const EDGE_MARGIN = 2;
+const NODE_SPACING = 2.5; // Between resource nodes
+const BASE_NODE_SPACING = 7; // Between a base and a resource node
+const BASE_SPACING = 16; // Between bases
+const BASE_HALF_SIZE = 4; // Level ground a base needs around its centre
+const PICK_RADIUS = { node: 2.5, base: 6 }; // How close a click must be to pick something
+
+const MARKERS = {
+    base: { size: 10, height: 1 },
+    mineral: { size: 3, height: 2 },
+    gas: { size: 4, height: 2 }
+};
+const START_COLORS = [0x00aaff, 0xff3366]; // Player 1, player 2
+const SITE_COLOR = 0xa0a8b8;
+const PAINT_TOOLS = ['raise', 'lower', 'flatten']; // Held down; the rest act once per click
+const BRUSH_TOOLS = [...PAINT_TOOLS, 'rock'];
+const DEFAULT_AMOUNTS = { mineral: MINERAL_AMOUNT, gas: GEYSER_AMOUNT };
+
+export class MapEditor {
+    constructor(onExit) {
+        this.onExit = onExit;
+
+        this.screen = document.getElementById('map-editor');
+        this.container = document.getElementById('editor-canvas-container');
+        this.nameInput = document.getElementById('editor-map-name');
+        this.brushInput = document.getElementById('editor-brush');
+        this.amountInput = document.getElementById('editor-amount');
+        this.newMapSelect = document.getElementById('editor-new-map');
+        this.fileInput = document.getElementById('editor-map-file');
+        this.statusLine = document.getElementById('editor-status');
+        this.toolBtns = this.screen.querySelectorAll('[data-tool]');
+
+        this.scene = null;
+        this.terrainRenderer = null;
+
+        // The map being edited. Start locations and expansion sites are kept apart from
+        // the resource nodes, which only join a site (the nearest) when the map is saved.
+        this.map = null;
+        this.blockedAreas = [];
+        this.starts = []; // { x, z, rotation, marker }
+        this.sites = []; // Expansion sites besides the start locations: { id, x, z, marker }
+        this.nodes = []; // { id, type: 'mineral' | 'gas', x, z, amount }
+        this.nextId = 1;
+
+        this.tool = 'raise';
+        this.pointer = null; // Ground position under the mouse
+        this.isPainting = false;
+        this.flattenHeight = 0;
+        this.keys = new Set();
+        this.isOpen = false;
+
+        this.init();
+    }
+
+    init() {
+        this.toolBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.selectTool(btn.dataset.tool));
+        });
+
+        BUNDLED_MAPS.forEach((data, i) => {
+            const option = document.createElement('option');
+            option.value = `bundled:${i}`;
+            option.textContent = data.name;
+            this.newMapSelect.appendChild(option);
+        });
+
+        document.getElementById('btn-editor-new').addEventListener('click', () => this.newMap(this.newMapSelect.value));
+        document.getElementById('btn-editor-load').addEventListener('click', () => this.fileInput.click());
+        document.getElementById('btn-editor-save').addEventListener('click', () => this.saveMapFile());
+        document.getElementById('btn-editor-exit').addEventListener('click', () => this.close());
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) this.loadMapFile(this.fileInput.files[0]);
+            this.fileInput.value = '';
+        });
+
+        this.brushInput.addEventListener('input', () => this.updateCursor());
+
+        this.handlers = {
+            mousemove: (e) => this.onMouseMove(e),
+            mousedown: (e) => this.onMouseDown(e),
+            mouseup: () => { this.isPainting = false; },
+            contextmenu: (e) => e.preventDefault(),
+            keydown: (e) => this.onKey(e, true),
+            keyup: (e) => this.onKey(e, false)
+        };
+    }
+
+    open() {
+        this.screen.classList.add('active');
+        this.isOpen = true;
+
+        // Carry on with the last map edited this session
+        if (this.map) {
+            this.loadMap(this.map, this.blockedAreas);
+        } else {
+            this.newMap('blank:medium');
+        }
+
+        window.addEventListener('keydown', this.handlers.keydown);
+        window.addEventListener('keyup', this.handlers.keyup);
+        window.addEventListener('mouseup', this.handlers.mouseup);
+
+        this.lastTime = performance.now();
+        this.loop();
+    }
+
+    close() {
+        this.syncMap();
+        this.isOpen = false;
+        this.keys.clear();
+        window.removeEventListener('keydown', this.handlers.keydown);
+        window.removeEventListener('keyup', this.handlers.keyup);
+        window.removeEventListener('mouseup', this.handlers.mouseup);
+        this.disposeScene();
+        this.screen.classList.remove('active');
+
+        if (this.onExit) this.onExit();
+    }
+
+    loop() {
+        if (!this.isOpen) return;
+
+        const now = performance.now();
+        const deltaTime = Math.min(0.1, (now - this.lastTime) / 1000);
+        this.lastTime = now;
+
+        this.panCamera(deltaTime);
+        if (this.isPainting && this.pointer) this.paint(deltaTime);
+
+        this.terrainRenderer.animateResources(now / 1000);
+        this.scene.update();
+        this.scene.render();
+
+        requestAnimationFrame(() => this.loop());
+    }
+
+    // ============== MAPS ==============
+
+    // `choice` is 'blank:<size>' or 'bundled:<index>'
+    newMap(choice) {
+        const [kind, key] = choice.split(':');
+        if (kind === 'bundled') {
+            const data = BUNDLED_MAPS[Number(key)];
+            this.loadMap(parseMapFile(data), data.blocked ?? []);
+            return;
+        }
+
+        const size = MAP_SIZES[key];
+        const corner = size / 2 - START_INSET;
+        const map = new GameMap({
+            name: 'Untitled Map',
+            size,
+            startLocations: [
+                { x: -corner, z: -corner, rotation: Math.PI / 4 },
+                { x: corner, z: corner, rotation: -Math.PI * 3 / 4 }
+            ],
+            expansions: []
+        });
+        this.loadMap(map, []);
+    }
+
+    async loadMapFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            this.loadMap(parseMapFile(data), data.blocked ?? []);
+            this.showStatus(`Loaded ${file.name}`);
+        } catch (e) {
+            console.error('Failed to load map file:', e);
+            this.showStatus(e instanceof MapError ? e.message : 'The file is not valid JSON', true);
+        }
+    }
+
+    // Start editing a map: split it into bases and resource nodes and draw it
+    loadMap(map, blockedAreas) {
+        this.map = map;
+        this.blockedAreas = blockedAreas.map(area => ({ ...area }));
+        this.nameInput.value = map.name;
+
+        const isStartSite = site => map.startLocations.some(start =>
+            Math.hypot(site.x - start.x, site.z - start.z) <= START_SITE_RADIUS);
+
+        this.starts = map.startLocations.map(({ x, z, rotation }) => ({ x, z, rotation, marker: null }));
+        this.sites = map.expansions.filter(site => !isStartSite(site))
+            .map(({ x, z }) => ({ id: `editor_site_${this.nextId++}`, x, z, marker: null }));
+        this.nodes = map.expansions.flatMap(site => [
+            ...site.minerals.map(({ x, z, amount }) => ({ id: `mineral_${this.nextId++}`, type: 'mineral', x, z, amount })),
+            ...site.geysers.map(({ x, z, amount }) => ({ id: `gas_${this.nextId++}`, type: 'gas', x, z, amount }))
+        ]);
+
+        this.buildScene();
+        this.selectTool(this.tool);
+        this.showStatus('');
+    }
+
+    // Write the edited bases and resources back into the map; each node joins the
+    // expansion site nearest to it
+    syncMap() {
+        if (!this.map) return;
+
+        this.map.name = this.nameInput.value.trim() || 'Untitled Map';
+        this.map.startLocations = this.starts.map(({ x, z, rotation }) => ({ x, z, rotation }));
+        this.map.expansions = [...this.starts, ...this.sites].map(({ x, z }) => ({ x, z, minerals: [], geysers: [] }));
+
+        this.nodes.forEach(node => {
+            const site = nearest(this.map.expansions, node);
+            const list = node.type === 'mineral' ? site.minerals : site.geysers;
+            list.push({ x: node.x, z: node.z, amount: node.amount });
+        });
+    }
+
+    // Download the map as a .json file, once it passes the same checks as loading one
+    saveMapFile() {
+        this.syncMap();
+        const data = createMapFile(this.map, this.blockedAreas);
+
+        try {
+            parseMapFile(data);
+        } catch (e) {
+            this.showStatus(e instanceof MapError ? e.message : 'This map cannot be saved', true);
+            return;
+        }
+
+        const blob = new Blob([stringifyMapFile(data) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.showStatus(`Saved ${link.download}`);
+    }
+
+    // ============== SCENE ==============
+
+    buildScene() {
+        this.disposeScene();
+
+        this.scene = new GameScene(this.container);
+        this.terrainRenderer = new TerrainRenderer(this.scene);
+        this.terrainRenderer.createTerrain(this.map, { platform: false });
+        this.scene.setMapSize(this.map.size);
+
+        this.nodes.forEach(node => this.createNode(node));
+        this.starts.forEach((start, i) => {
+            start.marker = this.addMarker(`editor_start_${i}`, MARKERS.base, START_COLORS[i % START_COLORS.length], start);
+        });
+        this.sites.forEach(site => {
+            site.marker = this.addMarker(site.id, MARKERS.base, SITE_COLOR, site);
+        });
+
+        // Brush outline for the terrain tools
+        const ringGeometry = new THREE.RingGeometry(0.95, 1, 64);
+        ringGeometry.rotateX(-Math.PI / 2);
+        this.brushRing = new THREE.Mesh(ringGeometry, new THREE.MeshBasicMaterial({ color: 0x00d4ff, side: THREE.DoubleSide }));
+        this.brushRing.visible = false;
+        this.scene.addObject('editor_brush', this.brushRing);
+
+        const canvas = this.scene.renderer.domElement;
+        ['mousemove', 'mousedown', 'contextmenu'].forEach(event => {
+            canvas.addEventListener(event, this.handlers[event]);
+        });
+        this.raycaster = new THREE.Raycaster();
+
+        // Start looking at player 1's base
+        const start = this.starts[0];
+        this.scene.focusOn(start.x, start.z, this.map.getHeight(start.x, start.z));
+    }
+
+    disposeScene() {
+        if (!this.scene) return;
+
+        const canvas = this.scene.renderer.domElement;
+        ['mousemove', 'mousedown', 'contextmenu'].forEach(event => {
+            canvas.removeEventListener(event, this.handlers[event]);
+        });
+
+        this.removeGhost();
+        this.terrainRenderer.dispose();
+        this.scene.dispose();
+        this.scene = null;
+        this.terrainRenderer = null;
+        this.isPainting = false;
+        this.pointer = null;
+    }
+
+    createNode(node) {
+        if (node.type === 'mineral') {
+            this.terrainRenderer.createMineralPatch(node);
+        } else {
+            this.terrainRenderer.createGasGeyser(node);
+        }
+    }
+
+    addMarker(id, size, color, position) {
+        const marker = createGhostMesh(size, color);
+        this.scene.addObject(id, marker);
+        this.placeOnGround(marker, position.x, position.z);
+        return marker;
+    }
+
+    placeOnGround(object, x, z) {
+        object.position.set(x, this.map.getHeight(x, z) + object.userData.baseY, z);
+    }
+
+    // Blocked cells, ground mesh and everything standing on it after the terrain changed
+    refreshTerrain() {
+        markBlockedCells(this.map, this.blockedAreas);
+        this.terrainRenderer.updateTerrain();
+        [...this.starts, ...this.sites].forEach(base => this.placeOnGround(base.marker, base.x, base.z));
+        this.updateCursor();
+    }
+
+    // ============== TOOLS ==============
+
+    selectTool(tool) {
+        // Switching between minerals and geysers resets the amount to that type's default
+        if (DEFAULT_AMOUNTS[tool] && (tool !== this.tool || !this.amountInput.value)) {
+            this.amountInput.value = DEFAULT_AMOUNTS[tool];
+        }
+        this.tool = tool;
+        this.toolBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+
+        this.removeGhost();
+        const marker = tool === 'mineral' || tool === 'gas' ? MARKERS[tool] : tool.startsWith('start') || tool === 'site' ? MARKERS.base : null;
+        if (marker && this.scene) {
+            this.ghost = createGhostMesh(marker);
+            this.ghost.visible = false;
+            this.scene.scene.add(this.ghost);
+        }
+        this.updateCursor();
+    }
+
+    removeGhost() {
+        if (!this.ghost) return;
+        this.scene?.scene.remove(this.ghost);
+        this.ghost.geometry.dispose();
+        this.ghost.material.dispose();
+        this.ghost = null;
+    }
+
+    // Move the brush outline or placement ghost to the pointer, coloured by whether the
+    // tool can be used there
+    updateCursor() {
+        if (!this.scene) return;
+
+        const isBrush = BRUSH_TOOLS.includes(this.tool);
+        this.brushRing.visible = isBrush && this.pointer !== null;
+        if (this.ghost) this.ghost.visible = this.pointer !== null;
+        if (!this.pointer) return;
+
+        const { x, z } = this.pointer;
+        if (isBrush) {
+            const radius = Number(this.brushInput.value);
+            this.brushRing.scale.set(radius, 1, radius);
+            this.brushRing.position.set(x, this.map.getHeight(x, z) + 0.3, z);
+        }
+
+        const problem = this.getPlacementProblem(x, z);
+        if (this.ghost) {
+            this.placeOnGround(this.ghost, x, z);
+            this.ghost.material.color.setHex(problem ? 0xff0000 : 0x00ff00);
+        }
+
+        const hovered = this.findNode(x, z);
+        this.showStatus(problem || (hovered ? `${hovered.type === 'mineral' ? 'Mineral patch' : 'Gas geyser'}: ${hovered.amount}` : ''), Boolean(problem));
+    }
+
+    // Why the current tool can't be used at a position, or null if it can
+    getPlacementProblem(x, z) {
+        if (PAINT_TOOLS.includes(this.tool)) return null;
+
+        const half = this.map.size / 2 - EDGE_MARGIN;
+        if (Math.abs(x) > half || Math.abs(z) > half) return 'Too close to the edge of the map';
+
+        if (this.tool === 'mineral' || this.tool === 'gas') {
+            if (this.findNode(x, z, this.tool)) return null; // Clicking a node sets its amount
+            if (this.map.isBlocked(x, z)) return 'Resources need open ground';
+            if (this.nodes.some(node => distance(node, { x, z }) < NODE_SPACING)) return 'Too close to another resource';
+            if (this.getBases().some(base => distance(base, { x, z }) < BASE_NODE_SPACING)) return 'Too close to a base';
+        } else if (this.tool.startsWith('start') || this.tool === 'site') {
+            const moving = this.tool.startsWith('start') ? this.starts[Number(this.tool.slice(5))] : null;
+            if (!this.map.isAreaBuildable(x, z, BASE_HALF_SIZE)) return 'Bases need level, open ground';
+            if (this.nodes.some(node => distance(node, { x, z }) < BASE_NODE_SPACING)) return 'Too close to a resource';
+            if (this.getBases().some(base => base !== moving && distance(base, { x, z }) < BASE_SPACING)) {
+                return 'Too close to another base';
+            }
+        }
+        return null;
+    }
+
+    // Single-click tools; the terrain brushes paint while the button is held
+    useTool(x, z) {
+        if (this.getPlacementProblem(x, z)) return;
+        let notice = null;
+
+        switch (this.tool) {
+            case 'rock':
+                this.blockedAreas.push({ x: round(x), z: round(z), radius: Number(this.brushInput.value) });
+                this.refreshTerrain();
+                break;
+            case 'mineral':
+            case 'gas':
+                this.placeNode(this.tool, x, z);
+                break;
+            case 'start0':
+            case 'start1':
+                this.moveStart(Number(this.tool.slice(5)), x, z);
+                break;
+            case 'site': {
+                const site = { id: `editor_site_${this.nextId++}`, x: round(x), z: round(z), marker: null };
+                site.marker = this.addMarker(site.id, MARKERS.base, SITE_COLOR, site);
+                this.sites.push(site);
+                break;
+            }
+            case 'erase':
+                notice = this.erase(x, z);
+                break;
+        }
+
+        this.updateCursor();
+        if (notice) this.showStatus(notice, true);
+    }
+
+    placeNode(type, x, z) {
+        const amount = Math.max(1, Math.round(Number(this.amountInput.value))) || DEFAULT_AMOUNTS[type];
+
+        const existing = this.findNode(x, z, type);
+        if (existing) {
+            existing.amount = amount;
+            return;
+        }
+
+        const node = { id: `${type}_${this.nextId++}`, type, x: round(x), z: round(z), amount };
+        this.nodes.push(node);
+        this.createNode(node);
+    }
+
+    // Start locations face the middle of the map
+    moveStart(index, x, z) {
+        const start = this.starts[index];
+        start.x = round(x);
+        start.z = round(z);
+        start.rotation = Math.atan2(-z, -x);
+        this.placeOnGround(start.marker, start.x, start.z);
+    }
+
+    // Remove the resource node, expansion site or rock under the pointer. Returns why
+    // nothing was removed, if there is something to say.
+    erase(x, z) {
+        const node = this.findNode(x, z);
+        if (node) {
+            this.nodes.splice(this.nodes.indexOf(node), 1);
+            this.terrainRenderer.removeResourceNode(node.id);
+            return null;
+        }
+
+        const site = this.sites.find(s => distance(s, { x, z }) <= PICK_RADIUS.base);
+        if (site) {
+            this.sites.splice(this.sites.indexOf(site), 1);
+            this.scene.removeObject(site.id);
+            return null;
+        }
+
+        const areaIndex = this.blockedAreas.findLastIndex(area => isInBlockedArea(area, x, z));
+        if (areaIndex !== -1) {
+            this.blockedAreas.splice(areaIndex, 1);
+            this.refreshTerrain();
+            return null;
+        }
+
+        const isStart = this.starts.some(s => distance(s, { x, z }) <= PICK_RADIUS.base);
+        return isStart ? 'Start locations can be moved but not removed' : null;
+    }
+
+    // Raise, lower or level the ground under the brush, strongest at its centre
+    paint(deltaTime) {
+        const map = this.map;
+        const { x, z } = this.pointer;
+        const radius = Number(this.brushInput.value);
+        const stride = map.resolution + 1;
+        const toVertex = value => Math.round((value - map.origin) / map.cellSize);
+        const clamp = value => Math.max(0, Math.min(map.resolution, value));
+
+        for (let row = clamp(toVertex(z - radius)); row <= clamp(toVertex(z + radius)); row++) {
+            for (let col = clamp(toVertex(x - radius)); col <= clamp(toVertex(x + radius)); col++) {
+                const d = Math.hypot(map.origin + col * map.cellSize - x, map.origin + row * map.cellSize - z);
+                if (d > radius) continue;
+
+                const strength = BRUSH_RATE * deltaTime * (1 - (d / radius) ** 2);
+                const i = row * stride + col;
+                let height = map.heights[i];
+                if (this.tool === 'raise') height += strength;
+                else if (this.tool === 'lower') height -= strength;
+                else height += (this.flattenHeight - height) * Math.min(1, strength);
+                map.heights[i] = Math.max(0, Math.min(MAX_HEIGHT, height));
+            }
+        }
+
+        this.refreshTerrain();
+    }
+
+    // ============== INPUT ==============
+
+    onMouseMove(event) {
+        this.pointer = this.getGroundPosition(event);
+        this.updateCursor();
+    }
+
+    onMouseDown(event) {
+        // Shift-drag orbits the camera
+        if (event.button !== 0 || event.shiftKey || !this.pointer) return;
+
+        if (PAINT_TOOLS.includes(this.tool)) {
+            this.isPainting = true;
+            this.flattenHeight = this.map.getHeight(this.pointer.x, this.pointer.z);
+        } else {
+            this.useTool(this.pointer.x, this.pointer.z);
+        }
+    }
+
+    onKey(event, isDown) {
+        const key = event.key.toLowerCase();
+        if (!isDown) {
+            this.keys.delete(key);
+            return;
+        }
+
+        // Not while typing a name or amount
+        const activeEl = document.activeElement;
+        if (activeEl && (activeEl.tagName === 'INPUT' || activeEl.tagName === 'SELECT')) return;
+        this.keys.add(key);
+    }
+
+    panCamera(deltaTime) {
+        const step = CAMERA_PAN_SPEED * deltaTime;
+        let dx = 0;
+        let dz = 0;
+        if (this.keys.has('a') || this.keys.has('arrowleft')) dx -= step;
+        if (this.keys.has('d') || this.keys.has('arrowright')) dx += step;
+        if (this.keys.has('w') || this.keys.has('arrowup')) dz -= step;
+        if (this.keys.has('s') || this.keys.has('arrowdown')) dz += step;
+        if (dx === 0 && dz === 0) return;
+
+        const target = this.scene.controls.target;
+        const half = this.map.size / 2;
+        const x = Math.max(-half, Math.min(half, target.x + dx));
+        const z = Math.max(-half, Math.min(half, target.z + dz));
+        this.scene.focusOn(x, z, this.map.getHeight(x, z));
+    }
+
+    getGroundPosition(event) {
+        const canvas = this.scene.renderer.domElement;
+        const rect = canvas.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(mouse, this.scene.camera);
+        const intersects = this.raycaster.intersectObject(this.scene.getObject('terrain'), true);
+        return intersects.length > 0 ? { x: intersects[0].point.x, z: intersects[0].point.z } : null;
+    }
+
+    // ============== HELPERS ==============
+
+    getBases() {
+        return [...this.starts, ...this.sites];
+    }
+
+    // Resource node (optionally of one type) under a position
+    findNode(x, z, type = null) {
+        return this.nodes.find(node =>
+            (!type || node.type === type) && distance(node, { x, z }) <= PICK_RADIUS.node) || null;
+    }
+
+    showStatus(message, isError = false) {
+        this.statusLine.textContent = message;
+        this.statusLine.classList.toggle('error', isError);
+    }
+}
+
+function nearest(points, target) {
+    return points.reduce((best, p) => (distance(p, target) < distance(best, target) ? p : best));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export default MapEditor;
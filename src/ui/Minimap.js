@@ -3,16 +3,18 @@
  * Renders a top-down view of the game map showing units, buildings, and resources
  */
 
-import gameState from '../game/GameState.js';
+import gameState, { PLAYER_ID } from '../game/GameState.js';
+import { UNEXPLORED, EXPLORED } from '../game/Visibility.js';
 
 export class Minimap {
-    constructor(scene) {
+    constructor(scene, fogOfWar = true) {
         this.scene = scene; // GameScene reference for camera position
+        this.fogOfWar = fogOfWar; // Off for replays, which show the whole map
         this.canvas = document.getElementById('minimap-canvas');
         this.ctx = this.canvas.getContext('2d');
 
-        // Map bounds (from Terrain.js - 200x200 plane)
-        this.mapSize = 200;
+        // Map bounds (the map is a square centred on the origin)
+        this.mapSize = gameState.map.size;
         this.mapHalf = this.mapSize / 2;
 
         // Canvas size
@@ -27,6 +29,8 @@ export class Minimap {
         this.colors = {
             background: '#0a0a15',
             terrain: '#1a1a2e',
+            highGround: '#2c2c48',
+            blocked: '#0e0e1c',
             minerals: '#00d4ff',
             gas: '#00ff88',
             playerUnit: '#00ff00',
@@ -37,6 +41,14 @@ export class Minimap {
             cameraBorder: 'rgba(255, 255, 255, 0.8)'
         };
 
+        // Fog alpha (0-255) per visibility state, drawn from a one-pixel-per-cell canvas
+        this.fogAlpha = { [UNEXPLORED]: 235, [EXPLORED]: 140 };
+        this.fogCanvas = null;
+        this.fogVersion = -1;
+
+        // Terrain never changes during a match, so it is drawn once
+        this.terrainCanvas = this.createTerrainImage(gameState.map);
+
         // Click handling for camera movement
         this.canvas.addEventListener('click', (e) => this.onClick(e));
         this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
@@ -51,8 +63,8 @@ export class Minimap {
      * Convert world coordinates to minimap coordinates
      */
     worldToMinimap(worldX, worldZ) {
-        // World coords: -100 to 100
-        // Minimap coords: 0 to 200
+        // World coords: -mapHalf to mapHalf
+        // Minimap coords: 0 to width
         const x = ((worldX + this.mapHalf) / this.mapSize) * this.width;
         const y = ((worldZ + this.mapHalf) / this.mapSize) * this.height;
         return { x, y };
@@ -101,20 +113,7 @@ export class Minimap {
      */
     moveCameraTo(worldX, worldZ) {
         if (this.scene && this.scene.controls) {
-            this.scene.setCameraTarget(worldX, 0, worldZ);
-
-            // Also update camera position to maintain viewing angle
-            const camera = this.scene.camera;
-            const controls = this.scene.controls;
-
-            // Calculate offset from target to camera
-            const offsetX = camera.position.x - controls.target.x;
-            const offsetY = camera.position.y - controls.target.y;
-            const offsetZ = camera.position.z - controls.target.z;
-
-            // Move camera to new position maintaining offset
-            camera.position.set(worldX + offsetX, offsetY, worldZ + offsetZ);
-            controls.target.set(worldX, 0, worldZ);
+            this.scene.focusOn(worldX, worldZ, gameState.getTerrainHeight(worldX, worldZ));
         }
     }
 
@@ -160,8 +159,8 @@ export class Minimap {
         ctx.fillRect(0, 0, this.width, this.height);
 
         // Draw terrain background
-        ctx.fillStyle = this.colors.terrain;
-        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.terrainCanvas, 0, 0, this.width, this.height);
 
         // Draw resources
         this.drawResources(ctx);
@@ -172,6 +171,11 @@ export class Minimap {
         // Draw units
         this.drawUnits(ctx);
 
+        // Darken what the player cannot see
+        if (this.fogOfWar) {
+            this.drawFog(ctx);
+        }
+
         // Draw camera view rectangle
         this.drawCameraView(ctx);
     }
@@ -200,14 +204,18 @@ export class Minimap {
         const buildings = gameState.buildings || [];
 
         buildings.forEach(building => {
+            if (this.fogOfWar && !gameState.isVisibleToPlayer(building)) return;
+
             const pos = this.worldToMinimap(building.x, building.z);
 
-            // Player buildings are green, enemies would be red
-            ctx.fillStyle = this.colors.playerBuilding;
+            // Player buildings are green, enemies are red
+            ctx.fillStyle = gameState.getOwner(building) === PLAYER_ID
+                ? this.colors.playerBuilding
+                : this.colors.enemyBuilding;
 
             // Building size based on type
             let size = 6;
-            if (building.type === 'base' || building.type === 'hatchery' || building.type === 'nexus') {
+            if (gameState.isBase(building)) {
                 size = 10;
             } else if (building.type === 'supply' || building.type === 'pylon') {
                 size = 4;
@@ -227,10 +235,14 @@ export class Minimap {
         const units = gameState.units || [];
 
         units.forEach(unit => {
+            if (this.fogOfWar && !gameState.isVisibleToPlayer(unit)) return;
+
             const pos = this.worldToMinimap(unit.x, unit.z);
 
-            // Player units are bright green
-            ctx.fillStyle = this.colors.playerUnit;
+            // Player units are bright green, enemies are red
+            ctx.fillStyle = gameState.getOwner(unit) === PLAYER_ID
+                ? this.colors.playerUnit
+                : this.colors.enemyUnit;
 
             // Unit size
             const size = unit.type === 'worker' || unit.type === 'larva' ? 2 : 3;
@@ -241,6 +253,60 @@ export class Minimap {
         });
     }
 
+    // One pixel per map cell: low ground, high ground, or cliffs and rocks
+    createTerrainImage(map) {
+        const canvas = document.createElement('canvas');
+        canvas.width = map.resolution;
+        canvas.height = map.resolution;
+
+        const terrainCtx = canvas.getContext('2d');
+        for (let row = 0; row < map.resolution; row++) {
+            for (let col = 0; col < map.resolution; col++) {
+                const x = map.origin + (col + 0.5) * map.cellSize;
+                const z = map.origin + (row + 0.5) * map.cellSize;
+
+                if (map.isBlocked(x, z)) {
+                    terrainCtx.fillStyle = this.colors.blocked;
+                } else if (map.getHeight(x, z) > 1) {
+                    terrainCtx.fillStyle = this.colors.highGround;
+                } else {
+                    terrainCtx.fillStyle = this.colors.terrain;
+                }
+                terrainCtx.fillRect(col, row, 1, 1);
+            }
+        }
+
+        return canvas;
+    }
+
+    drawFog(ctx) {
+        const visibility = gameState.visibility;
+        const size = visibility.width;
+
+        if (!this.fogCanvas || this.fogCanvas.width !== size) {
+            this.fogCanvas = document.createElement('canvas');
+            this.fogCanvas.width = size;
+            this.fogCanvas.height = size;
+            this.fogVersion = -1;
+        }
+
+        // Only repaint the fog image when visibility has changed
+        if (this.fogVersion !== visibility.version) {
+            this.fogVersion = visibility.version;
+
+            const fogCtx = this.fogCanvas.getContext('2d');
+            const image = fogCtx.createImageData(size, size);
+            visibility.cells.forEach((state, i) => {
+                image.data[i * 4 + 3] = this.fogAlpha[state] ?? 0;
+            });
+            fogCtx.putImageData(image, 0, 0);
+        }
+
+        // Grid rows run along z like minimap rows, so the image maps straight onto the map
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.fogCanvas, 0, 0, this.width, this.height);
+    }
+
     drawCameraView(ctx) {
         const viewRect = this.getCameraViewRect();
         if (!viewRect) return;
@@ -0,0 +1,140 @@
+/**
+ * Replay Controls
+ * Play/pause, seek bar and playback speed shown while watching a replay
+ */
+
+import gameState from '../game/GameState.js';
+import { REPLAY_SPEEDS } from '../game/Replay.js';
+import { TICK_RATE } from '../game/Simulation.js';
+
+export class ReplayControls {
+    constructor(player, onSeek, onExit) {
+        this.player = player;
+        this.onSeek = onSeek;
+        this.onExit = onExit;
+        this.isScrubbing = false;
+
+        this.container = document.createElement('div');
+        this.container.className = 'replay-controls';
+        this.container.innerHTML = `
+      <button class="replay-btn replay-toggle" title="Play / Pause (Space)">⏸</button>
+      <span class="replay-time"></span>
+      <input class="replay-seek" type="range" min="0" max="${player.length}" value="0">
+      <div class="replay-speeds">
+        ${REPLAY_SPEEDS.map(speed => `<button class="replay-btn replay-speed" data-speed="${speed}">${speed}x</button>`).join('')}
+      </div>
+      <button class="replay-btn replay-exit">Exit Replay</button>
+    `;
+
+        this.addStyles();
+        document.getElementById('game-screen').appendChild(this.container);
+
+        this.toggleBtn = this.container.querySelector('.replay-toggle');
+        this.timeLabel = this.container.querySelector('.replay-time');
+        this.seekBar = this.container.querySelector('.replay-seek');
+        this.speedBtns = this.container.querySelectorAll('.replay-speed');
+
+        this.toggleBtn.addEventListener('click', () => this.player.togglePause());
+
+        // Show the scrubbed time while dragging, seek once released
+        this.seekBar.addEventListener('input', () => {
+            this.isScrubbing = true;
+        });
+        this.seekBar.addEventListener('change', () => {
+            this.isScrubbing = false;
+            this.onSeek?.(Number(this.seekBar.value));
+        });
+
+        this.speedBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.player.setSpeed(Number(btn.dataset.speed)));
+        });
+
+        this.container.querySelector('.replay-exit').addEventListener('click', () => this.onExit?.());
+    }
+
+    addStyles() {
+        if (document.querySelector('#replay-controls-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'replay-controls-styles';
+        style.textContent = `
+      .replay-controls {
+        position: fixed;
+        bottom: 24px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        background: var(--bg-panel);
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        padding: 10px 16px;
+        z-index: 50;
+      }
+      .replay-btn {
+        background: transparent;
+        border: 1px solid var(--border-color);
+        border-radius: 4px;
+        color: var(--text-primary);
+        font-family: var(--font-display);
+        font-size: 0.75rem;
+        padding: 6px 10px;
+        cursor: pointer;
+      }
+      .replay-btn:hover,
+      .replay-btn.active {
+        border-color: var(--accent-primary);
+        color: var(--accent-primary);
+      }
+      .replay-time {
+        font-family: var(--font-display);
+        font-size: 0.8rem;
+        color: var(--text-secondary);
+        min-width: 120px;
+        text-align: center;
+      }
+      .replay-seek {
+        width: 320px;
+        accent-color: var(--accent-primary);
+      }
+      .replay-speeds {
+        display: flex;
+        gap: 4px;
+      }
+    `;
+        document.head.appendChild(style);
+    }
+
+    // Called every frame
+    update() {
+        const player = this.player;
+        const shownTick = this.isScrubbing ? Number(this.seekBar.value) : gameState.tick;
+
+        if (!this.isScrubbing) {
+            this.seekBar.value = gameState.tick;
+        }
+
+        this.timeLabel.textContent = player.isSeeking
+            ? `Seeking... ${this.formatTicks(gameState.tick)}`
+            : `${this.formatTicks(shownTick)} / ${this.formatTicks(player.length)}`;
+
+        this.toggleBtn.textContent = player.paused || player.isFinished ? '▶' : '⏸';
+        this.speedBtns.forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.speed) === player.speed);
+        });
+    }
+
+    formatTicks(ticks) {
+        const totalSeconds = Math.floor(ticks / TICK_RATE);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    dispose() {
+        this.container.remove();
+    }
+}
+
+export default ReplayControls;
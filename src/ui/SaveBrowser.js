@@ -0,0 +1,328 @@
+/**
+ * Save Browser
+ * Modal listing the save slots. In 'load' mode a slot can be loaded or deleted and save
+ * files can be imported, in 'save' mode the current game is saved into a new named slot
+ * or over an existing one. Any save, and the current game, can be exported to a file.
+ */
+
+import gameState from '../game/GameState.js';
+import { getFaction } from '../game/Faction.js';
+import { encodeSaveFile, decodeSaveFile, saveFileName } from '../game/SaveFiles.js';
+
+export class SaveBrowser {
+    constructor(mode, onLoad, onClose) {
+        this.mode = mode;
+        this.onLoad = onLoad;
+        this.onClose = onClose;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'save-browser-modal';
+        this.modal.innerHTML = `
+      <div class="save-browser-content">
+        <h3>${mode === 'save' ? 'Save Game' : 'Load Game'}</h3>
+        ${mode === 'save' ? `
+        <div class="save-browser-new">
+          <input class="save-browser-name" type="text" maxlength="40" placeholder="Save name">
+          <button class="menu-btn primary save-browser-create">Save</button>
+          <button class="menu-btn secondary save-browser-export-current">Export</button>
+        </div>` : `
+        <div class="save-browser-new">
+          <button class="menu-btn secondary save-browser-import">Import from File</button>
+          <input class="save-browser-file" type="file" accept=".json,.gz,application/json,application/gzip" hidden>
+        </div>`}
+        <div class="save-browser-list"></div>
+        <div class="save-browser-error"></div>
+        <div class="save-browser-actions">
+          <label class="save-browser-compress">
+            <input type="checkbox" class="save-browser-compress-toggle" ${localStorage.getItem('compressSaveExports') === 'true' ? 'checked' : ''}>
+            <span>Compress exported files</span>
+          </label>
+          <button class="menu-btn secondary save-browser-close">Close</button>
+        </div>
+      </div>
+    `;
+
+        this.addStyles();
+        document.body.appendChild(this.modal);
+
+        this.list = this.modal.querySelector('.save-browser-list');
+        this.errorLine = this.modal.querySelector('.save-browser-error');
+        this.nameInput = this.modal.querySelector('.save-browser-name');
+        this.compressToggle = this.modal.querySelector('.save-browser-compress-toggle');
+
+        if (this.nameInput) {
+            this.nameInput.value = `${gameState.faction?.name || 'Game'} ${gameState.getFormattedGameTime()}`;
+            this.nameInput.addEventListener('keydown', (e) => {
+                e.stopPropagation(); // Keep typing away from the game hotkeys
+                if (e.key === 'Enter') this.saveNew();
+                if (e.key === 'Escape') this.close();
+            });
+            this.modal.querySelector('.save-browser-create').addEventListener('click', () => this.saveNew());
+            this.modal.querySelector('.save-browser-export-current').addEventListener('click', () => {
+                const name = this.nameInput.value.trim() || 'Saved Game';
+                this.exportSave(gameState.createSaveData(), name);
+            });
+        } else {
+            const fileInput = this.modal.querySelector('.save-browser-file');
+            this.modal.querySelector('.save-browser-import').addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+
+        this.compressToggle.addEventListener('change', () => {
+            localStorage.setItem('compressSaveExports', this.compressToggle.checked);
+        });
+
+        this.modal.querySelector('.save-browser-close').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        this.renderList();
+        this.nameInput?.select();
+    }
+
+    addStyles() {
+        if (document.querySelector('#save-browser-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'save-browser-styles';
+        style.textContent = `
+      .save-browser-modal {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1001;
+      }
+      .save-browser-content {
+        background: var(--bg-panel);
+        border: 1px solid var(--border-color);
+        border-radius: 12px;
+        padding: 24px;
+        width: 560px;
+        max-width: 90%;
+      }
+      .save-browser-content h3 {
+        font-family: var(--font-display);
+        margin-bottom: 20px;
+        color: var(--accent-primary);
+      }
+      .save-browser-new {
+        display: flex;
+        gap: 8px;
+        margin-bottom: 16px;
+      }
+      .save-browser-name {
+        flex: 1;
+        background: transparent;
+        border: 1px solid var(--border-color);
+        border-radius: 4px;
+        color: var(--text-primary);
+        padding: 8px 10px;
+      }
+      .save-browser-list {
+        max-height: 360px;
+        overflow-y: auto;
+        margin-bottom: 20px;
+      }
+      .save-browser-empty {
+        color: var(--text-muted);
+        text-align: center;
+        padding: 24px 0;
+      }
+      .save-slot {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        border: 1px solid var(--border-color);
+        border-radius: 6px;
+        padding: 10px 12px;
+        margin-bottom: 8px;
+      }
+      .save-slot-info {
+        flex: 1;
+        min-width: 0;
+      }
+      .save-slot-name {
+        color: var(--text-primary);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .save-slot-name .save-slot-tag {
+        font-size: 0.7rem;
+        color: var(--text-muted);
+        margin-left: 6px;
+      }
+      .save-slot-details {
+        font-size: 0.8rem;
+        color: var(--text-muted);
+        margin-top: 2px;
+      }
+      .save-slot button {
+        padding: 6px 12px;
+        font-size: 0.8rem;
+      }
+      .save-browser-error {
+        color: var(--accent-danger);
+        font-size: 0.85rem;
+        min-height: 1.2em;
+        margin: -12px 0 12px;
+      }
+      .save-browser-actions {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      }
+      .save-browser-compress {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 0.85rem;
+        color: var(--text-secondary);
+        cursor: pointer;
+      }
+    `;
+        document.head.appendChild(style);
+    }
+
+    renderList() {
+        const saves = gameState.listSaves();
+        this.list.innerHTML = '';
+
+        if (saves.length === 0) {
+            this.list.innerHTML = '<div class="save-browser-empty">No saved games</div>';
+            return;
+        }
+
+        saves.forEach(slot => {
+            const row = document.createElement('div');
+            row.className = 'save-slot';
+            row.innerHTML = `
+        <div class="save-slot-info">
+          <div class="save-slot-name"></div>
+          <div class="save-slot-details"></div>
+        </div>
+        <button class="menu-btn ${this.mode === 'save' ? 'secondary' : 'primary'} save-slot-use">
+          ${this.mode === 'save' ? 'Overwrite' : 'Load'}
+        </button>
+        <button class="menu-btn secondary save-slot-export">Export</button>
+        <button class="menu-btn tertiary save-slot-delete">Delete</button>
+      `;
+
+            // Names are typed by the player, so never parse them as HTML
+            const name = row.querySelector('.save-slot-name');
+            name.textContent = slot.name;
+            if (slot.autosave) {
+                const tag = document.createElement('span');
+                tag.className = 'save-slot-tag';
+                tag.textContent = 'AUTO';
+                name.appendChild(tag);
+            }
+            row.querySelector('.save-slot-details').textContent = this.describe(slot);
+
+            row.querySelector('.save-slot-use').addEventListener('click', () => {
+                if (this.mode === 'save') {
+                    this.save(slot.name, slot.id);
+                } else {
+                    this.close(false);
+                    this.onLoad?.(slot.id);
+                }
+            });
+
+            row.querySelector('.save-slot-export').addEventListener('click', () => {
+                const saveData = gameState.readSlot(slot.id);
+                if (saveData) {
+                    this.exportSave(saveData, slot.name);
+                } else {
+                    this.showError('This save could not be read');
+                }
+            });
+
+            row.querySelector('.save-slot-delete').addEventListener('click', () => {
+                if (!confirm(`Delete "${slot.name}"?`)) return;
+                gameState.deleteSave(slot.id);
+                this.renderList();
+            });
+
+            this.list.appendChild(row);
+        });
+    }
+
+    // "Zerg · 12:34 · 45/60 supply · 19 Oct 2026, 14:02"
+    describe(slot) {
+        const minutes = Math.floor(slot.gameTime / 60);
+        const seconds = Math.floor(slot.gameTime % 60);
+        const time = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        const faction = getFaction(slot.faction)?.name || 'Unknown';
+        const savedAt = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'Unknown date';
+
+        return `${faction} · ${time} · ${slot.population}/${slot.populationMax} supply · ${savedAt}`;
+    }
+
+    // Download save data as a .json (or .json.gz) file
+    async exportSave(saveData, name) {
+        const compress = this.compressToggle.checked;
+        const blob = await encodeSaveFile(saveData, compress);
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = saveFileName(name, compress);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // After the download has started
+    }
+
+    // Validate an exported save, keep it as a new slot and load it
+    async importFile(file) {
+        this.showError('');
+
+        let json;
+        try {
+            json = await decodeSaveFile(file);
+        } catch (e) {
+            console.error('Failed to read save file:', e);
+            this.showError('This file could not be read');
+            return;
+        }
+
+        const name = file.name.replace(/\.json(\.gz)?$/i, '').replace(/^galactic-command-/, '');
+        const result = gameState.importSave(json, name || 'Imported Game');
+        if (!result.success) {
+            this.showError(`Import failed: ${result.error}`);
+            return;
+        }
+
+        this.close(false);
+        this.onLoad?.(result.slotId);
+    }
+
+    showError(message) {
+        this.errorLine.textContent = message;
+    }
+
+    saveNew() {
+        const name = this.nameInput.value.trim() || 'Saved Game';
+        this.save(name, null);
+    }
+
+    save(name, slotId) {
+        const savedId = gameState.save(name, slotId);
+        this.close(savedId !== null);
+    }
+
+    close(saved = false) {
+        this.modal.remove();
+        this.onClose?.(saved);
+    }
+}
+
+export default SaveBrowser;